@@ -1,36 +1,275 @@
 // background.js
 
-// Create the context menu item when the extension is installed
+importScripts(
+    'lib/settings.js',
+    'lib/mxgraph.js',
+    'lib/detect.js',
+    'lib/mermaid_lint.js',
+    'lib/xml_parser.js',
+    'lib/mx_repair.js',
+    'lib/layout.js',
+    'lib/mermaid_flowchart.js',
+    'lib/dot.js',
+    'lib/plantuml.js',
+    'lib/download.js',
+    'lib/pages.js',
+    'lib/zip.js',
+    'lib/svg_render.js',
+    'lib/history.js',
+    'lib/sites.js',
+    'lib/targets.js'
+);
+
+// Pages where the content script runs and the context menu is offered (lib/sites.js)
+const AI_SITE_PATTERNS = getSiteMatchPatterns();
+
+// Create the context menu items when the extension is installed
 chrome.runtime.onInstalled.addListener(() => {
     chrome.contextMenus.create({
         id: "open-in-drawio",
         title: "Open in Draw.io",
         contexts: ["selection"],
-        documentUrlPatterns: [
-            "https://gemini.google.com/*",
-            "https://aistudio.google.com/*",
-            "https://chatgpt.com/*",
-            "https://claude.ai/*",
-            "https://chat.deepseek.com/*",
-            "https://www.perplexity.ai/*",
-            "https://aistudio.xiaomimimo.com/*"
-        ]
+        documentUrlPatterns: AI_SITE_PATTERNS
+    });
+    chrome.contextMenus.create({
+        id: "download-drawio",
+        title: "Download as .drawio",
+        contexts: ["selection"],
+        documentUrlPatterns: AI_SITE_PATTERNS
+    });
+    // "Open in" submenu with the other targets (lib/targets.js)
+    chrome.contextMenus.create({
+        id: "open-in-target",
+        title: "Open in",
+        contexts: ["selection"],
+        documentUrlPatterns: AI_SITE_PATTERNS
     });
+    for (const target of DIAGRAM_TARGETS.filter(target => target.id !== 'drawio')) {
+        chrome.contextMenus.create({
+            id: `target-${target.id}`,
+            parentId: "open-in-target",
+            title: target.label,
+            contexts: ["selection"]
+        });
+    }
+    chrome.contextMenus.create({
+        id: "download-all-zip",
+        title: "Download all diagrams as ZIP",
+        contexts: ["page"],
+        documentUrlPatterns: AI_SITE_PATTERNS
+    });
+    syncCustomSitesLogged();
+});
+
+// Sites added on the options page: content.js is registered for those whose host permission
+// was granted, and the context menu follows
+const CUSTOM_SITES_SCRIPT_ID = 'custom-sites';
+
+async function syncCustomSites() {
+    const settings = await loadSettings();
+    const patterns = [];
+    for (const adapter of getCustomSiteAdapters(settings.customSites)) {
+        if (await chrome.permissions.contains({ origins: adapter.matches })) {
+            patterns.push(...adapter.matches);
+        }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+    }
+    if (patterns.length > 0) {
+        await chrome.scripting.registerContentScripts([{
+            id: CUSTOM_SITES_SCRIPT_ID,
+            matches: patterns,
+            // Same scripts as the built-in sites
+            js: chrome.runtime.getManifest().content_scripts[0].js,
+            runAt: 'document_idle'
+        }]);
+    }
+
+    const documentUrlPatterns = AI_SITE_PATTERNS.concat(patterns);
+    chrome.contextMenus.update('open-in-drawio', { documentUrlPatterns: documentUrlPatterns });
+    chrome.contextMenus.update('download-drawio', { documentUrlPatterns: documentUrlPatterns });
+    chrome.contextMenus.update('open-in-target', { documentUrlPatterns: documentUrlPatterns });
+    chrome.contextMenus.update('download-all-zip', { documentUrlPatterns: documentUrlPatterns });
+}
+
+function syncCustomSitesLogged() {
+    syncCustomSites().catch((error) => {
+        console.error('[Draw.io Launcher] Could not register the custom sites:', error);
+    });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.customSites) syncCustomSitesLogged();
+});
+chrome.permissions.onAdded.addListener(syncCustomSitesLogged);
+chrome.permissions.onRemoved.addListener(syncCustomSitesLogged);
+
+/**
+ * Sends a message to the content script of the tab. Pages that do not run it yet (not a supported
+ * site) get the scripts injected through activeTab first.
+ * @param {number} tabId
+ * @param {object} message
+ * @returns {Promise<any>} The content script's response
+ */
+async function sendToTabContentScript(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        // No content script listening in this tab yet
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: chrome.runtime.getManifest().content_scripts[0].js
+        });
+        return await chrome.tabs.sendMessage(tabId, message);
+    }
+}
+
+/**
+ * Looks for diagrams on any page when asked from the toolbar popup or the keyboard shortcut;
+ * pages without an adapter get the generic button layout. The number of diagrams found is
+ * shown on the toolbar icon for that tab.
+ * @param {number} tabId
+ * @returns {Promise<number>} Number of code blocks with a button
+ */
+async function scanTab(tabId) {
+    const response = await sendToTabContentScript(tabId, { action: 'scan_page' });
+    const found = (response && response.found) || 0;
+    await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: '#f08705' });
+    await chrome.action.setBadgeText({ tabId: tabId, text: String(found) });
+    return found;
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'scan-page' && tab) {
+        scanTab(tab.id).catch((error) => {
+            // e.g. chrome:// pages and the Web Store, where nothing can be injected
+            console.error('[Draw.io Launcher] Could not scan the page:', error);
+        });
+    }
 });
 
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'open_drawio') {
+    if (request.action === 'open_drawio' || request.action === 'download_diagram') {
         // Process the diagram asynchronously
-        processDiagram(request.content || request.xml, request.type || 'xml')
+        // The popup re-opens history entries with their original source
+        const source = request.source || { url: sender.url, title: request.title || (sender.tab && sender.tab.title) };
+        const task = request.action === 'open_drawio'
+            ? processDiagram(request.content || request.xml, request.type || 'xml', source)
+            : downloadDiagram(request.content, request.type || 'xml', request.title || (sender.tab && sender.tab.title));
+        task
+            .then((report) => {
+                sendResponse({ success: true, report: report || [] });
+            })
+            .catch((error) => {
+                console.error(`Error in ${request.action}:`, error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true; // CRITICAL: Keep the message channel open for async response
+    }
+
+    if (request.action === 'download_zip') {
+        downloadTabDiagrams(request.tabId)
+            .then((result) => {
+                sendResponse({ success: true, count: result.count, report: result.report });
+            })
+            .catch((error) => {
+                console.error('Error in download_zip:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'open_pages') {
+        openDiagramPages(request.pages || [], { url: sender.url, title: sender.tab && sender.tab.title })
+            .then((report) => {
+                sendResponse({ success: true, report: report });
+            })
+            .catch((error) => {
+                console.error('Error in open_pages:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'render_preview') {
+        previewDiagram(request.content, request.type || 'xml')
+            .then((preview) => {
+                sendResponse(Object.assign({ success: true }, preview));
+            })
+            .catch((error) => {
+                console.error('Error in render_preview:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'export_image') {
+        // Failures are reported back: unlike opening, there is no draw.io tab to show them
+        exportDiagramImage(request.content, request.type || 'xml', request.format, request.title || (sender.tab && sender.tab.title))
+            .then((result) => {
+                sendResponse({ success: true, report: result.report, svg: result.svg });
+            })
+            .catch((error) => {
+                console.error('Error in export_image:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'open_target') {
+        const source = { url: sender.url, title: request.title || (sender.tab && sender.tab.title) };
+        openInTarget(request.target, request.content, request.type || 'xml', source, sender.tab)
+            .then((report) => {
+                sendResponse({ success: true, report: report });
+            })
+            .catch((error) => {
+                console.error('Error in open_target:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'edit_diagram') {
+        const source = { url: sender.url, title: request.title || (sender.tab && sender.tab.title) };
+        editDiagram(request.content, request.type || 'xml', sender.tab, source)
+            .then((report) => {
+                sendResponse({ success: true, report: report });
+            })
+            .catch((error) => {
+                console.error('Error in edit_diagram:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'return_diagram') {
+        // Only the extension's editor may write into a chat input, not the pages' content scripts
+        if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL('editor.html'))) return false;
+        returnEditedDiagram(request.tabId, request.xml)
             .then(() => {
                 sendResponse({ success: true });
             })
             .catch((error) => {
-                console.error('Error in processDiagram:', error);
+                console.error('Error in return_diagram:', error);
                 sendResponse({ success: false, error: error.message });
             });
-        return true; // CRITICAL: Keep the message channel open for async response
+        return true;
+    }
+
+    if (request.action === 'scan_tab') {
+        scanTab(request.tabId)
+            .then((found) => {
+                sendResponse({ success: true, found: found });
+            })
+            .catch((error) => {
+                console.error('Error in scan_tab:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
     }
 
     // Handle other message types
@@ -39,7 +278,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Handle the context menu click
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-    if (info.menuItemId === "open-in-drawio") {
+    if (info.menuItemId === "download-all-zip" && tab && tab.id) {
+        downloadTabDiagrams(tab.id)
+            .then((result) => showRepairReport(tab.id, result.report))
+            .catch((error) => showRepairReport(tab.id, [{ code: 'error', message: error.message, warning: true }]));
+        return;
+    }
+    const targetId = String(info.menuItemId).startsWith('target-') ? String(info.menuItemId).slice('target-'.length) : null;
+    if (info.menuItemId === "open-in-drawio" || info.menuItemId === "download-drawio" || targetId) {
+        let handle = info.menuItemId === "open-in-drawio"
+            ? (content, type) => processDiagram(content, type, { url: info.pageUrl, title: tab && tab.title })
+            : (content, type) => downloadDiagram(content, type, tab && tab.title);
+        if (targetId) {
+            handle = (content, type) => openInTarget(targetId, content, type, { url: info.pageUrl, title: tab && tab.title }, tab);
+        }
+        // Failures are shown like the repair report, e.g. a link that cannot be decoded or a
+        // target that does not accept the detected type
+        const run = (content, type) => handle(content, type).catch((error) => {
+            console.error(`Error in ${info.menuItemId}:`, error);
+            return [{ code: 'error', message: error.message, warning: true }];
+        });
+
         // Instead of using info.selectionText directly, ask the content script for the context
         // This allows us to get the full code block content if the user selected part of it
         if (tab && tab.id) {
@@ -49,14 +308,15 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
                     console.warn("Content script error:", chrome.runtime.lastError);
                     if (info.selectionText) {
                         const type = detectTypeFromText(info.selectionText);
-                        processDiagram(info.selectionText, type);
+                        run(info.selectionText, type);
                     }
                 } else if (response && response.content) {
-                    processDiagram(response.content, response.type || 'xml');
+                    run(response.content, response.type || 'xml')
+                        .then((report) => showRepairReport(tab.id, report));
                 } else if (info.selectionText) {
                     // Fallback if no response content
                     const type = detectTypeFromText(info.selectionText);
-                    processDiagram(info.selectionText, type);
+                    run(info.selectionText, type);
                 }
             });
         }
@@ -64,65 +324,601 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 });
 
 function detectTypeFromText(text) {
-    if (!text) return 'xml';
+    // Shared with the content script (lib/detect.js)
+    const type = detectDiagramTypeFromText(text);
+    if (type) return type;
+
+    // Default to XML if unsure (or maybe we should default to nothing? But existing behavior was XML)
+    return 'xml';
+}
+
+/**
+ * Asks the content script in the tab to show what the repair pass changed.
+ * @param {number} tabId
+ * @param {Array<object>} report
+ */
+function showRepairReport(tabId, report) {
+    if (!report || report.length === 0) return;
+    chrome.tabs.sendMessage(tabId, { action: 'show_repair_report', report: report }, () => {
+        // Ignore tabs without a content script
+        void chrome.runtime.lastError;
+    });
+}
 
-    // Mermaid keywords
-    if (/^\s*(graph|flowchart|sequenceDiagram|classDiagram|stateDiagram|erDiagram|gantt|pie|gitGraph)/.test(text)) {
-        return 'mermaid';
+/**
+ * Runs the conversion, lint, sanitize and repair steps shared by opening and downloading.
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {object} settings From loadSettings
+ * @returns {Promise<{type: string, content: string, report: Array<object>}>} `type` is 'xml' (content
+ *   is a repaired mxfile) or 'mermaid' / 'plantuml' (content is text for diagrams.net's import). The
+ *   report lists conversions and repairs (see repairMxGraphXml), plus warnings (`warning: true`).
+ */
+async function prepareDiagram(content, type, settings) {
+    // Converted diagrams continue on the XML path below
+    let conversionReport = [];
+    // Share links and compressed pages are inflated first, so the repair pass sees their cells
+    if (type === 'xml') {
+        const decoded = await decodeMxDiagram(content.trim());
+        content = decoded.xml;
+        conversionReport = decoded.report;
+    }
+    // Mermaid from chat models is normalized first (fences, quotes, entities, unquoted labels)
+    if (type === 'mermaid') {
+        const linted = lintMermaid(content);
+        content = linted.text;
+        conversionReport = linted.report.concat(linted.problems.map(problem => Object.assign({ warning: true }, problem)));
+    }
+    // Graphviz DOT is always converted offline; draw.io has no DOT import via URL
+    if (type === 'dot') {
+        const converted = convertDotToMxGraph(content);
+        content = converted.xml;
+        type = 'xml';
+        conversionReport = conversionReport.concat(converted.report);
+    }
+    // Opt-in: Mermaid flowcharts become native shapes
+    if (type === 'mermaid' && settings.convertMermaid && isMermaidFlowchart(content)) {
+        const converted = convertMermaidFlowchart(content);
+        content = converted.xml;
+        type = 'xml';
+        conversionReport = conversionReport.concat(converted.report);
+    }
+    // PlantUML sequence/class diagrams are converted where the instance may lack the import
+    if (type === 'plantuml' && shouldConvertPlantUml(settings) && getPlantUmlKind(content)) {
+        const converted = convertPlantUmlToMxGraph(content);
+        content = converted.xml;
+        type = 'xml';
+        conversionReport = conversionReport.concat(converted.report);
     }
 
-    // XML check
-    if (text.includes('</mxfile>') || text.includes('</mxGraphModel>')) {
-        return 'xml';
+    if (type === 'mermaid' || type === 'plantuml') {
+        // Still opened: the import may render it anyway, and the user sees why if it does not
+        const report = conversionReport.slice();
+        const mermaidType = type === 'mermaid' ? getMermaidDiagramType(content) : null;
+        if (mermaidType && !isMermaidImportSupported(mermaidType)) {
+            report.push({
+                code: 'mermaid-unsupported',
+                message: `diagrams.net's Mermaid import may not support "${mermaidType}" diagrams`,
+                warning: true
+            });
+            console.warn('[Draw.io Launcher]', report[report.length - 1].message);
+        }
+        return { type: type, content: content, report: report };
     }
 
-    // Default to XML if unsure (or maybe we should default to nothing? But existing behavior was XML)
-    return 'xml';
+    // Bare mxCell lists or <root> fragments are wrapped into a complete mxfile first
+    const xml = wrapMxGraphFragment(content.trim());
+
+    // 1. Sanitize
+    const sanitizedXml = sanitizeXml(xml);
+
+    // 2. Validate the structure and repair what can be fixed safely,
+    //    then position shapes that came without usable geometry
+    const repaired = repairMxGraphXml(sanitizedXml);
+    // Vertices the repair gave a default geometry have no position; others without x/y sit at 0,0
+    const unplacedIds = new Set(repaired.report.filter(item => item.code === 'missing-geometry').map(item => item.cellId));
+    const laidOut = layoutMxGraphXml(repaired.xml, { unplacedIds: unplacedIds });
+    const report = conversionReport.concat(repaired.report, laidOut.report);
+    if (report.length > 0) {
+        console.info('[Draw.io Launcher] Changed diagram before opening:', report.map(item => item.message));
+    }
+    return { type: 'xml', content: laidOut.xml, report: report };
 }
 
 /**
- * Processes the content: opens Draw.io with XML or Mermaid
+ * Processes the content: opens Draw.io with XML, Mermaid, PlantUML or Graphviz DOT
  * @param {string} content 
- * @param {string} type 'xml' or 'mermaid'
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {{url?: string, title?: string}} [source] Page the diagram came from, kept in the history
+ * @returns {Promise<Array<object>|undefined>} See prepareDiagram
+ * @throws {Error} When the diagram cannot be decoded or converted, for the caller to show
  */
-async function processDiagram(content, type) {
+async function processDiagram(content, type, source) {
     try {
         if (!content) return;
 
-        if (type === 'mermaid') {
-            // Mermaid: Use 'create' URL parameter with JSON
-            // https://app.diagrams.net/?create={type:'mermaid',data:'...'}
+        const settings = await loadSettings();
+        const prepared = await prepareDiagram(content, type, settings);
+
+        if (prepared.type === 'mermaid' || prepared.type === 'plantuml') {
+            // Mermaid / PlantUML: Use 'create' URL parameter with JSON, rendered by diagrams.net's import
+            // <baseUrl>?create={type:'mermaid',data:'...'}
             const config = {
-                type: 'mermaid',
-                data: content
+                type: prepared.type,
+                data: prepared.content
             };
-            const url = `https://app.diagrams.net/?create=${encodeURIComponent(JSON.stringify(config))}`;
+            let url = buildDrawioUrl(settings, { create: JSON.stringify(config) });
+
+            if (settings.deliveryMode !== 'url' && url.length > Number(settings.embedThreshold)) {
+                // The embed protocol only loads XML, so large Mermaid/PlantUML text is sent compressed instead
+                // (same encoding as Graph.compress: deflate-raw + Base64 of the URI-encoded text)
+                const compressedConfig = {
+                    type: prepared.type,
+                    compressed: true,
+                    data: arrayBufferToBase64(await compressData(encodeURIComponent(prepared.content)))
+                };
+                url = buildDrawioUrl(settings, { create: JSON.stringify(compressedConfig) });
+            }
             chrome.tabs.create({ url: url });
         } else {
             // XML: Use #R compression
-            const xml = content.trim();
+            const repairedXml = prepared.content;
 
-            // 1. Sanitize
-            const sanitizedXml = sanitizeXml(xml);
+            // 3. Compress the XML using deflate-raw
+            const compressed = await compressData(repairedXml);
 
-            // 2. Compress the XML using deflate-raw
-            const compressed = await compressData(sanitizedXml);
-
-            // 3. Convert to Base64
+            // 4. Convert to Base64
             const base64 = arrayBufferToBase64(compressed);
 
-            // 4. URL Encode
+            // 5. URL Encode
             // Draw.io #R format expects standard Base64 (deflate-raw).
-            const url = `https://app.diagrams.net/#R${base64}`;
+            const url = buildDrawioUrl(settings, null, `R${base64}`);
 
-            chrome.tabs.create({ url: url });
+            // 6. Large diagrams go through the embed protocol instead of the URL hash
+            if (shouldUseEmbedMode(settings, url)) {
+                await openEmbeddedEditor(repairedXml);
+            } else {
+                chrome.tabs.create({ url: url });
+            }
+        }
+
+        // The original text is kept, so re-opening runs the current conversion settings
+        if (settings.keepHistory) {
+            await recordHistory(content, type, source).catch((error) => {
+                console.warn('[Draw.io Launcher] Could not save the diagram to the history:', error);
+            });
         }
+        return prepared.report;
 
     } catch (error) {
         console.error("Error processing Draw.io diagram:", error);
+        throw error;
     }
 }
 
+/**
+ * Opens the diagrams of a conversation as one multi-page file (lib/pages.js). Everything that can
+ * become native shapes is converted, like for the image exports; other Mermaid and PlantUML
+ * diagrams are kept as their source text on their own page.
+ * @param {Array<{content: string, type: string, name?: string}>} pages In document order
+ * @param {{url?: string, title?: string}} [source]
+ * @returns {Promise<Array<object>>} Conversion reports of all pages, then the merged file's
+ */
+async function openDiagramPages(pages, source) {
+    if (pages.length === 0) throw new Error('No diagrams found on this page');
+
+    const settings = await loadSettings();
+    const prepared = [];
+    let report = [];
+    for (const page of pages) {
+        const result = await prepareImageDiagram(page.content, page.type, settings);
+        prepared.push({ type: result.type, content: result.content, name: page.name });
+        report = report.concat(result.report);
+    }
+
+    const merged = buildMxPagesFile(prepared);
+    const opened = await processDiagram(merged.xml, 'xml', source);
+    return report.concat(merged.report, opened || []);
+}
+
+/**
+ * Opens the diagram in one of the targets of lib/targets.js, after checking it accepts the type.
+ * @param {string} targetId
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {{url?: string, title?: string}} [source]
+ * @param {chrome.tabs.Tab} [tab] The page the diagram came from
+ * @returns {Promise<Array<object>>} See prepareDiagram
+ */
+async function openInTarget(targetId, content, type, source, tab) {
+    const target = findDiagramTarget(targetId);
+    if (!target) throw new Error(`Unknown target: ${targetId}`);
+    if (!content) throw new Error('The block is empty');
+    if (!target.types.includes(type)) {
+        throw new Error(`${target.label} does not open ${TARGET_TYPE_LABELS[type] || type} diagrams`);
+    }
+
+    if (target.open === 'drawio') {
+        return (await processDiagram(content, type, source)) || [];
+    }
+    const settings = await loadSettings();
+    if (target.open === 'vscode') {
+        return openInVscode(content, type, settings, source && source.title, tab);
+    }
+
+    // Other tools get the source with the same Mermaid fixes as diagrams.net
+    const linted = type === 'mermaid' ? lintMermaid(content) : { text: content, report: [] };
+    await chrome.tabs.create({ url: await target.buildUrl(linted.text, type, settings) });
+    return linted.report;
+}
+
+/**
+ * Saves the diagram as .drawio and opens the file in VS Code through a vscode://file link; the
+ * Draw.io extension (hediet.vscode-drawio) is the editor for .drawio files there. Converted like
+ * the image exports, since the file must be draw.io XML.
+ * @param {string} content
+ * @param {string} type
+ * @param {object} settings
+ * @param {string} [pageTitle] Conversation title, used when the diagram has no name
+ * @param {chrome.tabs.Tab} [tab] Hands the link to the OS without leaving the page
+ * @returns {Promise<Array<object>>}
+ */
+async function openInVscode(content, type, settings, pageTitle, tab) {
+    const prepared = await prepareImageDiagram(content, type, settings);
+    if (prepared.type !== 'xml') {
+        throw new Error('Only draw.io XML, Graphviz DOT, Mermaid flowcharts and PlantUML sequence/class diagrams can be opened in VS Code');
+    }
+    const downloadId = await chrome.downloads.download({
+        url: toDataUrl(prepared.content, DOWNLOAD_FORMATS.xml.mimeType),
+        filename: buildDownloadFilename(getDiagramName(prepared.content), pageTitle, DOWNLOAD_FORMATS.xml.extension)
+    });
+    const uri = buildVscodeFileUri(await waitForDownload(downloadId));
+    // External protocols do not navigate away, so the page stays; a new tab would stay blank
+    if (tab && tab.id) {
+        await chrome.tabs.update(tab.id, { url: uri });
+    } else {
+        await chrome.tabs.create({ url: uri });
+    }
+    return prepared.report;
+}
+
+/**
+ * Waits until a download is written to disk.
+ * @param {number} downloadId
+ * @returns {Promise<string>} Absolute path of the file
+ */
+function waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+        const listener = (delta) => {
+            if (delta.id === downloadId && delta.state) check();
+        };
+        const check = async () => {
+            const [item] = await chrome.downloads.search({ id: downloadId });
+            if (item && item.state === 'in_progress') return;
+            chrome.downloads.onChanged.removeListener(listener);
+            if (!item) {
+                reject(new Error('The download was removed'));
+            } else if (item.state === 'complete') {
+                resolve(item.filename);
+            } else {
+                reject(new Error(`The file could not be saved (${item.error})`));
+            }
+        };
+        chrome.downloads.onChanged.addListener(listener);
+        check().catch(reject);
+    });
+}
+
+/**
+ * "Edit and send back": opens the diagram in editor.html, which returns it to the chat input of
+ * the tab it came from on Save & Exit (see returnEditedDiagram). The editor only exchanges XML,
+ * so Mermaid and PlantUML are converted like for the image exports.
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {chrome.tabs.Tab} tab The conversation
+ * @param {{url?: string, title?: string}} [source]
+ * @returns {Promise<Array<object>>} See prepareDiagram
+ */
+async function editDiagram(content, type, tab, source) {
+    if (!content) throw new Error('The block is empty');
+    if (!tab) throw new Error('Only diagrams in a chat tab can be sent back');
+
+    const settings = await loadSettings();
+    const prepared = await prepareImageDiagram(content, type, settings);
+    if (prepared.type !== 'xml') {
+        throw new Error('This diagram can only be opened through the diagrams.net import, so it cannot be edited and sent back; use "Open in Draw.io" instead');
+    }
+    await openEmbeddedEditor(prepared.content, source && source.title, tab.id);
+
+    if (settings.keepHistory) {
+        await recordHistory(content, type, source).catch((error) => {
+            console.warn('[Draw.io Launcher] Could not save the diagram to the history:', error);
+        });
+    }
+    return prepared.report;
+}
+
+/**
+ * Inserts a diagram saved in editor.html into the chat input of its conversation and brings
+ * that tab to the front. The message is left for the user to complete and send.
+ * @param {number} tabId
+ * @param {string} xml As saved by diagrams.net, possibly with compressed pages
+ */
+async function returnEditedDiagram(tabId, xml) {
+    let tab;
+    try {
+        tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+        throw new Error('The conversation tab was closed');
+    }
+
+    const decoded = await decodeMxDiagram(xml);
+    const response = await sendToTabContentScript(tabId, { action: 'insert_into_composer', xml: decoded.xml });
+    if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'The chat input could not be found');
+    }
+    await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Prepares a diagram the way "Download .drawio" saves it: a repaired mxfile, or the Mermaid (.mmd)
+ * / PlantUML (.puml) source when it would go through the import.
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {object} settings From loadSettings
+ * @returns {Promise<{type: string, content: string, report: Array<object>, format: {extension: string, mimeType: string}}>}
+ *   See prepareDiagram; `format` is the DOWNLOAD_FORMATS entry of the file
+ */
+async function prepareDownload(content, type, settings) {
+    // Saving Mermaid as .drawio converts flowcharts, whatever the open-time setting is
+    const wantsMxfile = type === 'mermaid' && settings.mermaidDownloadFormat === 'drawio';
+    const prepared = await prepareDiagram(content, type, wantsMxfile ? Object.assign({}, settings, { convertMermaid: true }) : settings);
+    if (wantsMxfile && prepared.type !== 'xml') {
+        prepared.report.push({
+            code: 'download-mmd',
+            message: 'Only Mermaid flowcharts can be saved as .drawio; saved the Mermaid source instead',
+            warning: true
+        });
+    }
+    return Object.assign(prepared, { format: DOWNLOAD_FORMATS[prepared.type] });
+}
+
+/**
+ * Saves the diagram through chrome.downloads instead of opening it (see prepareDownload).
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {string} [pageTitle] Conversation title, used when the diagram has no name
+ * @returns {Promise<Array<object>|undefined>} See prepareDiagram
+ */
+async function downloadDiagram(content, type, pageTitle) {
+    try {
+        if (!content) return;
+
+        const prepared = await prepareDownload(content, type, await loadSettings());
+        const diagramName = prepared.type === 'xml' ? getDiagramName(prepared.content) : null;
+        await chrome.downloads.download({
+            url: toDataUrl(prepared.content, prepared.format.mimeType),
+            filename: buildDownloadFilename(diagramName, pageTitle, prepared.format.extension)
+        });
+        return prepared.report;
+
+    } catch (error) {
+        console.error("Error downloading Draw.io diagram:", error);
+    }
+}
+
+/**
+ * Saves every diagram on the page in one ZIP archive (lib/zip.js): a file per block, prepared
+ * like "Download .drawio", and a manifest.json recording the page, and the position, detected
+ * type and title of each diagram. Blocks that cannot be prepared are listed in the manifest
+ * with the error instead of a file.
+ * @param {number} tabId
+ * @returns {Promise<{count: number, report: Array<object>}>} `count` is the number of files saved
+ */
+async function downloadTabDiagrams(tabId) {
+    const page = await sendToTabContentScript(tabId, { action: 'collect_diagrams' });
+    const diagrams = (page && page.diagrams) || [];
+    if (diagrams.length === 0) throw new Error('No diagrams found on this page');
+
+    const settings = await loadSettings();
+    const files = [];
+    const entries = [];
+    let report = [];
+    for (const [position, diagram] of diagrams.entries()) {
+        const index = position + 1;
+        const entry = { index: index, type: diagram.type, title: diagram.name || '' };
+        try {
+            const prepared = await prepareDownload(diagram.content, diagram.type, settings);
+            if (!entry.title && prepared.type === 'xml') entry.title = getDiagramName(prepared.content) || '';
+            entry.file = `${String(index).padStart(2, '0')}-${sanitizeFilename(entry.title) || DOWNLOAD_FALLBACK_NAME}.${prepared.format.extension}`;
+            files.push({ name: entry.file, content: prepared.content });
+            report = report.concat(prepared.report);
+        } catch (error) {
+            entry.error = error.message;
+            report.push({ code: 'zip-skipped', message: `Diagram ${index} was not saved: ${error.message}`, warning: true });
+        }
+        entries.push(entry);
+    }
+
+    files.push({
+        name: 'manifest.json',
+        content: JSON.stringify({ url: page.url, title: page.title, exported: new Date().toISOString(), diagrams: entries }, null, 2)
+    });
+    await chrome.downloads.download({
+        url: `data:${DOWNLOAD_FORMATS.zip.mimeType};base64,${arrayBufferToBase64(createZip(files))}`,
+        filename: buildDownloadFilename(null, page.title, DOWNLOAD_FORMATS.zip.extension)
+    });
+    return { count: files.length - 1, report: report };
+}
+
+/**
+ * Renders the diagram offline (lib/svg_render.js) and saves it as SVG or PNG, or returns the
+ * SVG markup for the content script to put on the clipboard.
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {string} format 'svg', 'png' or 'copy-svg'
+ * @param {string} [pageTitle] Conversation title, used when the diagram has no name
+ * @returns {Promise<{report: Array<object>, svg?: string}>} `svg` is set for 'copy-svg'
+ */
+async function exportDiagramImage(content, type, format, pageTitle) {
+    if (!content) throw new Error('No diagram to export');
+
+    const prepared = await prepareImageDiagram(content, type, await loadSettings());
+    if (prepared.type !== 'xml') {
+        throw new Error('Only draw.io XML, Graphviz DOT, Mermaid flowcharts and PlantUML sequence/class diagrams can be rendered as images');
+    }
+    const rendered = renderMxGraphSvg(prepared.content);
+    const report = prepared.report.concat(rendered.report);
+    if (format === 'copy-svg') {
+        return { report: report, svg: rendered.svg };
+    }
+
+    const url = format === 'png'
+        ? await rasterizeSvg(rendered.svg, rendered.width, rendered.height)
+        : toDataUrl(rendered.svg, DOWNLOAD_FORMATS.svg.mimeType);
+    await chrome.downloads.download({
+        url: url,
+        filename: buildDownloadFilename(getDiagramName(prepared.content), pageTitle, DOWNLOAD_FORMATS[format].extension)
+    });
+    return { report: report };
+}
+
+/**
+ * prepareDiagram for the offline renderer: everything that can become native shapes is
+ * converted, whatever the open-time settings are.
+ * @param {string} content
+ * @param {string} type
+ * @param {object} settings
+ * @returns {Promise<{type: string, content: string, report: Array<object>}>}
+ */
+function prepareImageDiagram(content, type, settings) {
+    return prepareDiagram(content, type, Object.assign({}, settings, { convertMermaid: true, plantUmlMode: 'convert' }));
+}
+
+// Report codes that mean the block does not parse: Mermaid the lint could not fix, and XML
+// the parser had to patch up (truncated or mismatched tags)
+const PREVIEW_ERROR_CODES = new Set(['mermaid-invalid', 'unclosed-tag', 'truncated-tag', 'unexpected-close-tag']);
+
+/**
+ * Renders the inline preview shown under code blocks by the content script.
+ * @param {string} content
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @returns {Promise<{svg?: string, errors: Array<string>, notice?: string, report?: Array<object>}>}
+ *   `notice` explains why a valid diagram has no preview (it is only rendered by diagrams.net's
+ *   import); `report` lists what opening the diagram would repair or convert
+ */
+async function previewDiagram(content, type) {
+    if (!content) return { errors: ['The block is empty'] };
+
+    let prepared;
+    try {
+        prepared = await prepareImageDiagram(content, type, await loadSettings());
+    } catch (error) {
+        // e.g. DOT syntax errors
+        return { errors: [error.message] };
+    }
+    const errors = prepared.report.filter(item => PREVIEW_ERROR_CODES.has(item.code)).map(item => item.message);
+    const report = prepared.report;
+
+    if (prepared.type !== 'xml') {
+        if (errors.length > 0) return { errors: errors, report: report };
+        const kind = prepared.type === 'mermaid' ? `Mermaid ${getMermaidDiagramType(prepared.content)}` : 'PlantUML';
+        return { errors: errors, report: report, notice: `No local preview for ${kind} diagrams; diagrams.net renders them when opened` };
+    }
+    try {
+        return { svg: renderMxGraphSvg(prepared.content).svg, errors: errors, report: report };
+    } catch (error) {
+        return { errors: errors.concat(error.message), report: report };
+    }
+}
+
+let offscreenDocumentCreating = null;
+
+/**
+ * Draws the SVG onto a canvas in offscreen.html; service workers cannot decode SVG images.
+ * @param {string} svg
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string>} PNG data: URL
+ */
+async function rasterizeSvg(svg, width, height) {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length === 0) {
+        // Concurrent exports share one creation; a second createDocument call would fail
+        if (!offscreenDocumentCreating) {
+            offscreenDocumentCreating = chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['BLOBS'],
+                justification: 'Draws diagrams rendered as SVG onto a canvas to save them as PNG'
+            }).finally(() => {
+                offscreenDocumentCreating = null;
+            });
+        }
+        await offscreenDocumentCreating;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'rasterize_svg', svg: svg, width: width, height: height });
+    if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'The PNG could not be drawn');
+    }
+    return response.dataUrl;
+}
+
+/**
+ * Decides whether PlantUML is converted locally instead of using the diagrams.net import.
+ * @param {object} settings
+ * @returns {boolean}
+ */
+function shouldConvertPlantUml(settings) {
+    if (settings.plantUmlMode === 'convert') return true;
+    if (settings.plantUmlMode === 'import') return false;
+    return !isDefaultInstance(settings);
+}
+
+/**
+ * Decides whether an XML diagram should be delivered through the embed protocol.
+ * @param {object} settings
+ * @param {string} url The #R URL that would be opened otherwise
+ * @returns {boolean}
+ */
+function shouldUseEmbedMode(settings, url) {
+    if (settings.deliveryMode === 'embed') return true;
+    if (settings.deliveryMode === 'url') return false;
+    return url.length > Number(settings.embedThreshold);
+}
+
+/**
+ * Opens editor.html, which loads the diagram into diagrams.net via embed=1&proto=json.
+ * The XML is handed over through chrome.storage.session so it never appears in a URL.
+ * @param {string} xml
+ * @param {string} [title]
+ * @param {number} [returnTabId] Tab whose chat input receives the diagram on Save & Exit
+ */
+async function openEmbeddedEditor(xml, title, returnTabId) {
+    const sessionId = `diagram-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await chrome.storage.session.set({ [sessionId]: { xml: xml, title: title || '', returnTabId: returnTabId } });
+    const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(`editor.html#${sessionId}`) });
+    // Remembered in storage too, since the service worker may be stopped before the tab closes
+    await chrome.storage.session.set({ [`${EDITOR_TAB_KEY_PREFIX}${tab.id}`]: sessionId });
+}
+
+// Session storage key of the diagram shown in an editor tab, followed by the tab id
+const EDITOR_TAB_KEY_PREFIX = 'editor-tab-';
+
+// The diagram is removed on Exit; closing the editor tab instead must not leave it in the
+// session storage quota until the browser restarts
+chrome.tabs.onRemoved.addListener((tabId) => {
+    const tabKey = `${EDITOR_TAB_KEY_PREFIX}${tabId}`;
+    chrome.storage.session.get(tabKey)
+        .then((stored) => {
+            if (stored[tabKey]) return chrome.storage.session.remove([tabKey, stored[tabKey]]);
+        })
+        .catch((error) => {
+            console.warn('[Draw.io Launcher] Could not remove the closed editor\'s diagram:', error);
+        });
+});
+
 /**
  * Compresses a string using Deflate (Raw) format.
  * @param {string} str 
@@ -25,13 +25,13 @@ const healthCheckInterval = setInterval(() => {
 }, 5000); // Check every 5 seconds
 
 const BUTTON_ID_PREFIX = 'drawio-launcher-btn-';
-const HOSTNAME = window.location.hostname;
-const IS_CLAUDE = HOSTNAME.includes('claude.ai');
-const IS_CHATGPT = HOSTNAME.includes('chatgpt.com') || HOSTNAME.includes('chat.openai.com');
-const IS_AISTUDIO = HOSTNAME.includes('aistudio.google.com');
-const IS_DEEPSEEK = HOSTNAME.includes('deepseek.com');
-const IS_PERPLEXITY = HOSTNAME.includes('perplexity.ai');
-const IS_XIAOMIMIMO = HOSTNAME.includes('xiaomimimo.com');
+// Discovery and button placement for this site (lib/sites.js); sites added on the options
+// page are only known once the settings are loaded (see startObserving)
+let siteAdapter = findSiteAdapter(window.location.hostname, undefined, window.location.pathname);
+let siteDiscovery = siteAdapter.discovery || {};
+
+// Elements searched for code blocks when they are added; small ones (SPAN, A, ...) are skipped
+const CONTAINER_TAGS = new Set(['DIV', 'MAIN', 'SECTION', 'ARTICLE', 'TD']);
 
 function detectDiagramType(text, element) {
     if (!text || text.length < 10) return null;
@@ -46,11 +46,6 @@ function detectDiagramType(text, element) {
     if (pre && (pre.classList.contains('language-mermaid') || pre.classList.contains('mermaid'))) {
         return 'mermaid';
     }
-    // 3. Heuristic check for Mermaid keywords if no class found (optional, but good for robustness)
-    if (/^\s*(graph|flowchart|sequenceDiagram|classDiagram|stateDiagram|erDiagram|gantt|pie|gitGraph)/.test(text)) {
-        return 'mermaid';
-    }
-
     // Check for Draw.io XML
     // 1. Check class on the CODE or PRE element
     if (element && (element.classList.contains('language-xml') || element.classList.contains('xml'))) {
@@ -66,12 +61,8 @@ function detectDiagramType(text, element) {
         }
     }
 
-    // 2. Text check (relaxed)
-    if (text.includes('</mxfile>') || text.includes('</mxGraphModel>')) {
-        return 'xml';
-    }
-
-    return null;
+    // No language class: detect PlantUML, DOT, Mermaid keywords or draw.io XML from the text (lib/detect.js)
+    return detectDiagramTypeFromText(text);
 }
 
 function getTextContentExcludingButtons(node) {
@@ -92,67 +83,595 @@ function getTextContentExcludingButtons(node) {
     return '';
 }
 
-function createButton(contentGetter, type) {
-    const btn = document.createElement('button');
-    btn.textContent = 'Open in Draw.io';
-    btn.className = 'drawio-launcher-btn';
+// Shared by the buttons inside the group created by createButton
+const ACTION_BUTTON_STYLE = `
+    height: 100%;
+    margin: 0;
+    line-height: inherit;
+    font-size: inherit;
+    font-family: inherit;
+    background-color: #f08705;
+    color: white;
+    border: none;
+    cursor: pointer;
+    white-space: nowrap;
+    box-sizing: border-box;
+  `;
 
-    // Check if we're on Claude.ai
-    const floatDirection = IS_CLAUDE ? 'left' : 'right';
+/**
+ * Creates the controls injected next to a code block: "Open in Draw.io", a "Download .drawio"
+ * button and a menu of image exports, grouped in one element that callers position and size.
+ * @param {Function|string} contentGetter
+ * @param {string} type Detected diagram type
+ * @returns {HTMLSpanElement}
+ */
+function createButton(contentGetter, type) {
+    const group = document.createElement('span');
+    group.className = 'drawio-launcher-btn';
 
-    btn.style.cssText = `
-    float: ${floatDirection};
+    // Site adapters override the placement (lib/sites.js)
+    group.style.cssText = `
+    float: right;
+    display: inline-flex;
     margin: 8px;
-    padding: 0 12px;
     height: 28px;
     line-height: 28px;
     font-size: 12px;
-    background-color: #f08705;
-    color: white;
-    border: none;
-    border-radius: 4px;
-    cursor: pointer;
     z-index: 1000;
     font-family: sans-serif;
     position: relative;
     white-space: nowrap;
     box-sizing: border-box;
   `;
-    btn.addEventListener('click', async (e) => {
+
+    const btn = document.createElement('button');
+    btn.textContent = 'Open in Draw.io';
+    btn.className = 'drawio-launcher-open';
+    btn.style.cssText = ACTION_BUTTON_STYLE + 'padding: 0 12px; border-radius: 4px 0 0 4px;';
+    btn.addEventListener('click', (e) => {
         e.stopPropagation(); // Prevent triggering code block selection
-        const content = typeof contentGetter === 'function' ? contentGetter() : contentGetter;
+        sendDiagramAction('open_drawio', contentGetter, type);
+    });
 
-        // Check extension context validity
-        if (!extensionContextValid) {
-            alert('🔄 Extension was reloaded.\n\nPlease refresh this page (F5) to continue using the buttons.');
-            return;
-        }
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = '⬇';
+    downloadBtn.title = 'Download .drawio';
+    downloadBtn.className = 'drawio-launcher-download';
+    downloadBtn.style.cssText = ACTION_BUTTON_STYLE +
+        'padding: 0 8px; border-left: 1px solid rgba(255, 255, 255, 0.5);';
+    downloadBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sendDiagramAction('download_diagram', contentGetter, type);
+    });
 
-        // Critical check: Verify chrome.runtime is available
-        if (!chrome || !chrome.runtime || !chrome.runtime.id) {
-            extensionContextValid = false;
-            console.error('[Draw.io Launcher] Extension runtime not available.');
-            alert('🔄 Extension error: Runtime not available.\n\nPlease refresh this page (F5).');
-            return;
+    const moreBtn = document.createElement('button');
+    moreBtn.textContent = '▾';
+    moreBtn.title = 'Other editors, image exports and more';
+    moreBtn.className = 'drawio-launcher-more';
+    moreBtn.style.cssText = ACTION_BUTTON_STYLE +
+        'padding: 0 6px; border-left: 1px solid rgba(255, 255, 255, 0.5); border-radius: 0 4px 4px 0;';
+    moreBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(moreBtn, contentGetter, type);
+    });
+
+    group.appendChild(btn);
+    group.appendChild(downloadBtn);
+    group.appendChild(moreBtn);
+
+    if (type === 'mermaid') {
+        flagInvalidMermaid(btn, contentGetter);
+        // Streaming answers may still be completing the block
+        btn.addEventListener('mouseenter', () => flagInvalidMermaid(btn, contentGetter));
+    }
+    return group;
+}
+
+const EXPORT_MENU_ID = 'drawio-launcher-export-menu';
+
+// Image exports rendered offline by the background script (lib/svg_render.js)
+const EXPORT_MENU_ITEMS = [
+    { label: 'Copy as SVG', format: 'copy-svg' },
+    { label: 'Download SVG', format: 'svg' },
+    { label: 'Download PNG', format: 'png' }
+];
+
+// Offered first for share links, SVG exports and compressed mxfiles, decoded in the page (lib/mxgraph.js)
+const DECODE_MENU_ITEMS = [
+    { label: 'Show XML', decoded: 'show' },
+    { label: 'Copy XML', decoded: 'copy' }
+];
+
+// Offered on chat sites with a composer adapter (lib/sites.js): the diagram opens in the
+// extension's editor, which sends it back into the chat input on Save & Exit
+const EDIT_MENU_ITEM = { label: 'Edit and send back', edit: true };
+
+// Offered last when the page has more than one diagram
+const PAGES_MENU_ITEM = { label: 'Open all as pages', pages: true };
+
+/**
+ * "Open in …" entries for the other targets that accept the type (lib/targets.js), so the
+ * "Open in Draw.io" button and the "▾" menu work as a split button.
+ * @param {string} type
+ * @returns {Array<{label: string, target: string}>}
+ */
+function getTargetMenuItems(type) {
+    return getAlternativeTargets(type).map(target => ({ label: `Open in ${target.label}`, target: target.id }));
+}
+
+/**
+ * Opens the image export menu under the "▾" button, or closes it when it is already open.
+ * The menu is attached to the body so code block headers with overflow: hidden do not clip it.
+ * @param {HTMLButtonElement} anchor
+ * @param {Function|string} contentGetter
+ * @param {string} type
+ */
+function toggleExportMenu(anchor, contentGetter, type) {
+    const existing = document.getElementById(EXPORT_MENU_ID);
+    if (existing) {
+        existing.remove();
+        if (existing._anchor === anchor) return;
+    }
+
+    const rect = anchor.getBoundingClientRect();
+    const menu = document.createElement('div');
+    menu.id = EXPORT_MENU_ID;
+    menu._anchor = anchor;
+    menu.style.cssText = `
+    position: fixed;
+    top: ${Math.round(rect.bottom + 4)}px;
+    right: ${Math.round(window.innerWidth - rect.right)}px;
+    min-width: 140px;
+    padding: 4px 0;
+    background-color: white;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+    font-size: 12px;
+    font-family: sans-serif;
+    z-index: 2147483647;
+  `;
+
+    const content = typeof contentGetter === 'function' ? contentGetter() : contentGetter;
+    const encoded = type === 'xml' && isEncodedMxDiagram(content);
+    const items = (encoded ? DECODE_MENU_ITEMS : []).concat(getTargetMenuItems(type), EXPORT_MENU_ITEMS);
+    if (siteAdapter.composer) items.push(EDIT_MENU_ITEM);
+    if (getDiagramBlocks().length > 1) items.push(PAGES_MENU_ITEM);
+    items.forEach(item => {
+        const entry = document.createElement('button');
+        entry.textContent = item.label;
+        entry.style.cssText = `
+    display: block;
+    width: 100%;
+    padding: 6px 12px;
+    background: none;
+    border: none;
+    color: #333;
+    font: inherit;
+    text-align: left;
+    cursor: pointer;
+  `;
+        entry.addEventListener('mouseenter', () => { entry.style.backgroundColor = '#fdf0e0'; });
+        entry.addEventListener('mouseleave', () => { entry.style.backgroundColor = ''; });
+        entry.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            menu.remove();
+            if (item.decoded) {
+                showDecodedXml(anchor, content, item.decoded);
+                return;
+            }
+            if (item.pages) {
+                openAllAsPages();
+                return;
+            }
+            if (item.target) {
+                sendDiagramAction('open_target', contentGetter, type, { target: item.target });
+                return;
+            }
+            if (item.edit) {
+                sendDiagramAction('edit_diagram', contentGetter, type);
+                return;
+            }
+            const response = await sendDiagramAction('export_image', contentGetter, type, { format: item.format });
+            if (item.format === 'copy-svg' && response && response.svg) {
+                copyToClipboard(anchor, response.svg);
+            }
+        });
+        menu.appendChild(entry);
+    });
+
+    document.body.appendChild(menu);
+    // Any click elsewhere, or scrolling the conversation, closes the menu
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', close);
+        window.removeEventListener('scroll', close, true);
+    };
+    document.addEventListener('click', close);
+    window.addEventListener('scroll', close, true);
+}
+
+/**
+ * Writes the SVG markup or decoded XML to the clipboard and briefly confirms it on the button
+ * ("▾" or the decoded XML panel's "Copy").
+ * @param {HTMLButtonElement} anchor
+ * @param {string} text
+ */
+async function copyToClipboard(anchor, text) {
+    const label = anchor.textContent;
+    try {
+        await navigator.clipboard.writeText(text);
+        anchor.textContent = '✓';
+        setTimeout(() => { anchor.textContent = label; }, 1500);
+    } catch (error) {
+        console.error('[Draw.io Launcher] Failed to copy to the clipboard:', error);
+        showRepairReport([{ code: 'copy-failed', message: 'Could not write to the clipboard', warning: true }]);
+    }
+}
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+/**
+ * Returns the text of the last heading between the previous diagram block and this one,
+ * e.g. "Container diagram" above the second code block of an answer.
+ * @param {Element} block
+ * @param {Element|null} previousBlock
+ * @returns {string} Empty when there is none
+ */
+function findBlockHeading(block, previousBlock) {
+    let heading = '';
+    for (const candidate of document.querySelectorAll(HEADING_SELECTOR)) {
+        if (!(candidate.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+        if (previousBlock && !(previousBlock.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
+        heading = candidate.textContent.trim();
+    }
+    return heading;
+}
+
+/**
+ * Returns the current text of every diagram on the page, in document order, named after the
+ * heading above its block (empty when there is none).
+ * @returns {Array<{content: string, type: string, name: string}>}
+ */
+function collectDiagrams() {
+    return getDiagramBlocks().map((entry, index, entries) => ({
+        content: typeof entry.contentGetter === 'function' ? entry.contentGetter() : entry.contentGetter,
+        type: entry.type,
+        name: findBlockHeading(entry.block, index > 0 ? entries[index - 1].block : null)
+    }));
+}
+
+/**
+ * Opens every diagram on the page as one file with a page per block.
+ */
+function openAllAsPages() {
+    sendDiagramAction('open_pages', null, null, { pages: collectDiagrams() });
+}
+
+const XML_PANEL_ID = 'drawio-launcher-xml-panel';
+
+/**
+ * Decodes a share link, SVG export or compressed mxfile and copies the XML, or shows it in a panel
+ * with "Open in Draw.io" and "Copy" buttons.
+ * @param {HTMLButtonElement} anchor The "▾" button, used to confirm copying
+ * @param {string} content
+ * @param {string} mode 'show' or 'copy'
+ */
+async function showDecodedXml(anchor, content, mode) {
+    let xml;
+    try {
+        xml = (await decodeMxDiagram(content.trim())).xml;
+    } catch (error) {
+        showRepairReport([{ code: 'decode-failed', message: error.message, warning: true }]);
+        return;
+    }
+    if (mode === 'copy') {
+        copyToClipboard(anchor, xml);
+        return;
+    }
+
+    const existing = document.getElementById(XML_PANEL_ID);
+    if (existing) existing.remove();
+
+    const panel = document.createElement('div');
+    panel.id = XML_PANEL_ID;
+    panel.style.cssText = `
+    position: fixed;
+    top: 10vh;
+    left: 50%;
+    transform: translateX(-50%);
+    width: min(720px, 90vw);
+    padding: 12px;
+    background-color: white;
+    color: #333;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3);
+    font-size: 12px;
+    font-family: sans-serif;
+    z-index: 2147483647;
+  `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 6px; height: 28px; margin-bottom: 8px;';
+    const title = document.createElement('strong');
+    title.textContent = 'Decoded draw.io XML';
+    title.style.flex = '1';
+    const textarea = document.createElement('textarea');
+    textarea.value = xml;
+    textarea.readOnly = true;
+    textarea.spellcheck = false;
+    textarea.style.cssText = 'display: block; width: 100%; height: 50vh; box-sizing: border-box; font: 12px monospace; white-space: pre;';
+
+    const createPanelButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = ACTION_BUTTON_STYLE + 'padding: 0 12px; border-radius: 4px;';
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick(button);
+        });
+        return button;
+    };
+    header.append(
+        title,
+        createPanelButton('Open in Draw.io', () => sendDiagramAction('open_drawio', xml, 'xml')),
+        createPanelButton('Copy', (button) => copyToClipboard(button, xml)),
+        createPanelButton('Close', () => panel.remove())
+    );
+    panel.append(header, textarea);
+    document.body.appendChild(panel);
+}
+
+/**
+ * Sends the code block to the background script ('open_drawio', 'download_diagram',
+ * 'export_image', 'open_target', 'edit_diagram' or 'open_pages') and shows what was changed before opening or saving.
+ * @param {string} action
+ * @param {Function|string|null} contentGetter null for 'open_pages', which sends `extra.pages`
+ * @param {string|null} type
+ * @param {object} [extra] Additional message fields, e.g. the export format
+ * @returns {Promise<object|undefined>} The background script's response
+ */
+async function sendDiagramAction(action, contentGetter, type, extra) {
+    const content = typeof contentGetter === 'function' ? contentGetter() : contentGetter;
+
+    // Check extension context validity
+    if (!extensionContextValid) {
+        alert('🔄 Extension was reloaded.\n\nPlease refresh this page (F5) to continue using the buttons.');
+        return;
+    }
+
+    // Critical check: Verify chrome.runtime is available
+    if (!chrome || !chrome.runtime || !chrome.runtime.id) {
+        extensionContextValid = false;
+        console.error('[Draw.io Launcher] Extension runtime not available.');
+        alert('🔄 Extension error: Runtime not available.\n\nPlease refresh this page (F5).');
+        return;
+    }
+
+    try {
+        // Use Promise-based approach for better error handling in MV3
+        const response = await chrome.runtime.sendMessage(Object.assign({
+            action: action,
+            content: content,
+            type: type,
+            // Names downloads after the conversation when the diagram has no name
+            title: document.title
+        }, extra));
+        console.log(`[Draw.io Launcher] Successfully sent diagram (${action})`);
+        if (response && response.success === false && response.error) {
+            showRepairReport([{ code: 'error', message: response.error, warning: true }]);
+        } else if (response && response.report) {
+            showRepairReport(response.report);
         }
+        return response;
+    } catch (error) {
+        console.error('[Draw.io Launcher] Failed to send message:', error);
+        extensionContextValid = false;
 
-        try {
-            // Use Promise-based approach for better error handling in MV3
-            await chrome.runtime.sendMessage({
-                action: 'open_drawio',
-                content: content,
-                type: type
-            });
-            console.log('[Draw.io Launcher] Successfully sent diagram to Draw.io');
-        } catch (error) {
-            console.error('[Draw.io Launcher] Failed to send message:', error);
-            extensionContextValid = false;
+        // User-friendly error message
+        alert('🔄 Extension was reloaded or updated.\n\nPlease refresh this page (F5) to continue using the buttons.');
+    }
+}
+
+/**
+ * Marks the button when the Mermaid block still looks invalid after the automatic fixes
+ * (lib/mermaid_lint.js), listing the problems in its tooltip.
+ * @param {HTMLButtonElement} btn
+ * @param {Function|string} contentGetter
+ */
+function flagInvalidMermaid(btn, contentGetter) {
+    const content = typeof contentGetter === 'function' ? contentGetter() : contentGetter;
+    const { problems } = lintMermaid(content || '');
+    if (problems.length > 0) {
+        btn.textContent = '⚠ Open in Draw.io';
+        btn.title = `This Mermaid block is likely invalid:\n${problems.map(problem => `• ${problem.message}`).join('\n')}`;
+        btn.style.boxShadow = 'inset 0 0 0 2px #c0392b';
+    } else {
+        btn.textContent = 'Open in Draw.io';
+        btn.removeAttribute('title');
+        btn.style.boxShadow = '';
+    }
+}
 
-            // User-friendly error message
-            alert('🔄 Extension was reloaded or updated.\n\nPlease refresh this page (F5) to continue using the buttons.');
+const REPAIR_REPORT_ID = 'drawio-launcher-repair-report';
+const REPAIR_REPORT_MAX_LINES = 6;
+
+// Show what the background conversion/repair passes changed, so users know why the diagram differs from the raw text
+function showRepairReport(report) {
+    if (!report || report.length === 0) return;
+
+    const existing = document.getElementById(REPAIR_REPORT_ID);
+    if (existing) existing.remove();
+
+    const panel = document.createElement('div');
+    panel.id = REPAIR_REPORT_ID;
+    panel.style.cssText = `
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    max-width: 420px;
+    padding: 10px 14px;
+    background-color: #333;
+    color: white;
+    font-size: 12px;
+    font-family: sans-serif;
+    line-height: 1.5;
+    border-left: 4px solid #f08705;
+    border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    z-index: 2147483647;
+    cursor: pointer;
+  `;
+
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    // Warnings alone (e.g. an unsupported Mermaid type) did not change anything
+    title.textContent = report.every(item => item.warning)
+        ? 'Draw.io Launcher warning'
+        : `Draw.io Launcher changed the diagram before opening (${report.length} change${report.length === 1 ? '' : 's'})`;
+    panel.appendChild(title);
+
+    report.slice(0, REPAIR_REPORT_MAX_LINES).forEach(item => {
+        const line = document.createElement('div');
+        line.textContent = `${item.warning ? '⚠' : '•'} ${item.message}`;
+        panel.appendChild(line);
+    });
+    if (report.length > REPAIR_REPORT_MAX_LINES) {
+        const more = document.createElement('div');
+        more.textContent = `… and ${report.length - REPAIR_REPORT_MAX_LINES} more (see the extension console)`;
+        panel.appendChild(more);
+    }
+
+    panel.addEventListener('click', () => panel.remove());
+    document.body.appendChild(panel);
+    setTimeout(() => panel.remove(), 10000);
+}
+
+const PREVIEW_CLASS = 'drawio-launcher-preview';
+// Quiet time before a block is rendered, so streamed answers are previewed once complete
+const PREVIEW_SETTLE_DELAY = 1000;
+
+// Read once per page; the preview can be turned off in the options
+const previewEnabled = loadSettings()
+    .then(settings => settings.inlinePreview !== false)
+    .catch(() => false);
+
+const PREVIEW_STYLE = `
+    :host { display: block; margin: 4px 0 12px; font-family: sans-serif; font-size: 12px; }
+    .preview { border: 1px solid #e0e0e0; border-radius: 4px; background: white; color: #333; }
+    .preview.error { border-color: #c0392b; }
+    .toggle { display: block; width: 100%; padding: 4px 8px; background: none; border: none;
+        color: inherit; font: inherit; text-align: left; cursor: pointer; }
+    .body { padding: 8px; border-top: 1px solid #e0e0e0; overflow: auto; }
+    .body[hidden] { display: none; }
+    .status { color: #777; }
+    .errors { margin: 0 0 8px; color: #c0392b; }
+    svg { display: block; max-width: 100%; max-height: 240px; height: auto; cursor: pointer; }
+`;
+
+/**
+ * Adds a collapsible preview under a detected block. The background script renders it offline
+ * (lib/svg_render.js); it is shown in a shadow root so the page's styles do not reach it, and
+ * re-rendered whenever the block stops changing.
+ * @param {Element} block Block found by processPendingBlocks
+ * @param {Element} codeElement Element holding the diagram text
+ * @param {Function} contentGetter
+ * @param {string} type Detected diagram type
+ */
+async function attachPreview(block, codeElement, contentGetter, type) {
+    if (!(await previewEnabled)) return;
+
+    const anchor = block.tagName === 'CODE' ? (block.closest('pre') || block) : block;
+    const next = anchor.nextElementSibling;
+    if (next && next.classList.contains(PREVIEW_CLASS)) return;
+
+    const host = document.createElement('div');
+    host.className = PREVIEW_CLASS;
+    const shadow = host.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = PREVIEW_STYLE;
+    const container = document.createElement('div');
+    container.className = 'preview';
+    const toggle = document.createElement('button');
+    toggle.className = 'toggle';
+    toggle.textContent = '▾ Diagram preview';
+    const body = document.createElement('div');
+    body.className = 'body';
+    const status = document.createElement('div');
+    status.className = 'status';
+    status.textContent = 'Rendering preview…';
+    body.appendChild(status);
+    container.appendChild(toggle);
+    container.appendChild(body);
+    shadow.appendChild(style);
+    shadow.appendChild(container);
+
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        body.hidden = !body.hidden;
+        toggle.textContent = `${body.hidden ? '▸' : '▾'} Diagram preview`;
+    });
+    body.addEventListener('click', (e) => {
+        if (e.target.closest && e.target.closest('svg')) {
+            sendDiagramAction('open_drawio', contentGetter, type);
         }
     });
-    return btn;
+    anchor.insertAdjacentElement('afterend', host);
+
+    const preview = { container, body, contentGetter, type, lastContent: null };
+    const refresh = debounce(() => renderPreview(preview), PREVIEW_SETTLE_DELAY);
+    new MutationObserver(refresh).observe(codeElement, { childList: true, subtree: true, characterData: true });
+    refresh();
+}
+
+/**
+ * Asks the background script for the preview of the block's current text and shows it,
+ * or the reasons it does not parse.
+ * @param {object} preview State created by attachPreview
+ */
+async function renderPreview(preview) {
+    const content = preview.contentGetter();
+    if (content === preview.lastContent || !extensionContextValid) return;
+    preview.lastContent = content;
+
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'render_preview', content: content, type: preview.type });
+    } catch (error) {
+        // Extension reloaded; the buttons tell the user to refresh
+        return;
+    }
+    // A newer render started while this one was running
+    if (!response || content !== preview.lastContent) return;
+
+    const { container, body } = preview;
+    body.replaceChildren();
+    const errors = response.success ? response.errors || [] : [response.error];
+    container.classList.toggle('error', errors.length > 0);
+
+    if (errors.length > 0) {
+        const list = document.createElement('div');
+        list.className = 'errors';
+        list.textContent = `⚠ This ${preview.type === 'mermaid' ? 'Mermaid' : 'diagram'} does not parse:\n` +
+            errors.map(message => `• ${message}`).join('\n');
+        list.style.whiteSpace = 'pre-line';
+        body.appendChild(list);
+    }
+    if (response.svg) {
+        const svg = new DOMParser().parseFromString(response.svg, 'image/svg+xml').documentElement;
+        if (svg.nodeName === 'svg') {
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = 'Open in Draw.io';
+            svg.insertBefore(title, svg.firstChild);
+            body.appendChild(document.importNode(svg, true));
+        }
+    } else if (response.notice) {
+        const notice = document.createElement('div');
+        notice.className = 'status';
+        notice.textContent = response.notice;
+        body.appendChild(notice);
+    }
 }
 
 // Debounce function to limit frequent updates
@@ -172,24 +691,15 @@ const processedBlocks = new WeakSet();
 
 // Helper function to check if a CODE element is relevant for our extension
 function isRelevantCodeBlock(codeElement) {
-    if (!codeElement) return false;
-
-    // Always consider code-block elements as relevant for checking
-    if (codeElement.tagName === 'CODE-BLOCK') return true;
-
-    if (codeElement.tagName !== 'CODE') return false;
-
-    // For Perplexity, check if the code element is inside a .codeWrapper
-    if (IS_PERPLEXITY && codeElement.closest('.codeWrapper')) {
-        return true;
-    }
+    return isSiteCodeBlock(siteAdapter, codeElement);
+}
 
-    const classes = codeElement.className || '';
-    // Check for language classes that indicate XML or Mermaid
-    return classes.includes('language-xml') ||
-        classes.includes('language-mermaid') ||
-        classes.includes('xml') ||
-        classes.includes('mermaid');
+// Custom sites: the configured code block at or around the element
+function enqueueSiteBlock(element) {
+    const block = siteDiscovery.blockSelector ? element.closest(siteDiscovery.blockSelector) : null;
+    if (!block || processedBlocks.has(block)) return false;
+    pendingBlocks.add(block);
+    return true;
 }
 
 // Prefer processing the CODE child for ChatGPT streaming blocks to avoid double inserts on PRE + CODE
@@ -203,7 +713,7 @@ function enqueuePreOrCode(preElement) {
     }
 
     const codeChild = preElement.querySelector('code');
-    if (IS_CHATGPT) {
+    if (siteDiscovery.allCode) {
         if (codeChild && !processedBlocks.has(codeChild)) {
             pendingBlocks.add(codeChild);
             return true;
@@ -228,7 +738,21 @@ function enqueuePreOrCode(preElement) {
     return false;
 }
 
-const processPendingBlocks = debounce(() => {
+// Blocks that received a button, for 'scan_page' and "Open all as pages"
+const diagramBlocks = [];
+
+/**
+ * Returns the detected blocks still on the page, in document order (streamed answers and
+ * re-rendered messages may have inserted or replaced some since they were found).
+ * @returns {Array<{block: Element, contentGetter: Function|string, type: string}>}
+ */
+function getDiagramBlocks() {
+    return diagramBlocks
+        .filter(entry => entry.block.isConnected)
+        .sort((a, b) => (a.block.compareDocumentPosition(b.block) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+}
+
+function processBlocks() {
     pendingBlocks.forEach(block => {
         // If already processed successfully, skip (unless we want to support updates, but usually once is enough)
         if (processedBlocks.has(block)) return;
@@ -238,6 +762,13 @@ const processPendingBlocks = debounce(() => {
             return;
         }
 
+        // Custom sites: code inside a configured block is handled with that block
+        const siteBlock = siteDiscovery.blockSelector ? block.closest(siteDiscovery.blockSelector) : null;
+        if (siteBlock && siteBlock !== block) {
+            pendingBlocks.delete(block);
+            return;
+        }
+
         // Extract text and detect type
         let text, codeElement;
 
@@ -274,294 +805,13 @@ const processPendingBlocks = debounce(() => {
 
             processedBlocks.add(block);
 
-            // Check if we're on Claude.ai or Gemini for button positioning
-            const isGemini = block.tagName === 'CODE-BLOCK';
-
             // Define content getter to retrieve latest text on click
             const getContent = () => getTextContentExcludingButtons(codeElement || block);
+            diagramBlocks.push({ block: block, contentGetter: getContent, type: type });
 
-            if (IS_CLAUDE) {
-                // Claude specific layout: Block layout (own line) using SPAN (phrasing content) to be valid inside CODE
-                // ... (existing Claude logic) ...
-                // Top Button Container
-                const topContainer = document.createElement('span');
-                topContainer.style.cssText = 'display: flex; justify-content: flex-start; margin-bottom: 8px; width: 100%;';
-
-                const btnTop = createButton(getContent, type);
-                // Override styles for block layout
-                btnTop.style.float = 'none';
-                btnTop.style.margin = '0';
-
-                topContainer.appendChild(btnTop);
-
-                // Bottom Button Container
-                const bottomContainer = document.createElement('span');
-                bottomContainer.style.cssText = 'display: flex; justify-content: flex-start; margin-top: 8px; width: 100%;';
-
-                const btnBottom = createButton(getContent, type);
-                btnBottom.style.float = 'none';
-                btnBottom.style.margin = '0';
-
-                bottomContainer.appendChild(btnBottom);
-
-                // Insert Top Container
-                if (block.firstChild) {
-                    block.insertBefore(topContainer, block.firstChild);
-                } else {
-                    block.appendChild(topContainer);
-                }
-
-                // Insert Bottom Container
-                block.appendChild(bottomContainer);
-
-            } else if (IS_AISTUDIO) {
-                // AI Studio specific layout: Insert into .mat-content in the expansion panel header
-                const expansionPanel = block.closest('mat-expansion-panel');
-                if (expansionPanel) {
-                    const header = expansionPanel.querySelector('mat-expansion-panel-header');
-                    if (header) {
-                        const matContent = header.querySelector('.mat-content');
-                        if (matContent) {
-                            // Check if button already exists in matContent to avoid duplicates
-                            if (!matContent.querySelector('.drawio-launcher-btn')) {
-                                const btn = createButton(getContent, type);
-                                // Style for AI Studio header
-                                btn.style.float = 'none';
-                                btn.style.marginLeft = '12px'; // Spacing from title
-                                btn.style.height = '24px';
-                                btn.style.lineHeight = '24px';
-                                btn.style.fontSize = '12px';
-                                btn.style.display = 'inline-block';
-                                btn.style.verticalAlign = 'middle';
-
-                                // Append to mat-content
-                                matContent.appendChild(btn);
-                            }
-                        }
-                    }
-                }
-            } else if (isGemini) {
-                // Gemini specific layout: Insert into the header toolbar if possible
-                const headerButtons = block.querySelector('.code-block-decoration .buttons');
-
-                if (headerButtons) {
-                    const btn = createButton(getContent, type);
-                    // Override styles for Gemini header
-                    btn.style.float = 'none';
-                    btn.style.margin = '0 8px 0 0'; // Right margin to separate from copy button
-                    btn.style.height = '24px'; // Slightly smaller to fit header
-                    btn.style.lineHeight = '24px';
-                    btn.style.fontSize = '11px';
-                    btn.style.top = '-6px'
-
-                    // Insert as first child of buttons container
-                    if (headerButtons.firstChild) {
-                        headerButtons.insertBefore(btn, headerButtons.firstChild);
-                    } else {
-                        headerButtons.appendChild(btn);
-                    }
-                } else {
-                    // Fallback if no header found (e.g. unexpected structure)
-                    // Try to insert inside the internal container to be "inside" the box
-                    const internalContainer = block.querySelector('.formatted-code-block-internal-container');
-                    if (internalContainer) {
-                        const btn = createButton(getContent, type);
-                        btn.style.position = 'absolute';
-                        btn.style.right = '8px';
-                        btn.style.top = '8px';
-                        btn.style.float = 'none';
-
-                        // Ensure container is relative
-                        if (getComputedStyle(internalContainer).position === 'static') {
-                            internalContainer.style.position = 'relative';
-                        }
-                        internalContainer.appendChild(btn);
-                    } else {
-                        // Ultimate fallback: Default float behavior on the block itself
-                        const btn = createButton(getContent, type);
-                        btn.style.float = 'right';
-                        btn.style.margin = '8px';
-                        if (block.firstChild) {
-                            block.insertBefore(btn, block.firstChild);
-                        } else {
-                            block.appendChild(btn);
-                        }
-                    }
-                }
-            } else if (IS_DEEPSEEK) {
-                // DeepSeek specific layout: Insert into the code block banner toolbar
-                const mdCodeBlock = block.closest('.md-code-block');
-                if (mdCodeBlock) {
-                    const banner = mdCodeBlock.querySelector('.md-code-block-banner');
-                    if (banner) {
-                        const buttonContainer = banner.querySelector('.d2a24f03:last-child .efa13877');
-                        if (buttonContainer) {
-                            // Check if button already exists to avoid duplicates
-                            if (!buttonContainer.querySelector('.drawio-launcher-btn')) {
-                                const btn = createButton(getContent, type);
-                                // Style for DeepSeek header button
-                                btn.style.float = 'none';
-                                btn.style.margin = '0 4px 0 0';
-                                btn.style.height = '24px';
-                                btn.style.lineHeight = '24px';
-                                btn.style.fontSize = '12px';
-                                btn.style.display = 'inline-block';
-                                btn.style.padding = '0 8px';
-
-                                // Insert before first child to be leftmost
-                                if (buttonContainer.firstChild) {
-                                    buttonContainer.insertBefore(btn, buttonContainer.firstChild);
-                                } else {
-                                    buttonContainer.appendChild(btn);
-                                }
-                            }
-                        }
-                    }
-                }
-            } else if (IS_PERPLEXITY) {
-                // Perplexity specific layout: Insert into the code block header with copy button
-                // block could be CODE element, need to find the codeWrapper container
-                let codeWrapper = null;
-                if (block.classList && block.classList.contains('codeWrapper')) {
-                    codeWrapper = block;
-                } else {
-                    codeWrapper = block.closest('.codeWrapper');
-                }
-
-                if (codeWrapper) {
-                    // Find the button container (the div that contains the copy button)
-                    const copyButton = codeWrapper.querySelector('button[data-testid="copy-code-button"]');
-
-                    if (copyButton) {
-                        // Find the parent container with bg-subtler class
-                        const buttonContainer = copyButton.parentElement;
-
-                        if (buttonContainer && !buttonContainer.querySelector('.drawio-launcher-btn')) {
-                            const btn = createButton(getContent, type);
-                            // Style for Perplexity header button - match their style
-                            btn.style.float = 'none';
-                            btn.style.margin = '0';
-                            btn.style.height = '32px';
-                            btn.style.lineHeight = '32px';
-                            btn.style.fontSize = '12px';
-                            btn.style.display = 'inline-block';
-                            btn.style.padding = '0 12px';
-                            btn.style.borderRadius = '9999px'; // Match rounded-full
-                            btn.style.marginRight = '4px'; // Add some spacing
-
-                            // Insert before the copy button
-                            buttonContainer.insertBefore(btn, copyButton);
-                        }
-                    } else {
-                        // Fallback: Insert at the top of codeWrapper if button container not found
-                        if (!codeWrapper.querySelector('.drawio-launcher-btn')) {
-                            const btn = createButton(getContent, type);
-                            btn.style.position = 'absolute';
-                            btn.style.right = '60px';
-                            btn.style.top = '8px';
-                            btn.style.float = 'none';
-                            btn.style.zIndex = '10';
-
-                            // Ensure codeWrapper has relative positioning
-                            if (getComputedStyle(codeWrapper).position === 'static') {
-                                codeWrapper.style.position = 'relative';
-                            }
-                            codeWrapper.appendChild(btn);
-                        }
-                    }
-                }
-            } else if (IS_XIAOMIMIMO) {
-                // xiaomimimo.com specific layout: Insert into the header button container
-                const preElement = block.tagName === 'CODE' ? block.closest('pre') : block;
-                
-                if (preElement) {
-                    const header = preElement.closest('div')?.querySelector('header.flex.items-center');
-                    
-                    if (header) {
-                        const buttonContainer = header.querySelector('div.flex.items-center.gap-2:last-child');
-                        
-                        if (buttonContainer && !buttonContainer.querySelector('.drawio-launcher-btn')) {
-                            const btn = createButton(getContent, type);
-                            // Style for xiaomimimo header button
-                            btn.style.float = 'none';
-                            btn.style.margin = '0';
-                            btn.style.marginRight = '8px';
-                            btn.style.height = '28px';
-                            btn.style.lineHeight = '28px';
-                            btn.style.fontSize = '12px';
-                            btn.style.display = 'inline-block';
-                            btn.style.padding = '0 12px';
-                            btn.style.borderRadius = '6px';
-                            btn.style.position = 'relative';
-                            btn.style.outline = 'none';
-                            btn.style.border = '1px solid transparent';
-                            btn.style.whiteSpace = 'nowrap';
-                            
-                            // Insert before the first child (before the copy button)
-                            if (buttonContainer.firstChild) {
-                                buttonContainer.insertBefore(btn, buttonContainer.firstChild);
-                            } else {
-                                buttonContainer.appendChild(btn);
-                            }
-                        }
-                    }
-                }
-            } else {
-                // ChatGPT Layout: Insert button next to the copy button in the sticky header
-                // Note: block could be CODE element, need to find the PRE parent first
-                const preElement = block.tagName === 'CODE' ? block.closest('pre') : block;
-
-                if (preElement) {
-                    // .contain-inline-size is a CHILD of the PRE element
-                    const container = preElement.querySelector('.contain-inline-size');
-                    if (container) {
-                        // Find the button container (bg-token-bg-elevated-secondary)
-                        const buttonContainer = container.querySelector('.sticky .bg-token-bg-elevated-secondary');
-                        if (buttonContainer) {
-                            // Check if button already exists to avoid duplicates
-                            if (!buttonContainer.querySelector('.drawio-launcher-btn')) {
-                                const btn = createButton(getContent, type);
-                                // Style for ChatGPT header button
-                                btn.style.float = 'none';
-                                btn.style.margin = '0';
-                                btn.style.height = '24px';
-                                btn.style.lineHeight = '24px';
-                                btn.style.fontSize = '12px';
-                                btn.style.display = 'inline-block';
-                                btn.style.padding = '0 8px';
-
-                                // Insert before the first button (copy button)
-                                if (buttonContainer.firstChild) {
-                                    buttonContainer.insertBefore(btn, buttonContainer.firstChild);
-                                } else {
-                                    buttonContainer.appendChild(btn);
-                                }
-                            }
-                        } else {
-                            // Fallback: use old float method if can't find button container
-                            const btn = createButton(getContent, type);
-                            btn.style.float = 'right';
-                            btn.style.margin = '8px';
-                            if (block.firstChild) {
-                                block.insertBefore(btn, block.firstChild);
-                            } else {
-                                block.appendChild(btn);
-                            }
-                        }
-                    } else {
-                        // Ultimate fallback if no container found
-                        const btn = createButton(getContent, type);
-                        btn.style.float = 'right';
-                        btn.style.margin = '8px';
-                        if (block.firstChild) {
-                            block.insertBefore(btn, block.firstChild);
-                        } else {
-                            block.appendChild(btn);
-                        }
-                    }
-                }
-            }
+            placeSiteButton(siteAdapter, block, () => createButton(getContent, type));
 
+            attachPreview(block, codeElement || block, getContent, type);
 
             // Remove from pending once processed successfully
             pendingBlocks.delete(block);
@@ -582,7 +832,30 @@ const processPendingBlocks = debounce(() => {
         }
     });
     // Do NOT clear pendingBlocks - blocks that failed detection will be retried
-}, 100); // Wait 100ms after last change to process (faster response, still debounced)
+}
+
+const processPendingBlocks = debounce(processBlocks, 100); // Wait 100ms after last change to process (faster response, still debounced)
+
+// diagrams.net share links in answers, narrowed down by isMxShareLink (lib/mxgraph.js)
+const SHARE_LINK_SELECTOR = 'a[href*="#R"]';
+
+/**
+ * Adds the controls right after a diagrams.net share link; the background script decodes it.
+ * @param {HTMLAnchorElement} link
+ */
+function addShareLinkButton(link) {
+    if (processedBlocks.has(link) || !isMxShareLink(link.href)) return;
+    processedBlocks.add(link);
+    diagramBlocks.push({ block: link, contentGetter: link.href, type: 'xml' });
+
+    const group = createButton(link.href, 'xml');
+    group.style.float = 'none';
+    group.style.margin = '0 0 0 6px';
+    group.style.height = '22px';
+    group.style.lineHeight = '22px';
+    group.style.verticalAlign = 'middle';
+    link.insertAdjacentElement('afterend', group);
+}
 
 // Observer for dynamic content (SPA) and Streaming
 const observer = new MutationObserver((mutations) => {
@@ -595,6 +868,13 @@ const observer = new MutationObserver((mutations) => {
                 if (node.nodeType === 1) { // Element
                     const tagName = node.tagName;
 
+                    if (siteDiscovery.blockSelector) {
+                        if (enqueueSiteBlock(node)) shouldProcess = true;
+                        for (const block of node.querySelectorAll(siteDiscovery.blockSelector)) {
+                            if (enqueueSiteBlock(block)) shouldProcess = true;
+                        }
+                    }
+
                     // Direct check for PRE or CODE
                     if (tagName === 'PRE') {
                         if (enqueuePreOrCode(node)) shouldProcess = true;
@@ -604,20 +884,21 @@ const observer = new MutationObserver((mutations) => {
                             pendingBlocks.add(node);
                             shouldProcess = true;
                         }
+                    } else if (tagName === 'A') {
+                        addShareLinkButton(node);
                     } else if (tagName === 'CODE') {
                         // Early exit if already processed
                         if (processedBlocks.has(node)) continue;
 
-                        if (IS_CHATGPT || isRelevantCodeBlock(node)) {
+                        if (isRelevantCodeBlock(node)) {
                             pendingBlocks.add(node);
                             shouldProcess = true;
                         }
-                    } else if (tagName === 'DIV' || tagName === 'MAIN' || tagName === 'SECTION' || tagName === 'ARTICLE' || tagName === 'TD' ||
-                        tagName === 'MS-CODE-BLOCK' || tagName === 'MAT-EXPANSION-PANEL' || tagName === 'MS-PROMPT-CHUNK' || tagName === 'MS-TEXT-CHUNK') {
+                    } else if (CONTAINER_TAGS.has(tagName) || (siteDiscovery.containerTags || []).includes(tagName)) {
                         // Only look inside container elements to avoid expensive queries on small elements (SPAN, A, etc.)
 
-                        // For Perplexity, check if this is a codeWrapper
-                        if (IS_PERPLEXITY && node.classList && node.classList.contains('codeWrapper')) {
+                        // Sites whose code blocks are recognized by their wrapper (e.g. Perplexity)
+                        if (siteDiscovery.codeContainer && node.matches(siteDiscovery.codeContainer)) {
                             const code = node.querySelector('code');
                             if (code && !processedBlocks.has(code)) {
                                 pendingBlocks.add(code);
@@ -629,7 +910,7 @@ const observer = new MutationObserver((mutations) => {
                         // Prioritize CODE elements
                         const codes = node.getElementsByTagName('code');
                         for (const code of codes) {
-                            if (!processedBlocks.has(code) && (IS_CHATGPT || isRelevantCodeBlock(code))) {
+                            if (!processedBlocks.has(code) && isRelevantCodeBlock(code)) {
                                 pendingBlocks.add(code);
                                 shouldProcess = true;
                             }
@@ -640,16 +921,19 @@ const observer = new MutationObserver((mutations) => {
                         for (const pre of pres) {
                             if (enqueuePreOrCode(pre)) shouldProcess = true;
                         }
+
+                        node.querySelectorAll(SHARE_LINK_SELECTOR).forEach(addShareLinkButton);
                     }
                 } else if (node.nodeType === 3) { // Text node
                     // Optimization: Only check parent if it's likely a code block
                     const parent = node.parentElement;
+                    if (parent && enqueueSiteBlock(parent)) shouldProcess = true;
                     if (parent) {
                         const parentTagName = parent.tagName;
                         if (parentTagName === 'PRE') {
                             if (enqueuePreOrCode(parent)) shouldProcess = true;
                         } else if (parentTagName === 'CODE') {
-                            if (!processedBlocks.has(parent) && (IS_CHATGPT || isRelevantCodeBlock(parent))) {
+                            if (!processedBlocks.has(parent) && isRelevantCodeBlock(parent)) {
                                 pendingBlocks.add(parent);
                                 shouldProcess = true;
                             }
@@ -659,7 +943,7 @@ const observer = new MutationObserver((mutations) => {
                             if (grandParent) {
                                 if (grandParent.tagName === 'PRE') {
                                     if (enqueuePreOrCode(grandParent)) shouldProcess = true;
-                                } else if (grandParent.tagName === 'CODE' && !processedBlocks.has(grandParent) && (IS_CHATGPT || isRelevantCodeBlock(grandParent))) {
+                                } else if (grandParent.tagName === 'CODE' && !processedBlocks.has(grandParent) && (isRelevantCodeBlock(grandParent))) {
                                     pendingBlocks.add(grandParent);
                                     shouldProcess = true;
                                 }
@@ -674,6 +958,7 @@ const observer = new MutationObserver((mutations) => {
         if (mutation.type === 'characterData') {
             const node = mutation.target;
             const parent = node.parentElement;
+            if (parent && enqueueSiteBlock(parent)) shouldProcess = true;
             if (parent) {
                 const parentTagName = parent.tagName;
                 if (parentTagName === 'PRE') {
@@ -684,7 +969,7 @@ const observer = new MutationObserver((mutations) => {
                         shouldProcess = true;
                     }
                 } else if (parentTagName === 'CODE') {
-                    if (!processedBlocks.has(parent) && (IS_CHATGPT || isRelevantCodeBlock(parent))) {
+                    if (!processedBlocks.has(parent) && isRelevantCodeBlock(parent)) {
                         pendingBlocks.add(parent);
                         shouldProcess = true;
                     }
@@ -698,26 +983,53 @@ const observer = new MutationObserver((mutations) => {
     }
 });
 
-// Check if we're on Claude.ai - disable characterData observation for better performance
-observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    characterData: !IS_CLAUDE // Disable for Claude.ai to improve code block expansion performance
-});
-
-// Initial pass
-// Prioritize CODE and CODE-BLOCK elements
-document.querySelectorAll('code, code-block').forEach(el => {
-    if (IS_CHATGPT || isRelevantCodeBlock(el)) {
-        pendingBlocks.add(el);
+/**
+ * Starts watching the page once the site adapter is known: built-in sites right away, sites
+ * added on the options page (injected through chrome.scripting) after loading the settings.
+ */
+async function startObserving() {
+    if (siteAdapter === SITE_GENERIC_ADAPTER) {
+        const settings = await loadSettings();
+        siteAdapter = findSiteAdapter(window.location.hostname, getCustomSiteAdapters(settings.customSites), window.location.pathname);
+        siteDiscovery = siteAdapter.discovery || {};
     }
-});
 
-// Check PRE elements, but skip if they contain relevant CODE (to avoid duplicates)
-document.querySelectorAll('pre').forEach(pre => {
-    enqueuePreOrCode(pre);
-});
-processPendingBlocks();
+    observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        // Disabled where it slows down the page (Claude.ai code block expansion)
+        characterData: siteDiscovery.observeText !== false
+    });
+
+    // Initial pass
+    queueAllBlocks();
+    processPendingBlocks();
+}
+
+/**
+ * Queues every code block currently on the page, for the initial pass and for 'scan_page'.
+ */
+function queueAllBlocks() {
+    // Prioritize CODE and CODE-BLOCK elements (and the blocks configured for a custom site)
+    const selector = siteDiscovery.blockSelector ? `code, code-block, ${siteDiscovery.blockSelector}` : 'code, code-block';
+    document.querySelectorAll(selector).forEach(el => {
+        if (isRelevantCodeBlock(el)) {
+            pendingBlocks.add(el);
+        }
+    });
+
+    // Check PRE elements, but skip if they contain relevant CODE (to avoid duplicates)
+    document.querySelectorAll('pre').forEach(pre => {
+        enqueuePreOrCode(pre);
+    });
+
+    // Share links need no detection and get their buttons right away
+    document.querySelectorAll(SHARE_LINK_SELECTOR).forEach(addShareLinkButton);
+}
+
+// On other pages the scripts are injected from the toolbar popup or the keyboard shortcut
+// (activeTab), and 'scan_page' waits for the settings before answering
+const observing = startObserving();
 
 // Listen for context menu requests
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -751,5 +1063,33 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
 
         sendResponse({ content: content, type: type });
+    } else if (request.action === 'show_repair_report') {
+        showRepairReport(request.report);
+    } else if (request.action === 'scan_page') {
+        // Blocks added since the last mutation are processed right away instead of debounced
+        observing.then(() => {
+            queueAllBlocks();
+            processBlocks();
+            sendResponse({ found: getDiagramBlocks().length });
+        });
+        return true;
+    } else if (request.action === 'collect_diagrams') {
+        // "Download all diagrams as ZIP": the page is scanned first like for 'scan_page'
+        observing.then(() => {
+            queueAllBlocks();
+            processBlocks();
+            sendResponse({ url: window.location.href, title: document.title, diagrams: collectDiagrams() });
+        });
+        return true;
+    } else if (request.action === 'insert_into_composer') {
+        // "Edit and send back": the edited diagram goes into the chat input as an XML code block,
+        // left for the user to add a message and send
+        const composer = findSiteComposer(siteAdapter, document);
+        if (!composer) {
+            sendResponse({ success: false, error: `The ${siteAdapter.name} chat input was not found. Open the conversation and try again.` });
+            return;
+        }
+        insertIntoSiteComposer(composer, '```xml\n' + request.xml + '\n```\n');
+        sendResponse({ success: true });
     }
 });
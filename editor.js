@@ -0,0 +1,116 @@
+// editor.js
+
+// Hosts diagrams.net in embed mode (embed=1&proto=json) for diagrams that are too large
+// for a #R URL. The background script stores the diagram in chrome.storage.session and
+// opens editor.html#<sessionId>. "Save" downloads the edited diagram as a .drawio file.
+// Diagrams opened with "Edit and send back" also carry the tab whose chat input receives them
+// on Save & Exit.
+
+/**
+ * Replaces the editor with an error message.
+ * @param {string} text
+ * @param {string} [xml] Diagram that could not be delivered, shown so the edits are not lost
+ */
+function showMessage(text, xml) {
+    const message = document.getElementById('message');
+    message.textContent = text;
+    message.style.display = 'block';
+    document.getElementById('editor').style.display = 'none';
+    if (xml) {
+        const result = document.getElementById('result');
+        result.value = xml;
+        result.style.display = 'block';
+        result.select();
+    }
+}
+
+/**
+ * Saves the diagram as a .drawio file; the editor stays open.
+ * @param {string} xml
+ * @param {string} [title]
+ */
+function downloadDiagram(xml, title) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([xml], { type: 'application/vnd.jgraph.mxfile' }));
+    link.download = `${(title || 'diagram').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'diagram'}.drawio`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+}
+
+/**
+ * Hands the saved diagram to the background script, which inserts it into the chat input.
+ * @param {number} tabId
+ * @param {string} xml
+ * @returns {Promise<string|null>} The error, or null once it was inserted
+ */
+async function returnDiagram(tabId, xml) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'return_diagram', tabId: tabId, xml: xml });
+        if (response && response.success) return null;
+        return response && response.error ? response.error : 'No response from the extension';
+    } catch (error) {
+        return error.message;
+    }
+}
+
+async function startEditor() {
+    const sessionId = window.location.hash.slice(1);
+    const stored = sessionId ? await chrome.storage.session.get(sessionId) : {};
+    const diagram = stored[sessionId];
+
+    if (!diagram) {
+        showMessage('This diagram is no longer available. Please open it again from the chat.');
+        return;
+    }
+
+    const settings = await loadSettings();
+    // Diagrams sent back to a chat get "Save & Exit" instead of "Save"
+    const editorUrl = buildDrawioUrl(settings,
+        diagram.returnTabId ? { ...EMBED_URL_PARAMS, saveAndExit: '1', noSaveBtn: '1' } : EMBED_URL_PARAMS);
+    const editorOrigin = new URL(editorUrl).origin;
+    const frame = document.getElementById('editor');
+
+    if (diagram.title) {
+        document.title = `${diagram.title} - Draw.io Quick Launcher`;
+    }
+
+    // Only an explicit save is kept or sent back: leaving with "Exit" discards the edits
+    let savedXml = null;
+    const session = createEmbedSession({
+        post: (message) => frame.contentWindow.postMessage(message, editorOrigin),
+        xml: diagram.xml,
+        title: diagram.title,
+        onSave: (message) => {
+            if (message.event !== 'save') return;
+            if (diagram.returnTabId) {
+                savedXml = message.xml;
+            } else {
+                downloadDiagram(message.xml, diagram.title);
+            }
+        },
+        onExit: async () => {
+            if (diagram.returnTabId && savedXml) {
+                const error = await returnDiagram(diagram.returnTabId, savedXml);
+                if (error) {
+                    showMessage(`The diagram could not be sent back to the chat: ${error}. Copy it from below instead.`, savedXml);
+                    return;
+                }
+            }
+            await chrome.storage.session.remove(sessionId);
+            window.close();
+        }
+    });
+
+    window.addEventListener('message', (event) => {
+        // Only accept protocol messages from the configured instance inside our frame
+        if (event.source !== frame.contentWindow || event.origin !== editorOrigin) return;
+        session.handleMessage(event.data);
+    });
+
+    frame.src = editorUrl;
+}
+
+startEditor().catch((error) => {
+    console.error('[Draw.io Launcher] Failed to start embedded editor:', error);
+    showMessage(`Failed to start the editor: ${error.message}`);
+});
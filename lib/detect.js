@@ -0,0 +1,157 @@
+// lib/detect.js
+
+// Diagram type detection shared by the content script (code blocks) and the background
+// script (context-menu selections). Depends on lib/mxgraph.js for the draw.io XML checks.
+
+// In the extension lib/mxgraph.js is loaded first as a classic script; under Node, require it
+if (typeof module !== 'undefined' && module.exports) {
+    var { isMxGraphDocument, isMxGraphFragment, isMxShareLink, isMxSvgDocument } = require('./mxgraph.js');
+}
+
+// Every diagram keyword in the Mermaid grammar (https://mermaid.js.org/intro/syntax-reference.html)
+const MERMAID_DIAGRAM_TYPES = [
+    'graph', 'flowchart', 'flowchart-elk',
+    'sequenceDiagram',
+    'classDiagram', 'classDiagram-v2',
+    'stateDiagram', 'stateDiagram-v2',
+    'erDiagram',
+    'journey',
+    'gantt',
+    'pie',
+    'quadrantChart',
+    'requirementDiagram',
+    'gitGraph',
+    'C4Context', 'C4Container', 'C4Component', 'C4Dynamic', 'C4Deployment',
+    'mindmap',
+    'timeline',
+    'zenuml',
+    'sankey-beta',
+    'xychart-beta',
+    'block-beta',
+    'packet-beta',
+    'kanban',
+    'architecture-beta',
+    'radar-beta',
+    'treemap-beta'
+];
+
+// Newer than the Mermaid release bundled with diagrams.net, or (zenuml) an external plugin
+const MERMAID_IMPORT_UNSUPPORTED = new Set([
+    'zenuml',
+    'packet-beta',
+    'kanban',
+    'architecture-beta',
+    'radar-beta',
+    'treemap-beta'
+]);
+
+// Longest keywords first so `stateDiagram-v2` wins over `stateDiagram`
+const MERMAID_HEADER = new RegExp(
+    `^(${[...MERMAID_DIAGRAM_TYPES].sort((a, b) => b.length - a.length).join('|')})(?=$|[\\s;:])`);
+
+const PLANTUML_START = /^\s*@startuml\b/i;
+
+// Graph ID of a DOT header: an identifier, a number or a quoted string
+const DOT_ID = String.raw`(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?)|"(?:[^"\\]|\\.)*")`;
+
+// `digraph G {`, `strict graph {` ... The brace must follow the optional ID, and Mermaid's
+// directions are not IDs, so one-line Mermaid such as `graph TD A{x}` does not match
+const DOT_HEADER = new RegExp(String.raw`^\s*(?:strict\s+)?(?:digraph(?:\s+${DOT_ID})?|graph(?:\s+(?!(?:TD|TB|BT|LR|RL)\b)${DOT_ID})?)\s*\{`, 'i');
+
+/**
+ * Removes what may precede the diagram keyword: a `---` front-matter block (title, config)
+ * and `%%{init: ...}%%` directives, which can span several lines.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMermaidPreamble(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/^\s*---[ \t]*\n[\s\S]*?\n---[ \t]*(?:\n|$)/, '')
+        .replace(/%%\{[\s\S]*?\}%%/g, '');
+}
+
+/**
+ * Returns the first line that is not blank, front matter, a %% comment or a %%{init}%% directive.
+ * @param {string} text
+ * @returns {string}
+ */
+function firstMermaidStatement(text) {
+    for (const line of stripMermaidPreamble(text).split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed && !trimmed.startsWith('%%')) return trimmed;
+    }
+    return '';
+}
+
+/**
+ * Returns the Mermaid diagram keyword the text starts with, e.g. 'flowchart' or 'stateDiagram-v2'.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function getMermaidDiagramType(text) {
+    if (!text) return null;
+    const match = firstMermaidStatement(text).match(MERMAID_HEADER);
+    return match ? match[1] : null;
+}
+
+/**
+ * Whether diagrams.net's Mermaid import can render this diagram type.
+ * @param {string} type A keyword returned by getMermaidDiagramType
+ * @returns {boolean}
+ */
+function isMermaidImportSupported(type) {
+    return !MERMAID_IMPORT_UNSUPPORTED.has(type);
+}
+
+/**
+ * Whether the text is a PlantUML diagram (@startuml ... @enduml).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPlantUml(text) {
+    return !!text && PLANTUML_START.test(text);
+}
+
+/**
+ * Whether the text looks like a Graphviz DOT graph.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isDotGraph(text) {
+    if (!text) return false;
+    // Skip leading // and # comments and /* */ blocks
+    const body = text.replace(/^(?:\s*(?:\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/))*/, '');
+    return DOT_HEADER.test(body);
+}
+
+/**
+ * Detects the diagram type from the text alone.
+ * PlantUML and DOT are checked before Mermaid, whose `graph` keyword also starts DOT graphs.
+ * @param {string} text
+ * @returns {'plantuml'|'dot'|'mermaid'|'xml'|null}
+ */
+function detectDiagramTypeFromText(text) {
+    if (!text) return null;
+    if (isPlantUml(text)) return 'plantuml';
+    if (isDotGraph(text)) return 'dot';
+    if (getMermaidDiagramType(text)) return 'mermaid';
+    // Complete documents, or bare mxCell / <root> fragments (wrapped into an mxfile by the background script)
+    if (isMxGraphDocument(text) || isMxGraphFragment(text)) return 'xml';
+    // diagrams.net share links and SVG exports carrying the diagram, decoded by the background script
+    if (isMxShareLink(text) || isMxSvgDocument(text)) return 'xml';
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MERMAID_DIAGRAM_TYPES,
+        stripMermaidPreamble,
+        firstMermaidStatement,
+        getMermaidDiagramType,
+        isMermaidImportSupported,
+        isPlantUml,
+        isDotGraph,
+        detectDiagramTypeFromText
+    };
+}
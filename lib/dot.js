@@ -0,0 +1,491 @@
+// lib/dot.js
+
+// Graphviz DOT support: a parser for the DOT language (nodes, edges, attribute lists,
+// subgraphs and clusters) and a converter to laid-out mxGraph XML, run offline by the
+// background script. Depends on lib/xml_parser.js and lib/layout.js.
+
+// In the extension these are loaded first as classic scripts; under Node, require them
+if (typeof module !== 'undefined' && module.exports) {
+    var { createXmlElement, serializeXml } = require('./xml_parser.js');
+    var { layoutGraphModel } = require('./layout.js');
+}
+
+const DOT_SHAPE_STYLES = {
+    box: 'rounded=0;whiteSpace=wrap;html=1;',
+    ellipse: 'ellipse;whiteSpace=wrap;html=1;',
+    circle: 'ellipse;whiteSpace=wrap;html=1;aspect=fixed;',
+    doublecircle: 'ellipse;shape=doubleEllipse;whiteSpace=wrap;html=1;aspect=fixed;',
+    point: 'ellipse;html=1;aspect=fixed;fillColor=#000000;',
+    diamond: 'rhombus;whiteSpace=wrap;html=1;',
+    plaintext: 'text;html=1;align=center;verticalAlign=middle;whiteSpace=wrap;',
+    note: 'shape=note;whiteSpace=wrap;html=1;backgroundOutline=1;size=15;',
+    cylinder: 'shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;size=10;',
+    hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;size=15;',
+    parallelogram: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    trapezoid: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    component: 'shape=component;align=left;spacingLeft=36;whiteSpace=wrap;html=1;',
+    folder: 'shape=folder;tabWidth=40;tabHeight=14;tabPosition=left;whiteSpace=wrap;html=1;',
+    box3d: 'shape=cube;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;size=10;'
+};
+
+// Graphviz shape names that share a draw.io style
+const DOT_SHAPE_ALIASES = {
+    rect: 'box',
+    rectangle: 'box',
+    square: 'box',
+    record: 'box',
+    Mrecord: 'box',
+    oval: 'ellipse',
+    plain: 'plaintext',
+    none: 'plaintext',
+    underline: 'plaintext',
+    tab: 'folder',
+    Msquare: 'box',
+    Mdiamond: 'diamond',
+    Mcircle: 'circle',
+    egg: 'ellipse',
+    invtrapezium: 'trapezoid',
+    trapezium: 'trapezoid'
+};
+
+const DOT_ARROW_STYLES = {
+    normal: { arrow: 'classic', fill: '1' },
+    inv: { arrow: 'classic', fill: '1' },
+    vee: { arrow: 'open', fill: '0' },
+    open: { arrow: 'open', fill: '0' },
+    empty: { arrow: 'block', fill: '0' },
+    onormal: { arrow: 'block', fill: '0' },
+    dot: { arrow: 'oval', fill: '1' },
+    odot: { arrow: 'oval', fill: '0' },
+    diamond: { arrow: 'diamond', fill: '1' },
+    odiamond: { arrow: 'diamond', fill: '0' },
+    box: { arrow: 'box', fill: '1' },
+    obox: { arrow: 'box', fill: '0' },
+    tee: { arrow: 'dash', fill: '1' },
+    crow: { arrow: 'ERmany', fill: '0' },
+    none: { arrow: 'none', fill: '0' }
+};
+
+const DOT_CLUSTER_STYLE = 'rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;verticalAlign=top;' +
+    'fillColor=none;strokeColor=#999999;';
+const DOT_EDGE_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;';
+
+/**
+ * Splits DOT source into tokens: {type: 'id'|'string'|'html'|'op', value}.
+ * @param {string} text
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenizeDot(text) {
+    const tokens = [];
+    const len = text.length;
+    let i = 0;
+
+    while (i < len) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (text.startsWith('//', i) || (char === '#' && !text.slice(text.lastIndexOf('\n', i - 1) + 1, i).trim())) {
+            // '#' starts a comment only at the beginning of a line (C preprocessor output)
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? len : end + 1;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? len : end + 2;
+        } else if (char === '"') {
+            let value = '';
+            i++;
+            while (i < len && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < len) {
+                    // \" is a quote; \n, \l, \r are line breaks in labels; other escapes are kept
+                    const next = text[i + 1];
+                    if (next === '"') value += '"';
+                    else if (next === 'n' || next === 'l' || next === 'r') value += '\n';
+                    else if (next === '\n') value += '';
+                    else value += '\\' + next;
+                    i += 2;
+                } else {
+                    value += text[i++];
+                }
+            }
+            i++;
+            // "a" + "b" concatenation
+            const last = tokens[tokens.length - 2];
+            if (tokens.length >= 2 && tokens[tokens.length - 1].value === '+' && last.type === 'string') {
+                tokens.pop();
+                last.value += value;
+            } else {
+                tokens.push({ type: 'string', value: value });
+            }
+        } else if (char === '<') {
+            // HTML-like label: balanced angle brackets
+            let depth = 0;
+            const start = i;
+            do {
+                if (text[i] === '<') depth++;
+                else if (text[i] === '>') depth--;
+                i++;
+            } while (i < len && depth > 0);
+            tokens.push({ type: 'html', value: text.slice(start + 1, i - 1) });
+        } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+            tokens.push({ type: 'op', value: text.slice(i, i + 2) });
+            i += 2;
+        } else if ('{}[];,=:+'.includes(char)) {
+            tokens.push({ type: 'op', value: char });
+            i++;
+        } else {
+            const match = text.slice(i).match(/^(?:#[0-9A-Fa-f]{3,8}\b|-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*)/);
+            if (!match) {
+                // Unknown character: skip it rather than failing on sloppy output
+                i++;
+                continue;
+            }
+            tokens.push({ type: 'id', value: match[0] });
+            i += match[0].length;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a DOT graph.
+ * @param {string} text
+ * @returns {{directed: boolean, attributes: object, nodes: Map, edges: Array, clusters: Map}}
+ */
+function parseDot(text) {
+    const tokens = tokenizeDot(text);
+    let pos = 0;
+
+    const peek = (offset) => tokens[pos + (offset || 0)];
+    const isOp = (token, value) => token && token.type === 'op' && token.value === value;
+    const isKeyword = (token, value) => token && token.type === 'id' && token.value.toLowerCase() === value;
+    const expectOp = (value) => {
+        if (!isOp(peek(), value)) {
+            const found = peek() ? peek().value : 'end of input';
+            throw new Error(`DOT syntax error: expected "${value}" but found "${found}"`);
+        }
+        pos++;
+    };
+    const isEdgeOp = (token) => isOp(token, '->') || isOp(token, '--');
+
+    const graph = { directed: false, attributes: {}, nodes: new Map(), edges: [], clusters: new Map() };
+
+    if (isKeyword(peek(), 'strict')) pos++;
+    if (isKeyword(peek(), 'digraph')) {
+        graph.directed = true;
+    } else if (!isKeyword(peek(), 'graph')) {
+        throw new Error('DOT syntax error: expected "graph" or "digraph"');
+    }
+    pos++;
+    if (peek() && !isOp(peek(), '{')) pos++; // graph name
+    expectOp('{');
+
+    const readAttributeList = () => {
+        const attributes = {};
+        while (isOp(peek(), '[')) {
+            pos++;
+            while (peek() && !isOp(peek(), ']')) {
+                const key = peek();
+                pos++;
+                if (isOp(peek(), '=')) {
+                    pos++;
+                    attributes[key.value] = peek() ? peek().value : '';
+                    if (peek() && peek().type === 'html') attributes[`${key.value}:html`] = true;
+                    pos++;
+                } else {
+                    attributes[key.value] = 'true';
+                }
+                if (isOp(peek(), ',') || isOp(peek(), ';')) pos++;
+            }
+            expectOp(']');
+        }
+        return attributes;
+    };
+
+    const ensureNode = (id, scope) => {
+        let node = graph.nodes.get(id);
+        if (!node) {
+            node = { id: id, attributes: Object.assign({}, scope.nodeDefaults), cluster: scope.cluster };
+            graph.nodes.set(id, node);
+        }
+        return node;
+    };
+
+    // Reads a node id (with optional :port) or a subgraph; returns the node ids it stands for
+    const readOperand = (scope) => {
+        const token = peek();
+        if (isKeyword(token, 'subgraph') || isOp(token, '{')) {
+            return readSubgraph(scope);
+        }
+        if (!token || token.type === 'op') return null;
+        pos++;
+        // Ports (a:n, a:port:sw) only affect attachment points
+        while (isOp(peek(), ':') && peek(1) && peek(1).type !== 'op') pos += 2;
+        ensureNode(token.value, scope);
+        return [token.value];
+    };
+
+    const readStatements = (scope) => {
+        const members = [];
+        while (peek() && !isOp(peek(), '}')) {
+            const token = peek();
+
+            if (isOp(token, ';') || isOp(token, ',')) {
+                pos++;
+                continue;
+            }
+
+            // Default attributes: graph / node / edge [ ... ]
+            if ((isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) && isOp(peek(1), '[')) {
+                pos++;
+                const attributes = readAttributeList();
+                const kind = token.value.toLowerCase();
+                if (kind === 'node') Object.assign(scope.nodeDefaults, attributes);
+                else if (kind === 'edge') Object.assign(scope.edgeDefaults, attributes);
+                else Object.assign(scope.graphAttributes, attributes);
+                continue;
+            }
+
+            // Graph attribute: key = value
+            if (token.type !== 'op' && isOp(peek(1), '=')) {
+                scope.graphAttributes[token.value] = peek(2) ? peek(2).value : '';
+                pos += 3;
+                continue;
+            }
+
+            if (isEdgeOp(token)) {
+                throw new Error(`DOT syntax error: expected a node before "${token.value}"`);
+            }
+            let operand = readOperand(scope);
+            if (!operand) {
+                pos++;
+                continue;
+            }
+            members.push(...operand);
+
+            if (isEdgeOp(peek())) {
+                // Edge chain: operands are collected first, attributes apply to every edge in it
+                const chain = [operand];
+                while (isEdgeOp(peek())) {
+                    const operator = peek().value;
+                    pos++;
+                    operand = readOperand(scope);
+                    if (!operand) {
+                        // An edge operator needs a node or subgraph on both sides
+                        const found = peek() ? peek().value : 'end of input';
+                        throw new Error(`DOT syntax error: expected a node after "${operator}" but found "${found}"`);
+                    }
+                    members.push(...operand);
+                    chain.push(operand);
+                }
+                const attributes = Object.assign({}, scope.edgeDefaults, readAttributeList());
+                for (let k = 0; k < chain.length - 1; k++) {
+                    for (const source of chain[k]) {
+                        for (const target of chain[k + 1]) {
+                            graph.edges.push({ source: source, target: target, attributes: attributes });
+                        }
+                    }
+                }
+            } else if (operand.length === 1 && isOp(peek(), '[')) {
+                Object.assign(graph.nodes.get(operand[0]).attributes, readAttributeList());
+            }
+        }
+        return members;
+    };
+
+    const readSubgraph = (parentScope) => {
+        let name = null;
+        if (isKeyword(peek(), 'subgraph')) {
+            pos++;
+            if (peek() && !isOp(peek(), '{')) {
+                name = peek().value;
+                pos++;
+            }
+        }
+        expectOp('{');
+
+        const isCluster = !!name && /^cluster/i.test(name);
+        const scope = {
+            nodeDefaults: Object.assign({}, parentScope.nodeDefaults),
+            edgeDefaults: Object.assign({}, parentScope.edgeDefaults),
+            graphAttributes: isCluster ? {} : parentScope.graphAttributes,
+            cluster: parentScope.cluster
+        };
+        if (isCluster) {
+            const cluster = { id: name, attributes: scope.graphAttributes, parent: parentScope.cluster };
+            graph.clusters.set(name, cluster);
+            scope.cluster = name;
+        }
+
+        const members = readStatements(scope);
+        expectOp('}');
+        return members;
+    };
+
+    const rootScope = { nodeDefaults: {}, edgeDefaults: {}, graphAttributes: graph.attributes, cluster: null };
+    readStatements(rootScope);
+    expectOp('}');
+    return graph;
+}
+
+function isDotFilled(attributes) {
+    return /\bfilled\b/.test(attributes.style || '');
+}
+
+// Graphviz style/color attributes -> draw.io style entries
+function convertDotStyle(attributes, isEdge) {
+    const style = {};
+    const styles = (attributes.style || '').split(',').map(part => part.trim());
+    if (attributes.color) style.strokeColor = attributes.color.split(':')[0];
+    if (isDotFilled(attributes) || attributes.bgcolor) {
+        style.fillColor = attributes.fillcolor || attributes.bgcolor || attributes.color || '#D3D3D3';
+    }
+    if (attributes.fontcolor) style.fontColor = attributes.fontcolor;
+    if (attributes.fontsize) style.fontSize = attributes.fontsize;
+    if (attributes.fontname) style.fontFamily = attributes.fontname;
+    if (attributes.penwidth) style.strokeWidth = attributes.penwidth;
+    if (styles.includes('dashed')) style.dashed = '1';
+    if (styles.includes('dotted')) {
+        style.dashed = '1';
+        style.dashPattern = '1 2';
+    }
+    if (styles.includes('bold')) style.strokeWidth = '2';
+    if (styles.includes('rounded') && !isEdge) style.rounded = '1';
+    if (styles.includes('invis')) {
+        style.opacity = '0';
+        style.textOpacity = '0';
+    }
+    return style;
+}
+
+function dotStyleString(base, extra) {
+    return base + Object.keys(extra).map(key => `${key}=${extra[key]};`).join('');
+}
+
+// Record labels ("{a|b|<p1> c}") become one line per field
+function formatDotLabel(attributes, fallback) {
+    let label = attributes.label !== undefined ? attributes.label : fallback;
+    if (label === '\\N') label = fallback;
+    if (/^M?record$/.test(attributes.shape || '') && !attributes['label:html']) {
+        label = label.replace(/[{}]/g, '').split('|').map(field => field.replace(/<[^>]*>/g, '').trim()).join('<br>');
+    } else if (!attributes['label:html']) {
+        // Plain labels are escaped so they are not read as HTML by html=1 cells
+        label = label.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+    }
+    return label;
+}
+
+function estimateDotSize(node, label, shapeKey) {
+    const lines = label.split(/<br\s*\/?>/i);
+    const longest = Math.max(...lines.map(line => line.replace(/<[^>]*>|&\w+;/g, ' ').length));
+    const width = Number(node.attributes.width) * 72 || Math.min(240, Math.max(100, longest * 8 + 30));
+    const height = Number(node.attributes.height) * 72 || Math.max(50, lines.length * 20 + 20);
+    if (shapeKey === 'point') return { width: 10, height: 10 };
+    if (shapeKey === 'circle' || shapeKey === 'doublecircle') {
+        const size = Math.max(width, height, 60);
+        return { width: size, height: size };
+    }
+    if (shapeKey === 'diamond') return { width: width + 40, height: height + 20 };
+    return { width, height };
+}
+
+function buildDotEdgeStyle(attributes, directed) {
+    const extra = convertDotStyle(attributes, true);
+    const head = DOT_ARROW_STYLES[attributes.arrowhead] || DOT_ARROW_STYLES.normal;
+    const tail = DOT_ARROW_STYLES[attributes.arrowtail] || DOT_ARROW_STYLES.normal;
+    const dir = attributes.dir || (directed ? 'forward' : 'none');
+
+    extra.endArrow = dir === 'forward' || dir === 'both' ? head.arrow : 'none';
+    extra.endFill = head.fill;
+    extra.startArrow = dir === 'back' || dir === 'both' ? tail.arrow : 'none';
+    extra.startFill = tail.fill;
+    return dotStyleString(DOT_EDGE_STYLE, extra);
+}
+
+const DOT_RANKDIR = { TB: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' };
+
+/**
+ * Converts a DOT graph into a laid-out mxfile.
+ * @param {string} text
+ * @returns {{xml: string, report: Array<{code: string, message: string}>}}
+ */
+function convertDotToMxGraph(text) {
+    const graph = parseDot(text);
+    const root = createXmlElement('root', {}, [
+        createXmlElement('mxCell', { id: '0' }),
+        createXmlElement('mxCell', { id: '1', parent: '0' })
+    ]);
+
+    // DOT ids can be any string, so cells get generated ids
+    const cellIds = new Map();
+    let counter = 0;
+    const cellId = (key) => {
+        if (!cellIds.has(key)) cellIds.set(key, `dot-${++counter}`);
+        return cellIds.get(key);
+    };
+    const parentOf = (cluster) => cluster ? cellId(`cluster:${cluster}`) : '1';
+
+    const addCluster = (cluster) => {
+        const label = cluster.attributes.label !== undefined ? formatDotLabel(cluster.attributes, '') : '';
+        root.children.push(createXmlElement('mxCell', {
+            id: cellId(`cluster:${cluster.id}`),
+            value: label,
+            style: dotStyleString(DOT_CLUSTER_STYLE, convertDotStyle(cluster.attributes, false)),
+            vertex: '1',
+            parent: parentOf(cluster.parent)
+        }, [createXmlElement('mxGeometry', { as: 'geometry' })]));
+        [...graph.clusters.values()].filter(child => child.parent === cluster.id).forEach(addCluster);
+    };
+    [...graph.clusters.values()].filter(cluster => !cluster.parent).forEach(addCluster);
+
+    for (const node of graph.nodes.values()) {
+        const shapeName = node.attributes.shape || 'ellipse';
+        const shapeKey = DOT_SHAPE_STYLES[shapeName] ? shapeName : (DOT_SHAPE_ALIASES[shapeName] || 'box');
+        const extra = convertDotStyle(node.attributes, false);
+        if (shapeName === 'Mrecord') extra.rounded = '1';
+        const label = formatDotLabel(node.attributes, node.id);
+        const size = estimateDotSize(node, label, shapeKey);
+        root.children.push(createXmlElement('mxCell', {
+            id: cellId(`node:${node.id}`),
+            value: shapeKey === 'point' ? '' : label,
+            style: dotStyleString(DOT_SHAPE_STYLES[shapeKey], extra),
+            vertex: '1',
+            parent: parentOf(node.cluster)
+        }, [createXmlElement('mxGeometry', { width: String(Math.round(size.width)), height: String(Math.round(size.height)), as: 'geometry' })]));
+    }
+
+    graph.edges.forEach(edge => {
+        root.children.push(createXmlElement('mxCell', {
+            id: `dot-edge-${graph.edges.indexOf(edge) + 1}`,
+            value: edge.attributes.label !== undefined ? formatDotLabel(edge.attributes, '') : '',
+            style: buildDotEdgeStyle(edge.attributes, graph.directed),
+            edge: '1',
+            parent: '1',
+            source: cellId(`node:${edge.source}`),
+            target: cellId(`node:${edge.target}`)
+        }, [createXmlElement('mxGeometry', { relative: '1', as: 'geometry' })]));
+    });
+
+    const model = createXmlElement('mxGraphModel', {}, [root]);
+    const direction = DOT_RANKDIR[(graph.attributes.rankdir || 'TB').toUpperCase()] || 'TB';
+    layoutGraphModel(model, { direction: direction, missingPosition: 'unplaced' });
+
+    const mxfile = createXmlElement('mxfile', {}, [
+        createXmlElement('diagram', { name: graph.attributes.label || 'Page-1', id: 'dot-graph' }, [model])
+    ]);
+    return {
+        xml: serializeXml(mxfile),
+        report: [{
+            code: 'dot-converted',
+            message: `Converted Graphviz DOT to ${graph.nodes.size} shapes and ${graph.edges.length} connectors`
+        }]
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        tokenizeDot,
+        parseDot,
+        convertDotToMxGraph
+    };
+}
@@ -0,0 +1,107 @@
+// lib/download.js
+
+// File naming for "Download .drawio" and the image exports. The name comes from the diagram's
+// own `name` attribute when it is meaningful, otherwise from the conversation (tab) title.
+// Depends on lib/xml_parser.js and lib/sites.js.
+
+// In the extension these are loaded as classic scripts; under Node, require them
+if (typeof module !== 'undefined' && module.exports) {
+    var { parseXml, findXmlElements } = require('./xml_parser.js');
+    var { getSiteTitleSuffixes } = require('./sites.js');
+}
+
+const DOWNLOAD_FALLBACK_NAME = 'diagram';
+const DOWNLOAD_MAX_NAME_LENGTH = 100;
+
+// File extension and MIME type per delivered diagram type, per exported image format, and of the ZIP archive
+const DOWNLOAD_FORMATS = {
+    xml: { extension: 'drawio', mimeType: 'application/vnd.jgraph.mxfile' },
+    mermaid: { extension: 'mmd', mimeType: 'text/plain' },
+    plantuml: { extension: 'puml', mimeType: 'text/plain' },
+    svg: { extension: 'svg', mimeType: 'image/svg+xml' },
+    png: { extension: 'png', mimeType: 'image/png' },
+    zip: { extension: 'zip', mimeType: 'application/zip' }
+};
+
+// Names draw.io and our converters give pages by default; not worth using as a file name
+const GENERIC_PAGE_NAME = /^(Page-\d+|Page \d+)$/i;
+
+/**
+ * Returns the name of the first page of an mxfile, unless it is a generic "Page-1".
+ * @param {string} xml
+ * @returns {string|null}
+ */
+function getDiagramName(xml) {
+    const diagram = findXmlElements(parseXml(xml).document, 'diagram')[0];
+    const name = diagram && (diagram.attributes.name || '').trim();
+    return name && !isGenericPageName(name) ? name : null;
+}
+
+/**
+ * Whether a page name is one draw.io or our converters give by default, e.g. "Page-1".
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isGenericPageName(name) {
+    return GENERIC_PAGE_NAME.test(name);
+}
+
+/**
+ * Matches the site name appended to a conversation title, e.g. " - Claude" in "Release plan - Claude",
+ * for every site adapter (lib/sites.js). Built on use, as lib/sites.js is loaded after this file.
+ * @returns {RegExp}
+ */
+function getTitleSiteSuffix() {
+    return new RegExp(`\\s+[-|\u2013\u2014]\\s+(?:${getSiteTitleSuffixes().join('|')})\\s*$`, 'i');
+}
+
+/**
+ * Makes a string safe to use as a file name on Windows, macOS and Linux.
+ * @param {string} name
+ * @returns {string} Empty when nothing usable is left
+ */
+function sanitizeFilename(name) {
+    return (name || '')
+        .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, DOWNLOAD_MAX_NAME_LENGTH)
+        .trim();
+}
+
+/**
+ * Builds the download file name.
+ * @param {string|null} diagramName From getDiagramName
+ * @param {string} [pageTitle] Title of the conversation tab
+ * @param {string} extension Without the dot, e.g. 'drawio'
+ * @returns {string}
+ */
+function buildDownloadFilename(diagramName, pageTitle, extension) {
+    const title = (pageTitle || '').replace(getTitleSiteSuffix(), '');
+    const base = sanitizeFilename(diagramName) || sanitizeFilename(title) || DOWNLOAD_FALLBACK_NAME;
+    return `${base}.${extension}`;
+}
+
+/**
+ * Encodes file content as a data: URL; chrome.downloads accepts these from the service worker,
+ * which has no URL.createObjectURL.
+ * @param {string} content
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function toDataUrl(content, mimeType) {
+    return `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOWNLOAD_FALLBACK_NAME,
+        DOWNLOAD_FORMATS,
+        getDiagramName,
+        isGenericPageName,
+        sanitizeFilename,
+        buildDownloadFilename,
+        toDataUrl
+    };
+}
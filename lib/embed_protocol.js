@@ -0,0 +1,105 @@
+// lib/embed_protocol.js
+
+// Client side of the diagrams.net embed protocol (embed=1&proto=json).
+// The editor frame posts JSON strings such as {"event":"init"}; we answer with actions such as
+// {"action":"load","xml":"..."}. See https://www.drawio.com/doc/faq/embed-mode
+
+// "Save" and "Exit" buttons: saving keeps the editor open and the host keeps the saved XML,
+// so only an explicit "Exit" leaves without the edits
+const EMBED_URL_PARAMS = {
+    embed: '1',
+    proto: 'json',
+    spin: '1',
+    saveAndExit: '0'
+};
+
+/**
+ * Parses a message posted by the editor frame.
+ * @param {string|object} data
+ * @returns {object|null} The decoded message, or null if it is not part of the protocol
+ */
+function parseEmbedMessage(data) {
+    let message = data;
+    if (typeof data === 'string') {
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!message || typeof message !== 'object' || typeof message.event !== 'string') {
+        return null;
+    }
+    return message;
+}
+
+/**
+ * Creates a session that loads one diagram into an embedded editor once it reports `init`.
+ * @param {object} options
+ * @param {function(string): void} options.post Sends a serialized message to the editor frame
+ * @param {string} options.xml Diagram to load
+ * @param {string} [options.title] Title shown in the editor
+ * @param {function(object): void} [options.onLoad] Called once the editor confirmed the load
+ * @param {function(object): void} [options.onSave] Called with the `save`/`autosave` message
+ * @param {function(object): void} [options.onExit] Called when the user leaves the editor, also
+ *   after onSave for "Save & Exit" (a `save` message with `exit: true`)
+ * @returns {{ handleMessage: function(string|object): boolean, getState: function(): string }}
+ */
+function createEmbedSession(options) {
+    // waiting -> loading -> loaded -> closed
+    let state = 'waiting';
+
+    function send(message) {
+        options.post(JSON.stringify(message));
+    }
+
+    function handleMessage(data) {
+        const message = parseEmbedMessage(data);
+        if (!message || state === 'closed') return false;
+
+        switch (message.event) {
+            case 'init':
+                // The editor re-sends init after a reload; load the diagram again in that case
+                state = 'loading';
+                send({
+                    action: 'load',
+                    xml: options.xml,
+                    title: options.title || '',
+                    autosave: 1
+                });
+                break;
+            case 'load':
+                state = 'loaded';
+                if (options.onLoad) options.onLoad(message);
+                break;
+            case 'save':
+            case 'autosave':
+                if (options.onSave) options.onSave(message);
+                if (message.exit) {
+                    state = 'closed';
+                    if (options.onExit) options.onExit(message);
+                }
+                break;
+            case 'exit':
+                state = 'closed';
+                if (options.onExit) options.onExit(message);
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    return {
+        handleMessage,
+        getState: () => state
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EMBED_URL_PARAMS,
+        parseEmbedMessage,
+        createEmbedSession
+    };
+}
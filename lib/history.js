@@ -0,0 +1,143 @@
+// lib/history.js
+
+// Recently opened diagrams, kept in chrome.storage.local so they survive closing the chat tab.
+// The background script records every diagram it opens; the toolbar popup lists, searches,
+// re-opens, downloads and deletes them.
+
+const HISTORY_STORAGE_KEY = 'diagramHistory';
+
+// chrome.storage.local allows 10 MB, counted in bytes of the stored JSON (CJK text takes three
+// per character); the oldest entries are dropped beyond these limits
+const HISTORY_LIMITS = {
+    maxEntries: 50,
+    maxTotalBytes: 8000000 // UTF-8 bytes of the serialized entries, leaving room for the rest
+};
+
+/**
+ * Size of an entry as chrome.storage.local counts it: its JSON in UTF-8.
+ * @param {object} entry
+ * @returns {number}
+ */
+function getHistoryEntrySize(entry) {
+    return new TextEncoder().encode(JSON.stringify(entry)).length;
+}
+
+/**
+ * Builds a history entry for a diagram opened from a page.
+ * @param {string} content The diagram text as it appeared on the page
+ * @param {string} type 'xml', 'mermaid', 'plantuml' or 'dot'
+ * @param {{url?: string, title?: string}} [source] The page the diagram came from
+ * @param {number} [now] Timestamp in milliseconds
+ * @returns {{id: string, content: string, type: string, title: string, site: string, url: string, timestamp: number}}
+ */
+function createHistoryEntry(content, type, source, now) {
+    const timestamp = now || Date.now();
+    const url = (source && source.url) || '';
+    let site = '';
+    try {
+        site = url ? new URL(url).hostname : '';
+    } catch (e) {
+        // Not a URL we can show a site for
+    }
+    return {
+        id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        content: content,
+        type: type,
+        title: ((source && source.title) || '').trim(),
+        site: site,
+        url: url,
+        timestamp: timestamp
+    };
+}
+
+/**
+ * Adds an entry at the top of the history. Opening the same diagram again moves it up instead
+ * of storing it twice; beyond the limits the oldest entries are dropped.
+ * @param {Array<object>} entries Newest first
+ * @param {object} entry From createHistoryEntry
+ * @param {object} [limits] See HISTORY_LIMITS
+ * @returns {Array<object>} A new array; unchanged when the diagram alone exceeds the size limit
+ */
+function addHistoryEntry(entries, entry, limits) {
+    const settings = Object.assign({}, HISTORY_LIMITS, limits);
+    if (getHistoryEntrySize(entry) > settings.maxTotalBytes) return entries.slice();
+
+    const result = [entry].concat(entries.filter(other => other.type !== entry.type || other.content !== entry.content));
+    let total = 0;
+    const kept = [];
+    for (const item of result) {
+        total += getHistoryEntrySize(item);
+        if (kept.length >= settings.maxEntries || total > settings.maxTotalBytes) break;
+        kept.push(item);
+    }
+    return kept;
+}
+
+/**
+ * Filters entries by a search text matched against title, site, type and diagram text.
+ * @param {Array<object>} entries
+ * @param {string} query Words that must all match, case-insensitive
+ * @returns {Array<object>}
+ */
+function searchHistory(entries, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return entries.slice();
+    return entries.filter(entry => {
+        const haystack = [entry.title, entry.site, entry.type, entry.content].join('\n').toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+}
+
+/**
+ * Loads the history, newest first.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadHistory() {
+    const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+    return stored[HISTORY_STORAGE_KEY];
+}
+
+/**
+ * Records an opened diagram.
+ * @param {string} content
+ * @param {string} type
+ * @param {{url?: string, title?: string}} [source]
+ * @returns {Promise<void>}
+ */
+async function recordHistory(content, type, source) {
+    const entries = await loadHistory();
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: addHistoryEntry(entries, createHistoryEntry(content, type, source)) });
+}
+
+/**
+ * Deletes one entry.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteHistoryEntry(id) {
+    const entries = await loadHistory();
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries.filter(entry => entry.id !== id) });
+}
+
+/**
+ * Deletes every entry.
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+    await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HISTORY_STORAGE_KEY,
+        HISTORY_LIMITS,
+        getHistoryEntrySize,
+        createHistoryEntry,
+        addHistoryEntry,
+        searchHistory,
+        loadHistory,
+        recordHistory,
+        deleteHistoryEntry,
+        clearHistory
+    };
+}
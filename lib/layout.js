@@ -0,0 +1,415 @@
+// lib/layout.js
+
+// Assigns positions to vertices that came without usable geometry, so a model where every
+// box is missing mxGeometry (or everything sits at 0,0) does not open as one pile.
+// Connected vertices get a layered (Sugiyama-style) layout, disconnected ones a grid.
+// Coordinates supplied by the model are kept; draw.io leaves out x and y when they are 0, so a
+// geometry without them is a shape at the origin. Depends on lib/xml_parser.js.
+
+// In the extension the parser is loaded first as a classic script; under Node, require it
+if (typeof module !== 'undefined' && module.exports) {
+    var { parseXml, serializeXml, createXmlElement, getChildElements, findXmlElements } = require('./xml_parser.js');
+}
+
+const LAYOUT_DEFAULTS = {
+    direction: 'TB',     // TB | BT | LR | RL
+    rankSpacing: 60,     // gap between layers
+    nodeSpacing: 40,     // gap between vertices in the same layer
+    margin: 40,          // offset from the origin of the page
+    containerPadding: 20,
+    containerHeader: 30, // room for the label of a group / swimlane
+    gridGap: 30,
+    defaultWidth: 120,
+    defaultHeight: 60,
+    // 'origin': a geometry without x and y is placed at 0,0, as in draw.io files; 'unplaced':
+    // it still needs a position (our converters only give vertices a size)
+    missingPosition: 'origin',
+    // Ids of vertices whose geometry was added by the repair pass (its 'missing-geometry' report)
+    unplacedIds: null
+};
+
+function getCellElement(element) {
+    return element.name === 'mxCell' ? element : getChildElements(element, 'mxCell')[0];
+}
+
+function getGeometryElement(cell) {
+    return getChildElements(cell, 'mxGeometry').find(geo => geo.attributes.as === 'geometry') || null;
+}
+
+function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+// Builds {id -> node} for all cells under <root>, with parent/children links.
+function buildCellIndex(root) {
+    const nodes = new Map();
+    const order = [];
+    for (const element of getChildElements(root)) {
+        const cell = getCellElement(element);
+        const id = element.attributes.id;
+        if (!cell || id === undefined) continue;
+        const node = {
+            id: id,
+            cell: cell,
+            parent: cell.attributes.parent,
+            vertex: cell.attributes.vertex === '1',
+            edge: cell.attributes.edge === '1',
+            source: cell.attributes.source,
+            target: cell.attributes.target,
+            children: []
+        };
+        nodes.set(id, node);
+        order.push(node);
+    }
+    for (const node of order) {
+        const parent = nodes.get(node.parent);
+        if (parent) parent.children.push(node);
+    }
+    return { nodes, order };
+}
+
+function readGeometry(node, options) {
+    let geometry = getGeometryElement(node.cell);
+    const missing = !geometry;
+    if (missing) {
+        geometry = createXmlElement('mxGeometry', { as: 'geometry' });
+        node.cell.children.push(geometry);
+    }
+    const attrs = geometry.attributes;
+    const positionless = attrs.x === undefined && attrs.y === undefined;
+    return {
+        element: geometry,
+        hasPosition: !missing && !(options.unplacedIds && options.unplacedIds.has(node.id)) &&
+            !(positionless && options.missingPosition === 'unplaced'),
+        hasSize: attrs.width !== undefined && attrs.height !== undefined,
+        x: readNumber(attrs.x, 0),
+        y: readNumber(attrs.y, 0),
+        width: readNumber(attrs.width, options.defaultWidth),
+        height: readNumber(attrs.height, options.defaultHeight)
+    };
+}
+
+function writeGeometry(geometry, x, y, width, height) {
+    const attrs = geometry.element.attributes;
+    // Keep attribute order stable: x, y, width, height, then the rest
+    const rest = Object.assign({}, attrs);
+    delete rest.x;
+    delete rest.y;
+    delete rest.width;
+    delete rest.height;
+    geometry.element.attributes = Object.assign(
+        { x: String(Math.round(x)), y: String(Math.round(y)), width: String(Math.round(width)), height: String(Math.round(height)) },
+        rest
+    );
+    geometry.x = x;
+    geometry.y = y;
+    geometry.width = width;
+    geometry.height = height;
+}
+
+// Returns the ancestor of `id` that is a direct child of `containerId`, or null.
+function findChildOf(nodes, id, containerId) {
+    let node = nodes.get(id);
+    const seen = new Set();
+    while (node && !seen.has(node.id)) {
+        seen.add(node.id);
+        if (node.parent === containerId) return node;
+        node = nodes.get(node.parent);
+    }
+    return null;
+}
+
+/**
+ * Assigns ranks with longest-path layering after reversing back edges (DFS) to break cycles.
+ * @param {Array<string>} ids
+ * @param {Array<[string, string]>} links
+ * @returns {Map<string, number>}
+ */
+function assignRanks(ids, links) {
+    const outgoing = new Map(ids.map(id => [id, []]));
+    for (const [from, to] of links) outgoing.get(from).push(to);
+
+    // Drop back edges found by DFS so the remaining graph is acyclic
+    const state = new Map();
+    const acyclic = [];
+    const visit = (id) => {
+        state.set(id, 'active');
+        for (const to of outgoing.get(id)) {
+            if (state.get(to) === 'active') continue;
+            acyclic.push([id, to]);
+            if (!state.has(to)) visit(to);
+        }
+        state.set(id, 'done');
+    };
+    ids.forEach(id => { if (!state.has(id)) visit(id); });
+
+    const incoming = new Map(ids.map(id => [id, []]));
+    for (const [from, to] of acyclic) incoming.get(to).push(from);
+
+    const ranks = new Map();
+    const rankOf = (id) => {
+        if (ranks.has(id)) return ranks.get(id);
+        ranks.set(id, 0);
+        const rank = incoming.get(id).reduce((max, from) => Math.max(max, rankOf(from) + 1), 0);
+        ranks.set(id, rank);
+        return rank;
+    };
+    ids.forEach(rankOf);
+    return ranks;
+}
+
+/**
+ * Orders vertices inside each layer with a few barycenter sweeps to reduce crossings.
+ * @param {Array<Array<string>>} layers
+ * @param {Array<[string, string]>} links
+ */
+function orderLayers(layers, links) {
+    const neighbors = new Map();
+    for (const [from, to] of links) {
+        if (!neighbors.has(from)) neighbors.set(from, []);
+        if (!neighbors.has(to)) neighbors.set(to, []);
+        neighbors.get(from).push(to);
+        neighbors.get(to).push(from);
+    }
+
+    const position = new Map();
+    const index = () => layers.forEach(layer => layer.forEach((id, i) => position.set(id, i)));
+    index();
+
+    const sweep = (layer, fixed) => {
+        const weights = new Map(layer.map((id, i) => {
+            const adjacent = (neighbors.get(id) || []).filter(other => fixed.has(other));
+            if (adjacent.length === 0) return [id, i];
+            return [id, adjacent.reduce((sum, other) => sum + position.get(other), 0) / adjacent.length];
+        }));
+        layer.sort((a, b) => weights.get(a) - weights.get(b));
+        layer.forEach((id, i) => position.set(id, i));
+    };
+
+    for (let pass = 0; pass < 4; pass++) {
+        const downward = pass % 2 === 0;
+        const sequence = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+        sequence.forEach(layer => {
+            const neighborLayer = layers[layers.indexOf(layer) + (downward ? -1 : 1)];
+            sweep(layer, new Set(neighborLayer));
+        });
+    }
+}
+
+/**
+ * Lays out `items` (vertices with known size) in layers, starting at (originX, originY).
+ * @returns {{width: number, height: number}} Extent of the laid-out block
+ */
+function placeLayered(items, links, originX, originY, options) {
+    const horizontal = options.direction === 'LR' || options.direction === 'RL';
+    const reversed = options.direction === 'BT' || options.direction === 'RL';
+    const ids = items.map(item => item.id);
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    const ranks = assignRanks(ids, links);
+    const layerCount = Math.max(...ids.map(id => ranks.get(id))) + 1;
+    const layers = Array.from({ length: layerCount }, () => []);
+    ids.forEach(id => layers[ranks.get(id)].push(id));
+    if (reversed) layers.reverse();
+    orderLayers(layers, links);
+
+    // Size along the layer axis (main) and across it (cross)
+    const mainSize = (item) => horizontal ? item.width : item.height;
+    const crossSize = (item) => horizontal ? item.height : item.width;
+
+    const layerThickness = layers.map(layer => Math.max(...layer.map(id => mainSize(byId.get(id)))));
+    const layerLength = layers.map(layer =>
+        layer.reduce((sum, id) => sum + crossSize(byId.get(id)), 0) + (layer.length - 1) * options.nodeSpacing);
+    const maxLength = Math.max(...layerLength);
+
+    let main = 0;
+    layers.forEach((layer, layerIndex) => {
+        // Center each layer on the widest one
+        let cross = (maxLength - layerLength[layerIndex]) / 2;
+        for (const id of layer) {
+            const item = byId.get(id);
+            const offsetMain = main + (layerThickness[layerIndex] - mainSize(item)) / 2;
+            item.x = originX + (horizontal ? offsetMain : cross);
+            item.y = originY + (horizontal ? cross : offsetMain);
+            cross += crossSize(item) + options.nodeSpacing;
+        }
+        main += layerThickness[layerIndex] + options.rankSpacing;
+    });
+
+    const mainExtent = main - options.rankSpacing;
+    return horizontal ? { width: mainExtent, height: maxLength } : { width: maxLength, height: mainExtent };
+}
+
+/**
+ * Places disconnected vertices in a roughly square grid, starting at (originX, originY).
+ * @returns {{width: number, height: number}}
+ */
+function placeGrid(items, originX, originY, options) {
+    const columns = Math.ceil(Math.sqrt(items.length));
+    const cellWidth = Math.max(...items.map(item => item.width));
+    const cellHeight = Math.max(...items.map(item => item.height));
+    items.forEach((item, i) => {
+        item.x = originX + (i % columns) * (cellWidth + options.gridGap);
+        item.y = originY + Math.floor(i / columns) * (cellHeight + options.gridGap);
+    });
+    const rows = Math.ceil(items.length / columns);
+    return {
+        width: Math.min(items.length, columns) * (cellWidth + options.gridGap) - options.gridGap,
+        height: rows * (cellHeight + options.gridGap) - options.gridGap
+    };
+}
+
+/**
+ * Lays out the unplaced vertex children of one container (a layer, group or swimlane).
+ * Children that are containers themselves are laid out first so their size is known.
+ * @returns {number} Number of vertices that received a position
+ */
+function layoutContainer(container, index, links, options, isTopLevel) {
+    let placedCount = 0;
+    const vertices = container.children.filter(node => node.vertex);
+    if (vertices.length === 0) return 0;
+
+    const geometries = new Map();
+    for (const node of vertices) {
+        placedCount += layoutContainer(node, index, links, options, false);
+        geometries.set(node.id, readGeometry(node, options));
+    }
+
+    // Degenerate: two or more vertices that all share one position (e.g. every x and y left out)
+    // are treated as unplaced
+    const positioned = vertices.filter(node => geometries.get(node.id).hasPosition);
+    const allStacked = vertices.length > 1 && positioned.length === vertices.length &&
+        positioned.every(node => {
+            const geo = geometries.get(node.id);
+            const first = geometries.get(positioned[0].id);
+            return geo.x === first.x && geo.y === first.y;
+        });
+    const unplaced = vertices.filter(node => allStacked || !geometries.get(node.id).hasPosition);
+    if (unplaced.length === 0) return placedCount;
+
+    // Start below whatever the model did place
+    const kept = vertices.filter(node => !unplaced.includes(node));
+    const padding = isTopLevel ? options.margin : options.containerPadding;
+    let originX = padding;
+    let originY = isTopLevel ? options.margin : options.containerHeader;
+    if (kept.length > 0) {
+        originX = Math.min(...kept.map(node => geometries.get(node.id).x));
+        originY = Math.max(...kept.map(node => geometries.get(node.id).y + geometries.get(node.id).height)) + options.rankSpacing;
+    }
+
+    const items = unplaced.map(node => {
+        const geo = geometries.get(node.id);
+        return { id: node.id, width: geo.width, height: geo.height, x: 0, y: 0 };
+    });
+    const unplacedIds = new Set(items.map(item => item.id));
+
+    // Edges count between the direct children that contain their endpoints
+    const containerLinks = [];
+    const seenLinks = new Set();
+    for (const link of links) {
+        const from = findChildOf(index.nodes, link.source, container.id);
+        const to = findChildOf(index.nodes, link.target, container.id);
+        if (!from || !to || from === to || !unplacedIds.has(from.id) || !unplacedIds.has(to.id)) continue;
+        const key = `${from.id}->${to.id}`;
+        if (seenLinks.has(key)) continue;
+        seenLinks.add(key);
+        containerLinks.push([from.id, to.id]);
+    }
+
+    const connectedIds = new Set(containerLinks.flat());
+    const connected = items.filter(item => connectedIds.has(item.id));
+    const isolated = items.filter(item => !connectedIds.has(item.id));
+
+    let extent = { width: 0, height: 0 };
+    if (connected.length > 0) {
+        extent = placeLayered(connected, containerLinks, originX, originY, options);
+    }
+    if (isolated.length > 0) {
+        const gridY = connected.length > 0 ? originY + extent.height + options.rankSpacing : originY;
+        placeGrid(isolated, originX, gridY, options);
+    }
+
+    for (const item of items) {
+        const geo = geometries.get(item.id);
+        writeGeometry(geo, item.x, item.y, geo.width, geo.height);
+    }
+    placedCount += items.length;
+
+    // Grow a container without an explicit size around its children
+    if (!isTopLevel && container.vertex) {
+        const own = readGeometry(container, options);
+        const right = Math.max(...vertices.map(node => geometries.get(node.id).x + geometries.get(node.id).width));
+        const bottom = Math.max(...vertices.map(node => geometries.get(node.id).y + geometries.get(node.id).height));
+        const width = Math.max(own.hasSize ? own.width : 0, right + options.containerPadding);
+        const height = Math.max(own.hasSize ? own.height : 0, bottom + options.containerPadding);
+        if (width !== own.width || height !== own.height || !own.hasSize) {
+            writeGeometry(own, own.x, own.y, width, height);
+            // Its own position is still decided by its parent container
+            if (!own.hasPosition) {
+                delete own.element.attributes.x;
+                delete own.element.attributes.y;
+            }
+        }
+    }
+    return placedCount;
+}
+
+/**
+ * Lays out one mxGraphModel element in place.
+ * @param {object} model
+ * @param {object} [options] See LAYOUT_DEFAULTS
+ * @returns {number} Number of vertices that received a position
+ */
+function layoutGraphModel(model, options) {
+    const settings = Object.assign({}, LAYOUT_DEFAULTS, options);
+    const root = getChildElements(model, 'root')[0];
+    if (!root) return 0;
+
+    const index = buildCellIndex(root);
+    const links = index.order
+        .filter(node => node.edge && node.source && node.target && index.nodes.has(node.source) && index.nodes.has(node.target))
+        .map(node => ({ source: node.source, target: node.target }));
+
+    // Layers are the children of the root cell (cells without parent)
+    let placed = 0;
+    for (const node of index.order) {
+        if (node.parent === undefined || !index.nodes.has(node.parent)) {
+            for (const layer of node.children) {
+                placed += layoutContainer(layer, index, links, settings, true);
+            }
+        }
+    }
+    return placed;
+}
+
+/**
+ * Positions vertices that lack geometry in every mxGraphModel of the document.
+ * @param {string} xml Repaired XML (see repairMxGraphXml)
+ * @param {object} [options] See LAYOUT_DEFAULTS
+ * @returns {{xml: string, report: Array<{code: string, message: string}>}}
+ *   The original string is returned untouched when no vertex needed a position.
+ */
+function layoutMxGraphXml(xml, options) {
+    const { document } = parseXml(xml);
+    let placed = 0;
+    for (const model of findXmlElements(document, 'mxGraphModel')) {
+        placed += layoutGraphModel(model, options);
+    }
+    if (placed === 0) {
+        return { xml: xml, report: [] };
+    }
+    return {
+        xml: serializeXml(document),
+        report: [{ code: 'auto-layout', message: `Arranged ${placed} shape${placed === 1 ? '' : 's'} that had no position` }]
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LAYOUT_DEFAULTS,
+        assignRanks,
+        layoutGraphModel,
+        layoutMxGraphXml
+    };
+}
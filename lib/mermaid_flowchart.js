@@ -0,0 +1,494 @@
+// lib/mermaid_flowchart.js
+
+// Converts Mermaid flowchart/graph syntax into native mxGraph XML (nodes, shapes, edge labels,
+// subgraphs and classDef/style colors), so the result is editable shape by shape instead of
+// being a single Mermaid object. Depends on lib/detect.js, lib/xml_parser.js and lib/layout.js.
+
+// In the extension these are loaded first as classic scripts; under Node, require them
+if (typeof module !== 'undefined' && module.exports) {
+    var { stripMermaidPreamble, firstMermaidStatement } = require('./detect.js');
+    var { createXmlElement, serializeXml } = require('./xml_parser.js');
+    var { layoutGraphModel } = require('./layout.js');
+}
+
+const FLOWCHART_HEADER = /^(?:graph|flowchart)(?:-elk)?(?:\s+(TB|TD|BT|RL|LR))?\s*;?$/i;
+
+// Opening delimiter -> shape; longest delimiters first so '((' wins over '('
+const FLOWCHART_SHAPES = [
+    { open: '(((', close: [')))'], shape: 'doublecircle' },
+    { open: '((', close: ['))'], shape: 'circle' },
+    { open: '([', close: ['])'], shape: 'stadium' },
+    { open: '[[', close: [']]'], shape: 'subroutine' },
+    { open: '[(', close: [')]'], shape: 'cylinder' },
+    { open: '[/', close: ['/]', '\\]'], shape: 'parallelogram' },
+    { open: '[\\', close: ['\\]', '/]'], shape: 'parallelogram_alt' },
+    { open: '{{', close: ['}}'], shape: 'hexagon' },
+    { open: '[', close: [']'], shape: 'rect' },
+    { open: '(', close: [')'], shape: 'round' },
+    { open: '{', close: ['}'], shape: 'rhombus' },
+    { open: '>', close: [']'], shape: 'asymmetric' }
+];
+
+const FLOWCHART_SHAPE_STYLES = {
+    rect: 'rounded=0;whiteSpace=wrap;html=1;',
+    round: 'rounded=1;whiteSpace=wrap;html=1;',
+    stadium: 'rounded=1;arcSize=50;whiteSpace=wrap;html=1;',
+    subroutine: 'shape=process;whiteSpace=wrap;html=1;backgroundOutline=1;',
+    cylinder: 'shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;size=10;',
+    circle: 'ellipse;whiteSpace=wrap;html=1;aspect=fixed;',
+    doublecircle: 'ellipse;shape=doubleEllipse;whiteSpace=wrap;html=1;aspect=fixed;',
+    asymmetric: 'shape=step;perimeter=stepPerimeter;whiteSpace=wrap;html=1;fixedSize=1;size=15;flipH=1;',
+    rhombus: 'rhombus;whiteSpace=wrap;html=1;',
+    hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;size=15;',
+    parallelogram: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    parallelogram_alt: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;flipH=1;',
+    trapezoid: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+    trapezoid_alt: 'shape=trapezoid;perimeter=trapezoidPerimeter;whiteSpace=wrap;html=1;fixedSize=1;flipV=1;'
+};
+
+const SUBGRAPH_STYLE = 'rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;verticalAlign=top;' +
+    'fillColor=#F5F5F5;strokeColor=#999999;fontStyle=1;';
+const FLOWCHART_EDGE_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;';
+
+// Mermaid CSS property -> draw.io style key
+const MERMAID_STYLE_KEYS = {
+    fill: 'fillColor',
+    stroke: 'strokeColor',
+    color: 'fontColor',
+    'stroke-width': 'strokeWidth',
+    'font-size': 'fontSize'
+};
+
+const NODE_ID = /^[\w\u00C0-\uFFFF]+(?:-[\w\u00C0-\uFFFF]+)*/;
+const ARROW_HEADS = { '>': 'classic', 'o': 'oval', 'x': 'cross', '<': 'classic' };
+
+/**
+ * Whether the Mermaid text is a flowchart (`graph` or `flowchart`) the converter understands.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMermaidFlowchart(text) {
+    return !!text && FLOWCHART_HEADER.test(firstMermaidStatement(text));
+}
+
+// Splits the source into statements on newlines and ';' outside quotes and brackets.
+function splitStatements(text) {
+    const statements = [];
+    let current = '';
+    let quote = false;
+    let depth = 0;
+    for (const char of text) {
+        if (char === '"') quote = !quote;
+        if (!quote) {
+            if ('[({'.includes(char)) depth++;
+            if (')]}'.includes(char) && depth > 0) depth--;
+        }
+        if (char === '\n' || (char === ';' && !quote && depth === 0)) {
+            statements.push(current.trim());
+            current = '';
+            quote = false;
+            depth = 0;
+            continue;
+        }
+        current += char;
+    }
+    statements.push(current.trim());
+    return statements.filter(statement => statement && !statement.startsWith('%%'));
+}
+
+// Mermaid escapes characters as #quot; / #35; inside labels
+function decodeMermaidLabel(label) {
+    let text = label.trim();
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+        text = text.slice(1, -1);
+    }
+    // Markdown strings: "`**bold**`"
+    if (text.length >= 2 && text.startsWith('`') && text.endsWith('`')) {
+        text = text.slice(1, -1);
+    }
+    return text.replace(/#(\w+);/g, (match, code) => {
+        if (/^\d+$/.test(code)) return String.fromCodePoint(parseInt(code, 10));
+        const named = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: ' ' };
+        return named[code] !== undefined ? named[code] : match;
+    });
+}
+
+/**
+ * Parses `classDef`/`style` declarations ("fill:#f9f,stroke:#333,stroke-width:4px").
+ * @param {string} declarations
+ * @returns {Object<string, string>} draw.io style entries
+ */
+function parseMermaidStyle(declarations) {
+    const style = {};
+    for (const part of declarations.split(',')) {
+        const separator = part.indexOf(':');
+        if (separator === -1) continue;
+        const key = part.slice(0, separator).trim().toLowerCase();
+        const value = part.slice(separator + 1).trim();
+        if (MERMAID_STYLE_KEYS[key]) {
+            style[MERMAID_STYLE_KEYS[key]] = value.replace(/px$/, '');
+        } else if (key === 'stroke-dasharray') {
+            style.dashed = '1';
+            style.dashPattern = value.replace(/,/g, ' ').replace(/\s+/g, ' ');
+        } else if (key === 'font-weight' && /bold|[6-9]00/.test(value)) {
+            style.fontStyle = '1';
+        }
+    }
+    return style;
+}
+
+function createParser() {
+    return {
+        direction: 'TB',
+        nodes: new Map(),
+        edges: [],
+        subgraphs: new Map(),
+        classDefs: {},
+        nodeStyles: {},
+        // Subgraph stack: the innermost open subgraph owns newly mentioned nodes
+        stack: [],
+        ignored: []
+    };
+}
+
+function mentionNode(parser, id) {
+    let node = parser.nodes.get(id);
+    const owner = parser.stack[parser.stack.length - 1];
+    if (!node && !parser.subgraphs.has(id)) {
+        node = { id: id, label: id, shape: 'rect', classes: [], subgraph: owner ? owner.id : null };
+        parser.nodes.set(id, node);
+        if (owner) owner.children.push(id);
+    } else if (node && owner && node.subgraph === null) {
+        // Mentioned at the top level first (e.g. in an edge), then listed inside a subgraph
+        node.subgraph = owner.id;
+        owner.children.push(id);
+    }
+    return node;
+}
+
+// Reads one node reference (id, optional shape + label, optional :::class) at `pos`.
+function readNode(parser, source, pos) {
+    const rest = source.slice(pos);
+    const leading = rest.match(/^\s*/)[0].length;
+    const idMatch = rest.slice(leading).match(NODE_ID);
+    if (!idMatch) return null;
+
+    const id = idMatch[0];
+    let cursor = pos + leading + id.length;
+    let shape = null;
+    let label = null;
+
+    const spec = FLOWCHART_SHAPES.find(candidate => source.startsWith(candidate.open, cursor));
+    if (spec) {
+        const start = cursor + spec.open.length;
+        let end = -1;
+        let closeUsed = null;
+        if (source[start] === '"') {
+            const quoteEnd = source.indexOf('"', start + 1);
+            if (quoteEnd !== -1) {
+                closeUsed = spec.close.find(close => source.startsWith(close, quoteEnd + 1));
+                if (closeUsed) end = quoteEnd + 1;
+            }
+        }
+        if (end === -1) {
+            for (const close of spec.close) {
+                const index = source.indexOf(close, start);
+                if (index !== -1 && (end === -1 || index < end)) {
+                    end = index;
+                    closeUsed = close;
+                }
+            }
+        }
+        if (end === -1) return null;
+
+        label = decodeMermaidLabel(source.slice(start, end));
+        shape = spec.shape;
+        if (shape === 'parallelogram' && closeUsed === '\\]') shape = 'trapezoid';
+        if (shape === 'parallelogram_alt' && closeUsed === '/]') shape = 'trapezoid_alt';
+        cursor = end + closeUsed.length;
+    }
+
+    const classes = [];
+    const classMatch = source.slice(cursor).match(/^:::([\w-]+)/);
+    if (classMatch) {
+        classes.push(classMatch[1]);
+        cursor += classMatch[0].length;
+    }
+
+    const node = mentionNode(parser, id);
+    if (node) {
+        if (shape) {
+            node.shape = shape;
+            node.label = label;
+        }
+        classes.forEach(name => node.classes.push(name));
+    }
+    return { id: id, end: cursor };
+}
+
+function readNodeGroup(parser, source, pos) {
+    const ids = [];
+    let cursor = pos;
+    for (;;) {
+        const node = readNode(parser, source, cursor);
+        if (!node) return ids.length ? { ids, end: cursor } : null;
+        ids.push(node.id);
+        cursor = node.end;
+        const amp = source.slice(cursor).match(/^\s*&\s*/);
+        if (!amp) return { ids, end: cursor };
+        cursor += amp[0].length;
+    }
+}
+
+function describeLink(startHead, body, endHead, label) {
+    return {
+        label: label ? decodeMermaidLabel(label) : '',
+        dotted: body.includes('.'),
+        thick: body.includes('='),
+        startArrow: startHead ? ARROW_HEADS[startHead] : null,
+        endArrow: endHead ? ARROW_HEADS[endHead] : null
+    };
+}
+
+// Reads a link (`-->`, `-- text -->`, `-.->|text|`, `==>`, `--o`, `<-->`...) at `pos`.
+function readLink(source, pos) {
+    const rest = source.slice(pos);
+
+    // Text between the two halves of the arrow: A -- text --> B, A -. text .-> B, A == text ==> B
+    const textForm = rest.match(/^\s*([<ox]?)(--|==|-\.)\s+([^-=.>|][\s\S]*?)\s*(-{2,}|={2,}|\.+-)([>ox]?)(?=\s|$|[\w"])/);
+    if (textForm) {
+        return {
+            link: describeLink(textForm[1], textForm[2] + textForm[4], textForm[5], textForm[3]),
+            end: pos + textForm[0].length
+        };
+    }
+
+    // 'o' / 'x' heads need a separator after them so ids like "xray" are not read as heads
+    const plain = rest.match(/^\s*([<ox]?)(-\.+-|-{2,}|={2,})(>|[ox](?=[\s|]|$))?/);
+    if (!plain) return null;
+    let end = pos + plain[0].length;
+    let label = '';
+    const pipe = source.slice(end).match(/^\s*\|([^|]*)\|/);
+    if (pipe) {
+        label = pipe[1];
+        end += pipe[0].length;
+    }
+    return { link: describeLink(plain[1], plain[2], plain[3], label), end: end };
+}
+
+function parseSubgraphHeader(parser, rest) {
+    let id;
+    let label;
+    const bracket = rest.match(/^([^\s\[]+)\s*\[(.*)\]$/);
+    if (bracket) {
+        id = bracket[1];
+        label = decodeMermaidLabel(bracket[2]);
+    } else if (/^".*"$/.test(rest)) {
+        label = decodeMermaidLabel(rest);
+        id = `subgraph-${parser.subgraphs.size + 1}`;
+    } else {
+        id = rest || `subgraph-${parser.subgraphs.size + 1}`;
+        label = rest;
+    }
+
+    const owner = parser.stack[parser.stack.length - 1];
+    const subgraph = { id: id, label: label, children: [], parent: owner ? owner.id : null };
+    parser.subgraphs.set(id, subgraph);
+    if (owner) owner.children.push(id);
+    parser.stack.push(subgraph);
+}
+
+function parseStatement(parser, statement) {
+    if (statement === 'end') {
+        parser.stack.pop();
+        return;
+    }
+    const keyword = statement.match(/^(subgraph|direction|classDef|class|style|linkStyle|click|accTitle|accDescr)\b\s*(.*)$/);
+    if (keyword) {
+        const [, name, rest] = keyword;
+        if (name === 'subgraph') {
+            parseSubgraphHeader(parser, rest.trim());
+        } else if (name === 'classDef') {
+            const [names, ...declarations] = rest.trim().split(/\s+/);
+            const style = parseMermaidStyle(declarations.join(' '));
+            names.split(',').forEach(className => { parser.classDefs[className] = style; });
+        } else if (name === 'class') {
+            const match = rest.trim().match(/^(.+?)\s+([\w-]+)$/);
+            if (match) {
+                match[1].split(',').map(id => id.trim()).forEach(id => {
+                    const node = mentionNode(parser, id);
+                    if (node) node.classes.push(match[2]);
+                });
+            }
+        } else if (name === 'style') {
+            const match = rest.trim().match(/^(\S+)\s+(.*)$/);
+            if (match) {
+                parser.nodeStyles[match[1]] = Object.assign(parser.nodeStyles[match[1]] || {}, parseMermaidStyle(match[2]));
+            }
+        } else if (name !== 'direction') {
+            parser.ignored.push(name);
+        }
+        return;
+    }
+
+    // Node / edge chain: group (link group)*
+    let group = readNodeGroup(parser, statement, 0);
+    if (!group) {
+        parser.ignored.push(statement);
+        return;
+    }
+    let cursor = group.end;
+    for (;;) {
+        const link = readLink(statement, cursor);
+        if (!link) break;
+        const next = readNodeGroup(parser, statement, link.end);
+        if (!next) break;
+        for (const source of group.ids) {
+            for (const target of next.ids) {
+                parser.edges.push(Object.assign({ source: source, target: target }, link.link));
+            }
+        }
+        group = next;
+        cursor = next.end;
+    }
+    if (statement.slice(cursor).trim()) {
+        parser.ignored.push(statement);
+    }
+}
+
+/**
+ * Parses Mermaid flowchart text.
+ * @param {string} text
+ * @returns {{direction: string, nodes: Map, edges: Array, subgraphs: Map, classDefs: object, nodeStyles: object, ignored: Array<string>}}
+ */
+function parseMermaidFlowchart(text) {
+    const parser = createParser();
+    const statements = splitStatements(stripMermaidPreamble(text));
+    const header = statements.shift() || '';
+    const headerMatch = header.match(FLOWCHART_HEADER);
+    if (!headerMatch) {
+        throw new Error('Not a Mermaid flowchart');
+    }
+    const direction = (headerMatch[1] || 'TB').toUpperCase();
+    parser.direction = direction === 'TD' ? 'TB' : direction;
+
+    statements.forEach(statement => parseStatement(parser, statement));
+    return parser;
+}
+
+function styleToString(base, extra) {
+    return base + Object.keys(extra).map(key => `${key}=${extra[key]};`).join('');
+}
+
+function estimateNodeSize(node) {
+    const lines = node.label.split(/<br\s*\/?>|\n/i);
+    const longest = Math.max(...lines.map(line => line.replace(/<[^>]*>/g, '').length));
+    let width = Math.min(240, Math.max(120, longest * 8 + 30));
+    let height = Math.max(60, lines.length * 20 + 20);
+    if (node.shape === 'rhombus' || node.shape === 'hexagon') {
+        width += 40;
+        height += 20;
+    }
+    if (node.shape === 'circle' || node.shape === 'doublecircle') {
+        width = height = Math.max(80, Math.min(width, 160));
+    }
+    return { width, height };
+}
+
+function buildEdgeStyle(edge) {
+    const extra = {
+        endArrow: edge.endArrow || 'none',
+        startArrow: edge.startArrow || 'none'
+    };
+    if (edge.endArrow === 'oval' || edge.startArrow === 'oval') {
+        extra.endFill = '1';
+        extra.startFill = '1';
+    }
+    if (edge.dotted) extra.dashed = '1';
+    if (edge.thick) extra.strokeWidth = '2';
+    return styleToString(FLOWCHART_EDGE_STYLE, extra);
+}
+
+/**
+ * Converts Mermaid flowchart text into a laid-out mxfile.
+ * @param {string} text
+ * @returns {{xml: string, report: Array<{code: string, message: string}>}}
+ */
+function convertMermaidFlowchart(text) {
+    const parsed = parseMermaidFlowchart(text);
+    const root = createXmlElement('root', {}, [
+        createXmlElement('mxCell', { id: '0' }),
+        createXmlElement('mxCell', { id: '1', parent: '0' })
+    ]);
+
+    // Cell ids are prefixed so Mermaid ids like "0" or "1" cannot clash with the layer cells
+    const cellId = (id) => `mmd-${id}`;
+    const parentOf = (owner) => owner ? cellId(owner) : '1';
+
+    // Subgraphs first, parents before children
+    const addSubgraph = (subgraph) => {
+        root.children.push(createXmlElement('mxCell', {
+            id: cellId(subgraph.id),
+            value: subgraph.label,
+            style: SUBGRAPH_STYLE,
+            vertex: '1',
+            parent: parentOf(subgraph.parent)
+        }, [createXmlElement('mxGeometry', { as: 'geometry' })]));
+        subgraph.children
+            .filter(child => parsed.subgraphs.has(child))
+            .forEach(child => addSubgraph(parsed.subgraphs.get(child)));
+    };
+    [...parsed.subgraphs.values()].filter(subgraph => !subgraph.parent).forEach(addSubgraph);
+
+    const defaultClass = parsed.classDefs.default || {};
+    for (const node of parsed.nodes.values()) {
+        const extra = Object.assign({}, defaultClass);
+        node.classes.forEach(name => Object.assign(extra, parsed.classDefs[name] || {}));
+        Object.assign(extra, parsed.nodeStyles[node.id] || {});
+        const size = estimateNodeSize(node);
+        root.children.push(createXmlElement('mxCell', {
+            id: cellId(node.id),
+            value: node.label,
+            style: styleToString(FLOWCHART_SHAPE_STYLES[node.shape], extra),
+            vertex: '1',
+            parent: parentOf(node.subgraph)
+        }, [createXmlElement('mxGeometry', { width: String(size.width), height: String(size.height), as: 'geometry' })]));
+    }
+
+    parsed.edges.forEach((edge, index) => {
+        root.children.push(createXmlElement('mxCell', {
+            id: `mmd-edge-${index + 1}`,
+            value: edge.label,
+            style: buildEdgeStyle(edge),
+            edge: '1',
+            parent: '1',
+            source: cellId(edge.source),
+            target: cellId(edge.target)
+        }, [createXmlElement('mxGeometry', { relative: '1', as: 'geometry' })]));
+    });
+
+    const model = createXmlElement('mxGraphModel', {}, [root]);
+    layoutGraphModel(model, { direction: parsed.direction, missingPosition: 'unplaced' });
+
+    const report = [{
+        code: 'mermaid-converted',
+        message: `Converted Mermaid flowchart to ${parsed.nodes.size} shapes and ${parsed.edges.length} connectors`
+    }];
+    parsed.ignored.forEach(statement => {
+        report.push({ code: 'mermaid-ignored', message: `Skipped unsupported Mermaid statement: ${statement}` });
+    });
+
+    const mxfile = createXmlElement('mxfile', {}, [
+        createXmlElement('diagram', { name: 'Page-1', id: 'mermaid-flowchart' }, [model])
+    ]);
+    return { xml: serializeXml(mxfile), report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isMermaidFlowchart,
+        parseMermaidFlowchart,
+        parseMermaidStyle,
+        convertMermaidFlowchart
+    };
+}
@@ -0,0 +1,225 @@
+// lib/mermaid_lint.js
+
+// Pre-flight normalizer for Mermaid text produced by chat models. Fixes the patterns that make
+// diagrams.net's Mermaid import fail (markdown fences, smart quotes, HTML entities, unquoted
+// labels with brackets, `end` as a node id) and reports what still looks invalid. Statement-level
+// checks cover flowcharts only; other diagram types are checked for their keyword.
+// Depends on lib/detect.js.
+
+// In the extension lib/detect.js is loaded first as a classic script; under Node, require it
+if (typeof module !== 'undefined' && module.exports) {
+    var { getMermaidDiagramType } = require('./detect.js');
+}
+
+// Node shape delimiters, longest first so '((' wins over '('
+const LINT_LABEL_DELIMITERS = [
+    { open: '(((', close: [')))'] },
+    { open: '((', close: ['))'] },
+    { open: '([', close: ['])'] },
+    { open: '[[', close: [']]'] },
+    { open: '[(', close: [')]'] },
+    { open: '[/', close: ['/]', '\\]'] },
+    { open: '[\\', close: ['\\]', '/]'] },
+    { open: '{{', close: ['}}'] },
+    { open: '[', close: [']'] },
+    { open: '(', close: [')'] },
+    { open: '{', close: ['}'] }
+];
+
+// What may follow a node: end of statement, '&', ':::class' or a link
+const LINT_NODE_END = /^(?::::|\s*(?:$|;|&|<?[-=~][-=.~]|[ox][-=]{2}))/;
+
+// Characters Mermaid reads as syntax inside an unquoted label
+const LINT_NEEDS_QUOTES = /[()[\]{};"]/;
+
+const LINT_HTML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x27;': "'", '&nbsp;': ' ', '&amp;': '&' };
+
+function quoteLintLabel(content) {
+    return `"${content.replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Quotes node and edge labels that contain brackets, and renames `end` node ids, in one
+ * flowchart statement line.
+ * @returns {{line: string, quoted: number, renamed: number}}
+ */
+function fixFlowchartLine(line) {
+    let out = '';
+    let quoted = 0;
+    let renamed = 0;
+    let i = 0;
+    const isEndLine = /^end\s*;?$/.test(line.trim());
+
+    while (i < line.length) {
+        const char = line[i];
+
+        if (char === '"') {
+            const close = line.indexOf('"', i + 1);
+            const end = close === -1 ? line.length : close + 1;
+            out += line.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        // Edge label: -->|text|
+        if (char === '|') {
+            const close = line.indexOf('|', i + 1);
+            if (close !== -1) {
+                const content = line.slice(i + 1, close);
+                if (!/^\s*".*"\s*$/.test(content) && LINT_NEEDS_QUOTES.test(content)) {
+                    out += `|${quoteLintLabel(content.trim())}|`;
+                    quoted++;
+                } else {
+                    out += line.slice(i, close + 1);
+                }
+                i = close + 1;
+                continue;
+            }
+        }
+
+        // Node label right after an id: A[...], B(...), C{...}
+        const delimiter = /[\w\u00C0-\uFFFF]/.test(line[i - 1] || '') &&
+            LINT_LABEL_DELIMITERS.find(candidate => line.startsWith(candidate.open, i));
+        if (delimiter) {
+            const start = i + delimiter.open.length;
+            let closeAt = -1;
+            let closer = null;
+            for (let j = start; j < line.length && closeAt === -1; j++) {
+                closer = delimiter.close.find(c => line.startsWith(c, j) && LINT_NODE_END.test(line.slice(j + c.length)));
+                if (closer) closeAt = j;
+            }
+            if (closeAt !== -1) {
+                const content = line.slice(start, closeAt);
+                if (!/^".*"$/.test(content.trim()) && LINT_NEEDS_QUOTES.test(content)) {
+                    out += delimiter.open + quoteLintLabel(content) + closer;
+                    quoted++;
+                } else {
+                    out += line.slice(i, closeAt + closer.length);
+                }
+                i = closeAt + closer.length;
+                continue;
+            }
+        }
+
+        // Node ids: a lowercase `end` closes a subgraph, so as an id it breaks the parser
+        const word = /^[\w\u00C0-\uFFFF]+/.exec(line.slice(i));
+        if (word && !/[\w\u00C0-\uFFFF]/.test(line[i - 1] || '')) {
+            const rest = line.slice(i + word[0].length);
+            if (word[0] === 'end' && !isEndLine && (LINT_NODE_END.test(rest) || /^[[({]/.test(rest))) {
+                out += 'End';
+                renamed++;
+            } else {
+                out += word[0];
+            }
+            i += word[0].length;
+            continue;
+        }
+
+        out += char;
+        i++;
+    }
+    return { line: out, quoted, renamed };
+}
+
+// Brackets and quotes left unbalanced in a statement, ignoring quoted text
+function findUnbalanced(line) {
+    if ((line.match(/"/g) || []).length % 2 !== 0) return 'unbalanced quotes';
+    const stripped = line.replace(/"[^"]*"/g, '""');
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    const stack = [];
+    for (const char of stripped) {
+        if ('([{'.includes(char)) stack.push(char);
+        if (')]}'.includes(char)) {
+            // Asymmetric and trapezoid shapes close with the "wrong" bracket
+            if (stack.length === 0) continue;
+            if (stack[stack.length - 1] === pairs[char]) stack.pop();
+        }
+    }
+    return stack.length > 0 ? `unclosed "${stack[stack.length - 1]}"` : null;
+}
+
+/**
+ * Normalizes Mermaid text before it is sent to diagrams.net.
+ * @param {string} text
+ * @returns {{text: string, report: Array<{code: string, message: string}>, problems: Array<{code: string, message: string}>}}
+ *   `report` lists the fixes that were applied; `problems` what still looks invalid afterwards.
+ */
+function lintMermaid(text) {
+    const report = [];
+    let result = text.replace(/\r\n?/g, '\n');
+
+    // Markdown fences copied along with the block
+    const unfenced = result.replace(/^\s*```[\w-]*[ \t]*\n/, '').replace(/\n[ \t]*```[ \t]*\s*$/, '\n');
+    if (unfenced !== result) {
+        result = unfenced;
+        report.push({ code: 'mermaid-fence', message: 'Removed markdown code fences' });
+    }
+
+    const unsmart = result.replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"').replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'").replace(/\u00A0/g, ' ');
+    if (unsmart !== result) {
+        result = unsmart;
+        report.push({ code: 'mermaid-smart-quotes', message: 'Replaced smart quotes and non-breaking spaces' });
+    }
+
+    // HTML-escaped text, e.g. `A --&gt; B` copied from rendered markup
+    const decoded = result.replace(/&(?:lt|gt|quot|#39|#x27|nbsp|amp);/g, entity => LINT_HTML_ENTITIES[entity]);
+    if (decoded !== result) {
+        result = decoded;
+        report.push({ code: 'mermaid-entities', message: 'Decoded HTML entities such as &gt; and &quot;' });
+    }
+
+    const type = getMermaidDiagramType(result);
+    const problems = [];
+    if (!type) {
+        problems.push({ code: 'mermaid-invalid', message: 'No Mermaid diagram type (e.g. flowchart, sequenceDiagram) at the start' });
+        return { text: result, report, problems };
+    }
+
+    if (type === 'graph' || type === 'flowchart' || type === 'flowchart-elk') {
+        let quoted = 0;
+        let renamed = 0;
+        let headerSeen = false;
+        let depth = 0;
+        const lines = result.split('\n').map((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('%%') || /^(classDef|linkStyle|click)\b/.test(trimmed)) return line;
+            // The keyword line (after any front matter) is left alone
+            if (!headerSeen && trimmed.startsWith(type)) {
+                headerSeen = true;
+                return line;
+            }
+            if (!headerSeen) return line;
+
+            const fixed = fixFlowchartLine(line);
+            quoted += fixed.quoted;
+            renamed += fixed.renamed;
+
+            if (/^subgraph\b/.test(trimmed)) depth++;
+            if (/^end\s*;?$/.test(trimmed)) depth--;
+            const unbalanced = findUnbalanced(fixed.line);
+            if (unbalanced) {
+                problems.push({ code: 'mermaid-invalid', message: `Line ${index + 1}: ${unbalanced}` });
+            }
+            return fixed.line;
+        });
+        result = lines.join('\n');
+
+        if (quoted > 0) {
+            report.push({ code: 'mermaid-quoted-label', message: `Quoted ${quoted} label${quoted === 1 ? '' : 's'} containing brackets or quotes` });
+        }
+        if (renamed > 0) {
+            report.push({ code: 'mermaid-end-id', message: 'Renamed node id "end" to "End" (a lowercase end closes a subgraph)' });
+        }
+        if (depth !== 0) {
+            problems.push({ code: 'mermaid-invalid', message: depth > 0 ? 'A subgraph is missing its "end"' : 'An "end" has no matching subgraph' });
+        }
+    }
+
+    return { text: result, report, problems };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        lintMermaid
+    };
+}
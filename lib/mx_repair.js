@@ -0,0 +1,265 @@
+// lib/mx_repair.js
+
+// Structural validation and repair of mxGraph XML, run by the background script after
+// sanitizeXml. Every change is recorded in a report so the user can see why the opened
+// diagram differs from the raw text. Depends on lib/xml_parser.js.
+
+// In the extension the parser is loaded first as a classic script; under Node, require it
+if (typeof module !== 'undefined' && module.exports) {
+    var { parseXml, serializeXml, createXmlElement, getChildElements, findXmlElements } = require('./xml_parser.js');
+}
+
+const DEFAULT_VERTEX_WIDTH = 120;
+const DEFAULT_VERTEX_HEIGHT = 60;
+
+// Elements that can represent a cell directly under <root>
+const CELL_TAGS = ['mxCell', 'UserObject', 'object'];
+
+function describeParseIssue(issue) {
+    switch (issue.code) {
+        case 'unclosed-tag':
+            return `Closed <${issue.name}> left open by truncated output`;
+        case 'truncated-tag':
+            return `Dropped incomplete tag at the end of the output: ${issue.text}`;
+        case 'unexpected-close-tag':
+            return `Ignored stray closing tag </${issue.name}>`;
+        case 'duplicate-attribute':
+            return `Ignored repeated attribute "${issue.attribute}" on <${issue.name}>`;
+        default:
+            return issue.code;
+    }
+}
+
+// Pairs each top-level entry under <root> with the mxCell carrying parent/source/target.
+function collectCells(root, report) {
+    const entries = [];
+    for (const element of getChildElements(root)) {
+        if (!CELL_TAGS.includes(element.name)) continue;
+
+        let cell = element;
+        if (element.name !== 'mxCell') {
+            cell = getChildElements(element, 'mxCell')[0];
+            if (!cell) {
+                cell = createXmlElement('mxCell', { vertex: '1' });
+                element.children.push(cell);
+                report.push({
+                    code: 'missing-cell',
+                    cellId: element.attributes.id,
+                    message: `Added the missing <mxCell> inside <${element.name}>`
+                });
+            }
+        }
+        entries.push({ element, cell });
+    }
+    return entries;
+}
+
+function isVertex(entry) {
+    return entry.cell.attributes.vertex === '1';
+}
+
+function isEdge(entry) {
+    return entry.cell.attributes.edge === '1';
+}
+
+function getGeometry(entry) {
+    return getChildElements(entry.cell, 'mxGeometry').find(geo => geo.attributes.as === 'geometry') || null;
+}
+
+function hasTerminalPoint(geometry, as) {
+    return !!geometry && getChildElements(geometry, 'mxPoint').some(point => point.attributes.as === as);
+}
+
+// Strips HTML and whitespace so a label like "<b>Start</b>" matches an edge that says source="start"
+function normalizeLabel(value) {
+    return String(value || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Repairs one mxGraphModel element in place.
+ * @param {object} model
+ * @param {Array<object>} report
+ */
+function repairGraphModel(model, report) {
+    let root = getChildElements(model, 'root')[0];
+    if (!root) {
+        root = createXmlElement('root');
+        model.children.push(root);
+        report.push({ code: 'missing-root', message: 'Added the missing <root> element' });
+    }
+
+    const entries = collectCells(root, report);
+    const ids = new Set();
+    const uniqueId = (base) => {
+        let n = 2;
+        while (ids.has(`${base}-${n}`)) n++;
+        return `${base}-${n}`;
+    };
+
+    // 1. Ids: assign missing ones, rename duplicates (references keep pointing at the first cell)
+    entries.forEach((entry, index) => {
+        const id = entry.element.attributes.id;
+        if (id === undefined || id === '') {
+            const newId = uniqueId(`cell-${index}`);
+            entry.element.attributes.id = newId;
+            report.push({ code: 'missing-id', cellId: newId, message: `Assigned id "${newId}" to a cell without id` });
+        } else if (ids.has(id)) {
+            const newId = uniqueId(id);
+            entry.element.attributes.id = newId;
+            report.push({ code: 'duplicate-id', cellId: newId, message: `Renamed duplicate cell id "${id}" to "${newId}"` });
+        }
+        ids.add(entry.element.attributes.id);
+    });
+
+    // 2. Root cell and default layer
+    const isStructural = (entry) => !isVertex(entry) && !isEdge(entry);
+    let rootEntry = entries.find(entry => entry.element.attributes.id === '0' && !entry.cell.attributes.parent) ||
+        entries.find(entry => isStructural(entry) && !entry.cell.attributes.parent);
+    if (!rootEntry) {
+        const id = ids.has('0') ? uniqueId('0') : '0';
+        const cell = createXmlElement('mxCell', { id: id });
+        rootEntry = { element: cell, cell: cell };
+        root.children.unshift(cell);
+        entries.unshift(rootEntry);
+        ids.add(id);
+        report.push({ code: 'missing-root-cell', cellId: id, message: `Added the missing root cell "${id}"` });
+    }
+    const rootId = rootEntry.element.attributes.id;
+
+    let layerEntry = entries.find(entry => isStructural(entry) && entry.cell.attributes.parent === rootId);
+    if (!layerEntry) {
+        const id = ids.has('1') ? uniqueId('1') : '1';
+        const cell = createXmlElement('mxCell', { id: id, parent: rootId });
+        layerEntry = { element: cell, cell: cell };
+        root.children.splice(root.children.indexOf(rootEntry.element) + 1, 0, cell);
+        entries.splice(entries.indexOf(rootEntry) + 1, 0, layerEntry);
+        ids.add(id);
+        report.push({ code: 'missing-layer', cellId: id, message: `Added the missing default layer "${id}"` });
+    }
+    const layerId = layerEntry.element.attributes.id;
+
+    // 3. Parents: attach orphans to the default layer
+    for (const entry of entries) {
+        if (entry === rootEntry) continue;
+        const id = entry.element.attributes.id;
+        const parent = entry.cell.attributes.parent;
+        if (!parent) {
+            entry.cell.attributes.parent = layerId;
+            report.push({ code: 'missing-parent', cellId: id, message: `Attached cell "${id}" without parent to layer "${layerId}"` });
+        } else if (!ids.has(parent) || parent === id) {
+            entry.cell.attributes.parent = layerId;
+            report.push({
+                code: 'missing-parent',
+                cellId: id,
+                message: `Cell "${id}" referenced missing parent "${parent}"; attached it to layer "${layerId}"`
+            });
+        }
+    }
+
+    // Removes a cell together with its descendants (e.g. the label cells of an edge)
+    const removeEntry = (entry) => {
+        const index = entries.indexOf(entry);
+        if (index === -1) return;
+        const id = entry.element.attributes.id;
+        entries.splice(index, 1);
+        root.children.splice(root.children.indexOf(entry.element), 1);
+        ids.delete(id);
+        entries.filter(child => child.cell.attributes.parent === id).forEach(removeEntry);
+    };
+
+    // 4. Edges: reattach endpoints that use a vertex label instead of an id, drop the rest
+    const labelToId = new Map();
+    const ambiguousLabels = new Set();
+    for (const entry of entries) {
+        if (!isVertex(entry)) continue;
+        const label = normalizeLabel(entry.element.attributes.value !== undefined ? entry.element.attributes.value : entry.element.attributes.label);
+        if (!label) continue;
+        if (labelToId.has(label)) ambiguousLabels.add(label);
+        labelToId.set(label, entry.element.attributes.id);
+    }
+
+    for (const entry of entries.filter(isEdge)) {
+        if (!entries.includes(entry)) continue;
+        const id = entry.element.attributes.id;
+        const geometry = getGeometry(entry);
+        let drop = false;
+
+        for (const end of ['source', 'target']) {
+            const ref = entry.cell.attributes[end];
+            if (ref === undefined || ids.has(ref)) continue;
+
+            const label = normalizeLabel(ref);
+            if (labelToId.has(label) && !ambiguousLabels.has(label)) {
+                entry.cell.attributes[end] = labelToId.get(label);
+                report.push({
+                    code: 'reattached-edge',
+                    cellId: id,
+                    message: `Edge "${id}": ${end} "${ref}" matched cell "${labelToId.get(label)}" by label`
+                });
+            } else if (hasTerminalPoint(geometry, `${end}Point`)) {
+                delete entry.cell.attributes[end];
+                report.push({
+                    code: 'dangling-edge',
+                    cellId: id,
+                    message: `Edge "${id}": removed missing ${end} "${ref}", kept its ${end} point`
+                });
+            } else {
+                drop = true;
+                report.push({
+                    code: 'dropped-edge',
+                    cellId: id,
+                    message: `Removed edge "${id}": ${end} "${ref}" does not exist`
+                });
+                break;
+            }
+        }
+
+        if (drop) {
+            removeEntry(entry);
+        }
+    }
+
+    // 5. Geometry: vertices need a size to be visible, edges need a relative geometry
+    for (const entry of entries) {
+        if (getGeometry(entry)) continue;
+        const id = entry.element.attributes.id;
+        if (isVertex(entry)) {
+            entry.cell.children.push(createXmlElement('mxGeometry', {
+                width: String(DEFAULT_VERTEX_WIDTH),
+                height: String(DEFAULT_VERTEX_HEIGHT),
+                as: 'geometry'
+            }));
+            report.push({ code: 'missing-geometry', cellId: id, message: `Added default geometry to vertex "${id}"` });
+        } else if (isEdge(entry)) {
+            entry.cell.children.push(createXmlElement('mxGeometry', { relative: '1', as: 'geometry' }));
+            report.push({ code: 'missing-geometry', cellId: id, message: `Added relative geometry to edge "${id}"` });
+        }
+    }
+}
+
+/**
+ * Validates mxGraph XML and repairs what can be fixed safely.
+ * @param {string} xml Sanitized XML (see sanitizeXml in background.js)
+ * @returns {{xml: string, report: Array<{code: string, message: string, cellId?: string}>}}
+ *   The original string is returned untouched when nothing needed repair.
+ */
+function repairMxGraphXml(xml) {
+    const { document, issues } = parseXml(xml);
+    const report = issues.map(issue => ({ code: issue.code, message: describeParseIssue(issue) }));
+
+    for (const model of findXmlElements(document, 'mxGraphModel')) {
+        repairGraphModel(model, report);
+    }
+
+    if (report.length === 0) {
+        return { xml: xml, report: report };
+    }
+    return { xml: serializeXml(document), report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        repairGraphModel,
+        repairMxGraphXml
+    };
+}
@@ -0,0 +1,256 @@
+// lib/mxgraph.js
+
+// Helpers for mxGraph XML shared by the content script (detection) and the background
+// script (normalization before compression, and decoding of compressed diagrams).
+
+// Fragment-only output starts with cells (or a bare <root>) after an optional XML declaration/comments
+const MX_FRAGMENT_START = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:mxCell|root|UserObject|object)\b/;
+
+// Links made by diagrams.net (File > Export as > URL) carry the compressed file after #R
+const MX_SHARE_LINK = /https?:\/\/(?:(?:app|embed|viewer)\.diagrams\.net|(?:www\.)?draw\.io)\/[^\s#"'<>]*#R([A-Za-z0-9+\/=%_-]+)/;
+
+// SVG exported from draw.io with "Include a copy of my diagram": the file is kept, HTML-escaped,
+// in the `content` attribute of the root element
+const MX_SVG_CONTENT = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!DOCTYPE[^>]*>\s*|<!--[\s\S]*?-->\s*)*<svg\b[^>]*?\scontent\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+
+const MX_XML_ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+// A <diagram> page whose body is Base64 text instead of an <mxGraphModel> element
+const MX_COMPRESSED_PAGE = /(<diagram\b[^>]*>)\s*([^\s<][^<]*)(<\/diagram>)/g;
+
+/**
+ * Whether the text is a complete mxfile or mxGraphModel document.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMxGraphDocument(text) {
+    return !!text && (text.includes('</mxfile>') || text.includes('</mxGraphModel>'));
+}
+
+/**
+ * Whether the text is a bare list of mxCell elements or a <root> without an mxGraphModel wrapper.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMxGraphFragment(text) {
+    if (!text || isMxGraphDocument(text) || /<mxGraphModel\b|<mxfile\b/.test(text)) return false;
+    return MX_FRAGMENT_START.test(text) && /<mxCell\b/.test(text);
+}
+
+/**
+ * Inserts the default layer cells (id="0" and id="1" with parent="0") into a <root> body
+ * when they are missing.
+ * @param {string} rootBody Content between <root> and </root>
+ * @returns {string}
+ */
+function ensureDefaultLayerCells(rootBody) {
+    const hasCell = (id) => new RegExp(`<mxCell\\b[^>]*\\bid\\s*=\\s*["']${id}["']`).test(rootBody);
+
+    const layerCell = '<mxCell id="1" parent="0"/>';
+    if (!hasCell('0')) {
+        return '<mxCell id="0"/>' + (hasCell('1') ? '' : layerCell) + rootBody;
+    }
+    if (hasCell('1')) {
+        return rootBody;
+    }
+
+    // Keep the layer right after the root cell so cells are declared before they are referenced
+    const rootCell = rootBody.match(/<mxCell\b[^>]*\bid\s*=\s*["']0["'][^>]*?(?:\/>|>[\s\S]*?<\/mxCell>)/);
+    const insertAt = rootCell.index + rootCell[0].length;
+    return rootBody.slice(0, insertAt) + layerCell + rootBody.slice(insertAt);
+}
+
+/**
+ * Wraps a fragment into mxfile/diagram/mxGraphModel/root and adds missing default layer cells.
+ * Complete documents are returned unchanged.
+ * @param {string} xml
+ * @returns {string}
+ */
+function wrapMxGraphFragment(xml) {
+    if (!isMxGraphFragment(xml)) return xml;
+
+    // Drop the XML declaration; it is only valid at the very start of the document
+    let body = xml.trim().replace(/^<\?xml[^>]*\?>\s*/, '');
+
+    // Unwrap a bare <root> so its cells can be placed after the default layer cells
+    const rootMatch = body.match(/^((?:<!--[\s\S]*?-->\s*)*)<root\b[^>]*>([\s\S]*?)(?:<\/root>\s*)?$/);
+    if (rootMatch) {
+        body = rootMatch[1] + rootMatch[2];
+    }
+
+    return '<mxfile><diagram name="Page-1" id="page-1"><mxGraphModel><root>' +
+        ensureDefaultLayerCells(body.trim()) +
+        '</root></mxGraphModel></diagram></mxfile>';
+}
+
+/**
+ * Returns the diagrams.net share link in the text, with the compressed data after #R.
+ * @param {string} text
+ * @returns {{url: string, data: string}|null}
+ */
+function findMxShareLink(text) {
+    const match = text ? text.match(MX_SHARE_LINK) : null;
+    return match ? { url: match[0], data: match[1] } : null;
+}
+
+/**
+ * Whether the text is nothing but a diagrams.net share link, e.g. pasted on its own into a code block.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMxShareLink(text) {
+    const link = findMxShareLink(text);
+    return !!link && link.url === text.trim();
+}
+
+/**
+ * Decodes the entity and character references of an XML attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeXmlAttribute(value) {
+    return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(lt|gt|quot|apos|amp));/gi, (match, decimal, hex, name) => {
+        if (name) return MX_XML_ENTITIES[name.toLowerCase()];
+        return String.fromCodePoint(decimal ? Number(decimal) : parseInt(hex, 16));
+    });
+}
+
+/**
+ * Returns the diagram embedded in a draw.io SVG export: an mxfile (whose pages may be
+ * compressed), or the whole file compressed as written by older releases.
+ * @param {string} text
+ * @returns {string|null} null when the text is not an SVG carrying a diagram
+ */
+function getMxSvgContent(text) {
+    const match = text ? text.match(MX_SVG_CONTENT) : null;
+    if (!match) return null;
+    const content = decodeXmlAttribute(match[1] !== undefined ? match[1] : match[2]).trim();
+    // Base64 may be wrapped over several lines, but a description with spaces is not a diagram
+    if (/^<(?:mxfile|mxGraphModel)\b/.test(content) || /^[A-Za-z0-9+\/=%]{40,}$/.test(content.replace(/[\r\n]/g, ''))) {
+        return content;
+    }
+    return null;
+}
+
+/**
+ * Whether the text is an SVG exported from draw.io with the editable diagram embedded.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMxSvgDocument(text) {
+    return getMxSvgContent(text) !== null;
+}
+
+/**
+ * Whether the mxfile has at least one compressed page (the default of older diagrams.net releases).
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isCompressedMxfile(text) {
+    return !!text && /<mxfile\b/.test(text) && new RegExp(MX_COMPRESSED_PAGE.source).test(text);
+}
+
+/**
+ * Whether the text needs decodeMxDiagram before it can be read: a share link, an SVG export or
+ * an mxfile with compressed pages.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isEncodedMxDiagram(text) {
+    return isMxShareLink(text) || isMxSvgDocument(text) || isCompressedMxfile(text);
+}
+
+/**
+ * Reverses diagrams.net's compression: Base64 of the raw-deflated, URI-encoded XML.
+ * Links made by this extension deflate the XML without URI-encoding it first; both are accepted.
+ * @param {string} data Base64 text, possibly URL-encoded as in #R links
+ * @returns {Promise<string>}
+ */
+async function inflateMxData(data) {
+    const binary = atob(decodeURIComponent(data).replace(/\s+/g, ''));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const text = await new Response(stream).text();
+    return text.trimStart().startsWith('<') ? text : decodeURIComponent(text);
+}
+
+/**
+ * Inflates every compressed page of a (multi-page) mxfile, so each <diagram> holds its
+ * <mxGraphModel> and the repair pass and renderer see the cells.
+ * @param {string} xml
+ * @returns {Promise<{xml: string, report: Array<object>}>}
+ * @throws {Error} When a page is not valid compressed data
+ */
+async function decompressMxfile(xml) {
+    const report = [];
+    let result = '';
+    let last = 0;
+    for (const match of xml.matchAll(MX_COMPRESSED_PAGE)) {
+        const name = decodeXmlAttribute((match[1].match(/\bname\s*=\s*"([^"]*)"/) || [])[1] || '');
+        const label = name ? `page "${name}"` : `page ${report.length + 1}`;
+        let model;
+        try {
+            model = await inflateMxData(match[2].trim());
+        } catch (error) {
+            throw new Error(`The compressed ${label} could not be decoded`);
+        }
+        result += xml.slice(last, match.index) + match[1] + model + match[3];
+        last = match.index + match[0].length;
+        report.push({ code: 'decompressed-page', message: `Decompressed ${label}` });
+    }
+    return { xml: result + xml.slice(last), report: report };
+}
+
+/**
+ * Turns a share link, an SVG export or an mxfile with compressed pages into plain mxfile XML.
+ * Other text is returned unchanged with an empty report.
+ * @param {string} text
+ * @returns {Promise<{xml: string, report: Array<object>}>}
+ */
+async function decodeMxDiagram(text) {
+    let xml = text;
+    const report = [];
+    if (isMxShareLink(text)) {
+        try {
+            xml = await inflateMxData(findMxShareLink(text).data);
+        } catch (error) {
+            throw new Error('The diagrams.net link could not be decoded');
+        }
+        report.push({ code: 'decoded-link', message: 'Decoded the diagrams.net link' });
+    } else if (isMxSvgDocument(text)) {
+        xml = getMxSvgContent(text);
+        if (!xml.startsWith('<')) {
+            try {
+                xml = await inflateMxData(xml);
+            } catch (error) {
+                throw new Error('The diagram embedded in the SVG could not be decoded');
+            }
+        }
+        report.push({ code: 'svg-extracted', message: 'Extracted the diagram embedded in the SVG' });
+    }
+    if (isCompressedMxfile(xml)) {
+        const decompressed = await decompressMxfile(xml);
+        xml = decompressed.xml;
+        report.push(...decompressed.report);
+    }
+    return { xml: xml, report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isMxGraphDocument,
+        isMxGraphFragment,
+        ensureDefaultLayerCells,
+        wrapMxGraphFragment,
+        findMxShareLink,
+        isMxShareLink,
+        decodeXmlAttribute,
+        getMxSvgContent,
+        isMxSvgDocument,
+        isCompressedMxfile,
+        isEncodedMxDiagram,
+        inflateMxData,
+        decompressMxfile,
+        decodeMxDiagram
+    };
+}
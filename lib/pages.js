@@ -0,0 +1,110 @@
+// lib/pages.js
+
+// "Open all as pages": combines the diagrams of a conversation into one mxfile with a <diagram>
+// page per code block, in the order they appear. Depends on lib/xml_parser.js and
+// lib/download.js (isGenericPageName).
+
+// In the extension both are loaded first as classic scripts; under Node, require them
+if (typeof module !== 'undefined' && module.exports) {
+    var { createXmlElement, parseXml, serializeXml, getChildElements, findXmlElements } = require('./xml_parser.js');
+    var { isGenericPageName } = require('./download.js');
+}
+
+// Diagrams without a native conversion are kept as their source text on their own page
+const PAGES_SOURCE_LABELS = { mermaid: 'Mermaid', plantuml: 'PlantUML' };
+const PAGES_SOURCE_STYLE = 'text;html=0;whiteSpace=wrap;align=left;verticalAlign=top;spacing=12;' +
+    'fontFamily=Courier New;fontSize=12;fillColor=#f5f5f5;strokeColor=#999999;';
+
+/**
+ * @typedef {object} MxPageSource
+ * @property {string} type 'xml' (content is a prepared mxfile) or 'mermaid' / 'plantuml' (source text)
+ * @property {string} content
+ * @property {string} [name] Name from the conversation, e.g. the heading above the code block
+ */
+
+/**
+ * Builds the model of a page holding the diagram source in a single text shape.
+ * @param {string} text
+ * @returns {object} mxGraphModel element
+ */
+function createSourcePageModel(text) {
+    const lines = text.split('\n');
+    const width = Math.max(240, Math.min(960, Math.max(...lines.map(line => line.length)) * 8 + 24));
+    const height = lines.length * 16 + 24;
+    return createXmlElement('mxGraphModel', {}, [
+        createXmlElement('root', {}, [
+            createXmlElement('mxCell', { id: '0' }),
+            createXmlElement('mxCell', { id: '1', parent: '0' }),
+            createXmlElement('mxCell', { id: '2', value: text, style: PAGES_SOURCE_STYLE, vertex: '1', parent: '1' }, [
+                createXmlElement('mxGeometry', { x: '40', y: '40', width: String(width), height: String(height), as: 'geometry' })
+            ])
+        ])
+    ]);
+}
+
+/**
+ * Chooses the page name: the conversation's name for the block, the diagram's own name, or a
+ * numbered default. Pages of a multi-page block keep their names after the block's.
+ * @param {string} blockName
+ * @param {string} ownName
+ * @param {boolean} multiPage
+ * @param {number} number 1-based page number in the merged file
+ * @returns {string}
+ */
+function choosePageName(blockName, ownName, multiPage, number) {
+    const meaningful = ownName && !isGenericPageName(ownName) ? ownName : '';
+    if (blockName && multiPage) return `${blockName} - ${ownName || `Page-${number}`}`;
+    return blockName || meaningful || `Page-${number}`;
+}
+
+/**
+ * Merges diagrams into one multi-page mxfile. Every page gets a fresh id, since converted
+ * diagrams share theirs; pages of multi-page mxfiles are all kept.
+ * @param {Array<MxPageSource>} pages
+ * @returns {{xml: string, report: Array<object>}} The report lists pages kept as source text
+ */
+function buildMxPagesFile(pages) {
+    const diagrams = [];
+    const report = [];
+    const addPage = (name, attributes, models) => {
+        diagrams.push(createXmlElement('diagram', Object.assign({}, attributes, { id: `page-${diagrams.length + 1}`, name: name }), models));
+    };
+
+    for (const page of pages) {
+        const blockName = (page.name || '').trim();
+
+        if (page.type !== 'xml') {
+            const label = PAGES_SOURCE_LABELS[page.type] || page.type;
+            const name = choosePageName(blockName, '', false, diagrams.length + 1);
+            addPage(name, {}, [createSourcePageModel(page.content)]);
+            report.push({
+                code: 'page-source',
+                message: `Page "${name}" holds the ${label} source as text; insert it through Arrange > Insert > Advanced > ${label} to draw it`,
+                warning: true
+            });
+            continue;
+        }
+
+        const parsed = parseXml(page.content).document;
+        const blockDiagrams = findXmlElements(parsed, 'diagram');
+        if (blockDiagrams.length === 0) {
+            // A bare mxGraphModel
+            addPage(choosePageName(blockName, '', false, diagrams.length + 1), {}, findXmlElements(parsed, 'mxGraphModel').slice(0, 1));
+            continue;
+        }
+        for (const diagram of blockDiagrams) {
+            const { id, name, ...attributes } = diagram.attributes;
+            const ownName = (name || '').trim();
+            addPage(choosePageName(blockName, ownName, blockDiagrams.length > 1, diagrams.length + 1), attributes, getChildElements(diagram));
+        }
+    }
+
+    return { xml: serializeXml(createXmlElement('mxfile', {}, diagrams)), report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        choosePageName,
+        buildMxPagesFile
+    };
+}
@@ -0,0 +1,618 @@
+// lib/plantuml.js
+
+// PlantUML support. diagrams.net renders @startuml blocks through its own PlantUML import;
+// for instances without it, the sequence and class diagram subsets are converted here into
+// native mxGraph XML. Depends on lib/detect.js, lib/xml_parser.js and lib/layout.js.
+
+// In the extension these are loaded first as classic scripts; under Node, require them
+if (typeof module !== 'undefined' && module.exports) {
+    var { isPlantUml } = require('./detect.js');
+    var { createXmlElement, serializeXml } = require('./xml_parser.js');
+    var { layoutGraphModel } = require('./layout.js');
+}
+
+const SEQUENCE_PARTICIPANT = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+(.+)$/i;
+// A -> B : text, B <-- A, A ->> B, A ->x B, A -[#red]> B, "Long name" -> B ++ : text
+const SEQUENCE_MESSAGE = new RegExp(
+    '^("[^"]+"|[^\\s<>:\\-"]+)\\s*' +
+    '([ox]?<{0,2}[\\/\\\\]?-+(?:\\[[^\\]]*\\]-*)?[\\/\\\\]?>{0,2}[ox]?)\\s*' +
+    '("[^"]+"|[^\\s<>:\\-"]+)\\s*(?:\\+\\+|--|\\*\\*|!!)?\\s*(?::\\s*(.*))?$');
+const SEQUENCE_NOTE = /^[hr]?note\s+(left|right|over)(?:\s+of)?\s+([^:]+?)\s*(?::\s*(.*))?$/i;
+const SEQUENCE_FRAGMENT = /^(alt|opt|loop|par|break|critical|group)\b\s*(.*)$/i;
+
+const CLASS_DECLARATION = /^(abstract\s+class|abstract|class|interface|enum|annotation)\s+(.+)$/i;
+// A <|-- B, A "1" *-- "many" B : owns >, A -up-> B, A ..|> B
+const CLASS_RELATION = new RegExp(
+    '^("[^"]+"|[\\w.$]+)\\s*(?:"([^"]*)")?\\s*' +
+    '(<\\||[*o#x}+^<])?(-+|\\.+)(?:(?:left|right|up|down|le|ri|do|l|r|u|d)(-+|\\.+))?(\\|>|[*o#x{+^>])?' +
+    '\\s*(?:"([^"]*)")?\\s*("[^"]+"|[\\w.$]+)\\s*(?::\\s*(.*))?$', 'i');
+
+const PLANTUML_LIFELINE_STYLES = {
+    participant: '',
+    actor: 'participant=umlActor;',
+    boundary: 'participant=umlBoundary;',
+    control: 'participant=umlControl;',
+    entity: 'participant=umlEntity;'
+};
+const PLANTUML_LIFELINE_BASE = 'shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;' +
+    'dropTarget=0;collapsible=0;recursiveResize=0;outlineConnect=0;portConstraint=eastwest;size=40;';
+const PLANTUML_CLASS_BASE = 'swimlane;fontStyle=0;align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;' +
+    'horizontalStack=0;resizeParent=1;resizeParentMax=0;resizeLast=0;collapsible=1;marginBottom=0;whiteSpace=wrap;html=1;';
+const PLANTUML_MEMBER_STYLE = 'text;strokeColor=none;fillColor=none;align=left;verticalAlign=top;spacingLeft=4;' +
+    'spacingRight=4;overflow=hidden;rotatable=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;whiteSpace=wrap;html=1;';
+const PLANTUML_DIVIDER_STYLE = 'line;strokeWidth=1;fillColor=none;align=left;verticalAlign=middle;spacingTop=-1;' +
+    'spacingLeft=3;spacingRight=3;rotatable=0;labelPosition=right;points=[];portConstraint=eastwest;strokeColor=inherit;';
+
+// Relation end symbol -> draw.io arrow
+const PLANTUML_RELATION_ENDS = {
+    '<|': { arrow: 'block', fill: '0', size: '16' },
+    '|>': { arrow: 'block', fill: '0', size: '16' },
+    '^': { arrow: 'block', fill: '0', size: '16' },
+    '*': { arrow: 'diamondThin', fill: '1', size: '14' },
+    'o': { arrow: 'diamondThin', fill: '0', size: '14' },
+    '<': { arrow: 'open', fill: '0', size: '12' },
+    '>': { arrow: 'open', fill: '0', size: '12' },
+    '#': { arrow: 'box', fill: '0', size: '10' },
+    'x': { arrow: 'cross', fill: '0', size: '10' },
+    '}': { arrow: 'ERmany', fill: '0', size: '10' },
+    '{': { arrow: 'ERmany', fill: '0', size: '10' },
+    '+': { arrow: 'circlePlus', fill: '0', size: '10' }
+};
+
+const SEQUENCE_LAYOUT = {
+    margin: 40,
+    lifelineWidth: 120,
+    lifelineGap: 50,
+    header: 40,
+    rowHeight: 40,
+    selfHeight: 60
+};
+
+function escapePlantUmlText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\\n/g, '<br>');
+}
+
+function unquotePlantUml(text) {
+    return text.replace(/^"(.*)"$/, '$1');
+}
+
+function plantUmlColor(color) {
+    return /^[0-9a-f]{3}(?:[0-9a-f]{3})?$/i.test(color) ? `#${color}` : color;
+}
+
+/**
+ * Returns the statements between @startuml and @enduml with comments removed.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function getPlantUmlLines(text) {
+    const lines = [];
+    for (const rawLine of text.replace(/\/'[\s\S]*?'\//g, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith("'")) continue;
+        if (/^@startuml\b/i.test(line)) continue;
+        if (/^@enduml\b/i.test(line)) break;
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Decides which locally supported subset a PlantUML diagram belongs to.
+ * @param {string} text
+ * @returns {'sequence'|'class'|null} null for diagrams that only diagrams.net can render
+ */
+function getPlantUmlKind(text) {
+    if (!isPlantUml(text)) return null;
+    const lines = getPlantUmlLines(text);
+    if (lines.some(line => CLASS_DECLARATION.test(line) || /<\||\|>|\s[*o]-|-[*o]\s/.test(line))) {
+        return 'class';
+    }
+    // Activity, use case, state and component syntax
+    if (lines.some(line => /^(start|stop|usecase|state|component|node|package|rectangle|if\s*\(|:.*;$|\(.*\)|\[\*\])/i.test(line))) {
+        return null;
+    }
+    if (lines.some(line => SEQUENCE_PARTICIPANT.test(line) || SEQUENCE_MESSAGE.test(line))) {
+        return 'sequence';
+    }
+    return null;
+}
+
+function parseParticipantName(rest) {
+    const cleaned = rest.replace(/\s+order\s+-?\d+/i, '').replace(/<<[^>]*>>/g, '');
+    const colorMatch = cleaned.match(/\s#(\w+)\s*$/);
+    const body = (colorMatch ? cleaned.slice(0, colorMatch.index) : cleaned).trim();
+
+    let id;
+    let label;
+    let match;
+    if ((match = body.match(/^"([^"]+)"\s+as\s+(\S+)$/i))) {
+        label = match[1];
+        id = match[2];
+    } else if ((match = body.match(/^(\S+)\s+as\s+"?([^"]+?)"?$/i))) {
+        id = match[1];
+        label = match[2];
+    } else {
+        id = unquotePlantUml(body);
+        label = id;
+    }
+    return { id: unquotePlantUml(id), label: label, color: colorMatch ? plantUmlColor(colorMatch[1]) : null };
+}
+
+/**
+ * Parses the sequence diagram subset: participants, messages, notes and
+ * alt/opt/loop/par/break/critical/group fragments.
+ * @param {string} text
+ * @returns {{title: string|null, participants: Map, rows: Array, fragments: Array, ignored: string[]}}
+ */
+function parsePlantUmlSequence(text) {
+    const result = { title: null, participants: new Map(), rows: [], fragments: [], ignored: [] };
+    const openFragments = [];
+    let autonumber = null;
+    let note = null;
+
+    const mention = (id, kind) => {
+        const key = unquotePlantUml(id);
+        if (!result.participants.has(key)) {
+            result.participants.set(key, { id: key, label: key, kind: kind || 'participant', color: null });
+        }
+        return key;
+    };
+
+    for (const line of getPlantUmlLines(text)) {
+        // Multi-line note body
+        if (note) {
+            if (/^end\s*[hr]?note$/i.test(line)) {
+                result.rows.push(note);
+                note = null;
+            } else {
+                note.text += (note.text ? '\n' : '') + line;
+            }
+            continue;
+        }
+
+        let match;
+        if ((match = line.match(SEQUENCE_PARTICIPANT))) {
+            const kind = match[1].toLowerCase();
+            const parsed = parseParticipantName(match[2]);
+            const participant = result.participants.get(parsed.id) || { id: parsed.id };
+            Object.assign(participant, { label: parsed.label, kind: kind, color: parsed.color });
+            result.participants.set(parsed.id, participant);
+        } else if ((match = line.match(/^title\s+(.+)$/i))) {
+            result.title = match[1];
+        } else if ((match = line.match(/^autonumber\b\s*(\d+)?/i))) {
+            autonumber = match[1] ? Number(match[1]) : 1;
+        } else if ((match = line.match(SEQUENCE_NOTE))) {
+            const targets = match[2].split(',').map(id => mention(id.trim()));
+            const row = { type: 'note', position: match[1].toLowerCase(), targets: targets, text: match[3] || '' };
+            if (match[3] === undefined) note = row;
+            else result.rows.push(row);
+        } else if ((match = line.match(SEQUENCE_FRAGMENT))) {
+            const fragment = { kind: match[1].toLowerCase(), label: match[2], startRow: result.rows.length, endRow: null, branches: [] };
+            result.rows.push({ type: 'fragment-start', fragment: fragment });
+            openFragments.push(fragment);
+        } else if ((match = line.match(/^else\b\s*(.*)$/i)) && openFragments.length > 0) {
+            const fragment = openFragments[openFragments.length - 1];
+            fragment.branches.push({ row: result.rows.length, label: match[1] });
+            result.rows.push({ type: 'fragment-else', fragment: fragment, label: match[1] });
+        } else if (/^end$/i.test(line) && openFragments.length > 0) {
+            const fragment = openFragments.pop();
+            fragment.endRow = result.rows.length;
+            result.rows.push({ type: 'fragment-end', fragment: fragment });
+            result.fragments.push(fragment);
+        } else if ((match = line.match(SEQUENCE_MESSAGE))) {
+            const arrow = match[2].replace(/\[[^\]]*\]/g, '');
+            const reverse = arrow.includes('<') && !arrow.includes('>');
+            const from = mention(match[reverse ? 3 : 1]);
+            const to = mention(match[reverse ? 1 : 3]);
+            let label = match[4] || '';
+            if (autonumber !== null) label = `${autonumber++} ${label}`.trim();
+            result.rows.push({
+                type: 'message',
+                from: from,
+                to: to,
+                label: label,
+                dashed: /--/.test(arrow),
+                async: />>|<</.test(arrow) || /[\/\\]/.test(arrow),
+                lost: /x$/.test(arrow) && !reverse,
+                both: arrow.includes('<') && arrow.includes('>')
+            });
+        } else {
+            // Activations, dividers, delays and skinparams are not drawn
+            result.ignored.push(line);
+        }
+    }
+    return result;
+}
+
+function parsePlantUmlClassName(rest) {
+    let body = rest;
+    let stereotype = null;
+    let color = null;
+    const parents = [];
+
+    const stereotypeMatch = body.match(/<<\s*([^>]+?)\s*>>/);
+    if (stereotypeMatch) {
+        stereotype = stereotypeMatch[1];
+        body = body.replace(stereotypeMatch[0], ' ');
+    }
+    const inheritance = /\s(extends|implements)\s+([^{#]+?)(?=\s+(?:extends|implements)\s|\s*#|\s*$)/gi;
+    let match;
+    while ((match = inheritance.exec(body))) {
+        match[2].split(',').map(name => name.trim()).filter(Boolean)
+            .forEach(name => parents.push({ name: name, realization: match[1].toLowerCase() === 'implements' }));
+    }
+    body = body.replace(inheritance, ' ');
+    const colorMatch = body.match(/\s#(\w+)\s*$/);
+    if (colorMatch) {
+        color = plantUmlColor(colorMatch[1]);
+        body = body.slice(0, colorMatch.index);
+    }
+    body = body.trim();
+
+    let id;
+    let label;
+    if ((match = body.match(/^"([^"]+)"\s+as\s+(\S+)$/i))) {
+        label = match[1];
+        id = match[2];
+    } else if ((match = body.match(/^(\S+)\s+as\s+"([^"]+)"$/i))) {
+        id = match[1];
+        label = match[2];
+    } else {
+        label = unquotePlantUml(body);
+        id = label.replace(/<.*>$/, '');
+    }
+    return { id: id, label: label, stereotype: stereotype, color: color, parents: parents };
+}
+
+/**
+ * Parses the class diagram subset: class/interface/enum/abstract declarations with
+ * member blocks, `Name : member` lines and relations with multiplicities and labels.
+ * @param {string} text
+ * @returns {{title: string|null, classes: Map, relations: Array, ignored: string[]}}
+ */
+function parsePlantUmlClass(text) {
+    const result = { title: null, classes: new Map(), relations: [], ignored: [] };
+    let body = null;
+
+    const ensureClass = (id, kind) => {
+        const key = unquotePlantUml(id);
+        if (!result.classes.has(key)) {
+            result.classes.set(key, { id: key, label: key, kind: kind || 'class', stereotype: null, color: null, fields: [], methods: [] });
+        }
+        return result.classes.get(key);
+    };
+    const addMember = (cls, member) => {
+        const text = member.replace(/\{(static|abstract|classifier)\}\s*/gi, '').trim();
+        if (!text) return;
+        (text.includes('(') ? cls.methods : cls.fields).push(text);
+    };
+
+    for (const line of getPlantUmlLines(text)) {
+        if (body) {
+            if (line === '}') {
+                body = null;
+            } else if (!/^(--|\.\.|==|__)/.test(line)) {
+                addMember(body, line);
+            }
+            continue;
+        }
+
+        let match;
+        if ((match = line.match(CLASS_DECLARATION))) {
+            const kind = match[1].toLowerCase().replace(/\s+class$/, '');
+            let rest = match[2];
+            const opensBody = /\{\s*\}?$/.test(rest);
+            rest = rest.replace(/\{\s*\}?$/, '');
+            const parsed = parsePlantUmlClassName(rest);
+            const cls = ensureClass(parsed.id, kind);
+            Object.assign(cls, { label: parsed.label, kind: kind, stereotype: parsed.stereotype, color: parsed.color });
+            parsed.parents.forEach(parent => {
+                ensureClass(parent.name);
+                result.relations.push({
+                    source: parent.name, target: cls.id, sourceEnd: '<|', targetEnd: null,
+                    dashed: parent.realization, label: '', sourceLabel: '', targetLabel: ''
+                });
+            });
+            if (opensBody && !/\}\s*$/.test(match[2])) body = cls;
+        } else if ((match = line.match(/^title\s+(.+)$/i))) {
+            result.title = match[1];
+        } else if ((match = line.match(CLASS_RELATION))) {
+            const source = ensureClass(match[1]).id;
+            const target = ensureClass(match[8]).id;
+            result.relations.push({
+                source: source,
+                target: target,
+                sourceEnd: match[3] || null,
+                targetEnd: match[6] || null,
+                dashed: match[4].startsWith('.'),
+                label: (match[9] || '').replace(/\s*[<>]\s*$|^\s*[<>]\s*/g, ''),
+                sourceLabel: match[2] || '',
+                targetLabel: match[7] || ''
+            });
+        } else if ((match = line.match(/^("[^"]+"|[\w.$]+)\s*:\s*(.+)$/))) {
+            addMember(ensureClass(match[1]), match[2]);
+        } else {
+            result.ignored.push(line);
+        }
+    }
+    return result;
+}
+
+function plantUmlStyle(base, extra) {
+    return base + Object.keys(extra).map(key => `${key}=${extra[key]};`).join('');
+}
+
+function buildSequenceCells(parsed, root) {
+    const layout = SEQUENCE_LAYOUT;
+    const participants = [...parsed.participants.values()];
+    const column = new Map(participants.map((participant, i) => [participant.id, i]));
+    const centerX = (id) => layout.margin + column.get(id) * (layout.lifelineWidth + layout.lifelineGap) + layout.lifelineWidth / 2;
+
+    // Vertical position (relative to the lifeline top) of each row
+    const rowY = [];
+    let y = layout.header + 30;
+    for (const row of parsed.rows) {
+        rowY.push(y);
+        if (row.type === 'message') {
+            y += row.from === row.to ? layout.selfHeight : layout.rowHeight;
+        } else if (row.type === 'note') {
+            y += row.text.split('\n').length * 18 + 30;
+        } else {
+            y += 30;
+        }
+    }
+    const height = y + layout.rowHeight;
+    const lifelineId = (id) => `puml-${column.get(id) + 1}`;
+
+    participants.forEach((participant, i) => {
+        const extra = participant.color ? { fillColor: participant.color } : {};
+        root.children.push(createXmlElement('mxCell', {
+            id: lifelineId(participant.id),
+            value: escapePlantUmlText(participant.label),
+            style: plantUmlStyle(PLANTUML_LIFELINE_BASE + (PLANTUML_LIFELINE_STYLES[participant.kind] || ''), extra),
+            vertex: '1',
+            parent: '1'
+        }, [createXmlElement('mxGeometry', {
+            x: String(layout.margin + i * (layout.lifelineWidth + layout.lifelineGap)),
+            y: String(layout.margin),
+            width: String(layout.lifelineWidth),
+            height: String(height),
+            as: 'geometry'
+        })]));
+    });
+
+    let edgeCount = 0;
+    parsed.rows.forEach((row, i) => {
+        const rowTop = rowY[i];
+        if (row.type === 'message') {
+            const ratio = (value) => String(Math.round(value / height * 10000) / 10000);
+            const extra = {
+                endArrow: row.lost ? 'cross' : row.async ? 'open' : 'block',
+                endFill: row.async || row.lost ? '0' : '1',
+                startArrow: row.both ? (row.async ? 'open' : 'block') : 'none',
+                startFill: row.async ? '0' : '1',
+                exitX: '0.5',
+                exitY: ratio(rowTop),
+                entryX: '0.5',
+                entryY: ratio(row.from === row.to ? rowTop + 30 : rowTop)
+            };
+            if (row.dashed) extra.dashed = '1';
+            const geometryChildren = [];
+            if (row.from === row.to) {
+                const x = String(centerX(row.from) + 40);
+                geometryChildren.push(createXmlElement('Array', { as: 'points' }, [
+                    createXmlElement('mxPoint', { x: x, y: String(layout.margin + rowTop) }),
+                    createXmlElement('mxPoint', { x: x, y: String(layout.margin + rowTop + 30) })
+                ]));
+                extra.align = 'left';
+                extra.spacingLeft = '2';
+            }
+            root.children.push(createXmlElement('mxCell', {
+                id: `puml-edge-${++edgeCount}`,
+                value: escapePlantUmlText(row.label),
+                style: plantUmlStyle('html=1;verticalAlign=bottom;edgeStyle=none;', extra),
+                edge: '1',
+                parent: '1',
+                source: lifelineId(row.from),
+                target: lifelineId(row.to)
+            }, [createXmlElement('mxGeometry', { relative: '1', as: 'geometry' }, geometryChildren)]));
+        } else if (row.type === 'note') {
+            const xs = row.targets.map(centerX);
+            const lines = row.text.split('\n');
+            const width = Math.max(100, Math.min(240, Math.max(...lines.map(line => line.length)) * 7 + 20));
+            let x = Math.min(...xs) - width / 2;
+            let noteWidth = width;
+            if (row.position === 'left') x = xs[0] - width - 10;
+            else if (row.position === 'right') x = xs[0] + 10;
+            else if (xs.length > 1) {
+                x = Math.min(...xs) - 40;
+                noteWidth = Math.max(...xs) - Math.min(...xs) + 80;
+            }
+            root.children.push(createXmlElement('mxCell', {
+                id: `puml-note-${i + 1}`,
+                value: escapePlantUmlText(row.text).replace(/\n/g, '<br>'),
+                style: 'shape=note;whiteSpace=wrap;html=1;backgroundOutline=1;size=12;fillColor=#fff2cc;strokeColor=#d6b656;align=left;spacingLeft=4;',
+                vertex: '1',
+                parent: '1'
+            }, [createXmlElement('mxGeometry', {
+                x: String(Math.round(x)),
+                y: String(layout.margin + rowTop - 10),
+                width: String(Math.round(noteWidth)),
+                height: String(lines.length * 18 + 20),
+                as: 'geometry'
+            })]));
+        }
+    });
+
+    // Fragments span the lifelines of the messages inside them
+    parsed.fragments.forEach((fragment, i) => {
+        const inside = parsed.rows.slice(fragment.startRow, fragment.endRow)
+            .flatMap(row => row.type === 'message' ? [row.from, row.to] : row.type === 'note' ? row.targets : []);
+        const ids = inside.length > 0 ? inside : participants.map(participant => participant.id);
+        const left = Math.min(...ids.map(centerX)) - layout.lifelineWidth / 2 - 10;
+        const right = Math.max(...ids.map(centerX)) + layout.lifelineWidth / 2 + 10;
+        const top = layout.margin + rowY[fragment.startRow] - 10;
+        const bottom = layout.margin + rowY[fragment.endRow] + 10;
+        const frameId = `puml-frame-${i + 1}`;
+        const label = fragment.label ? `${fragment.kind} [${escapePlantUmlText(fragment.label)}]` : fragment.kind;
+        root.children.push(createXmlElement('mxCell', {
+            id: frameId,
+            value: label,
+            style: `shape=umlFrame;whiteSpace=wrap;html=1;pointerEvents=0;width=${Math.max(60, label.length * 7 + 20)};height=20;`,
+            vertex: '1',
+            parent: '1'
+        }, [createXmlElement('mxGeometry', {
+            x: String(left), y: String(top), width: String(right - left), height: String(bottom - top), as: 'geometry'
+        })]));
+        fragment.branches.forEach((branch, k) => {
+            root.children.push(createXmlElement('mxCell', {
+                id: `${frameId}-else-${k + 1}`,
+                value: branch.label ? `[${escapePlantUmlText(branch.label)}]` : '',
+                style: 'line;strokeWidth=1;dashed=1;html=1;align=left;verticalAlign=top;spacingLeft=4;fillColor=none;',
+                vertex: '1',
+                parent: frameId
+            }, [createXmlElement('mxGeometry', {
+                y: String(rowY[branch.row] - rowY[fragment.startRow] + 4), width: String(right - left), height: '20', as: 'geometry'
+            })]));
+        });
+    });
+}
+
+function buildClassCells(parsed, root) {
+    const classIds = new Map();
+    [...parsed.classes.values()].forEach((cls, i) => {
+        const id = `puml-${i + 1}`;
+        classIds.set(cls.id, id);
+
+        const stereotype = cls.stereotype || (cls.kind === 'interface' ? 'interface' : cls.kind === 'enum' ? 'enumeration' : null);
+        let name = `<b>${escapePlantUmlText(cls.label)}</b>`;
+        if (cls.kind === 'abstract') name = `<i>${name}</i>`;
+        const value = stereotype ? `&lt;&lt;${escapePlantUmlText(stereotype)}&gt;&gt;<br>${name}` : name;
+        const header = stereotype ? 40 : 26;
+
+        const members = cls.fields.map(text => ({ text: text }));
+        if (cls.fields.length > 0 && cls.methods.length > 0) members.push({ divider: true });
+        cls.methods.forEach(text => members.push({ text: text }));
+
+        const longest = Math.max(cls.label.length + 4, stereotype ? stereotype.length + 4 : 0, ...members.map(member => (member.text || '').length));
+        const width = Math.max(160, Math.min(320, longest * 7 + 20));
+        let y = header;
+        const children = members.map((member, k) => {
+            const cellHeight = member.divider ? 8 : 26;
+            const cell = createXmlElement('mxCell', {
+                id: `${id}-${k + 1}`,
+                value: member.divider ? '' : escapePlantUmlText(member.text),
+                style: member.divider ? PLANTUML_DIVIDER_STYLE : PLANTUML_MEMBER_STYLE,
+                vertex: '1',
+                parent: id
+            }, [createXmlElement('mxGeometry', { y: String(y), width: String(width), height: String(cellHeight), as: 'geometry' })]);
+            y += cellHeight;
+            return cell;
+        });
+
+        const extra = { startSize: String(header) };
+        if (cls.color) extra.fillColor = cls.color;
+        root.children.push(createXmlElement('mxCell', {
+            id: id,
+            value: value,
+            style: plantUmlStyle(PLANTUML_CLASS_BASE, extra),
+            vertex: '1',
+            parent: '1'
+        }, [createXmlElement('mxGeometry', { width: String(width), height: String(Math.max(y, header + 26)), as: 'geometry' })]));
+        root.children.push(...children);
+    });
+
+    parsed.relations.forEach((relation, i) => {
+        const id = `puml-edge-${i + 1}`;
+        const start = PLANTUML_RELATION_ENDS[relation.sourceEnd];
+        const end = PLANTUML_RELATION_ENDS[relation.targetEnd];
+        const extra = {
+            startArrow: start ? start.arrow : 'none',
+            startFill: start ? start.fill : '0',
+            startSize: start ? start.size : '10',
+            endArrow: end ? end.arrow : 'none',
+            endFill: end ? end.fill : '0',
+            endSize: end ? end.size : '10'
+        };
+        if (relation.dashed) extra.dashed = '1';
+        root.children.push(createXmlElement('mxCell', {
+            id: id,
+            value: escapePlantUmlText(relation.label),
+            style: plantUmlStyle('edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;', extra),
+            edge: '1',
+            parent: '1',
+            source: classIds.get(relation.source),
+            target: classIds.get(relation.target)
+        }, [createXmlElement('mxGeometry', { relative: '1', as: 'geometry' })]));
+
+        // Multiplicities sit at either end of the connector
+        [[relation.sourceLabel, '-1', 'source'], [relation.targetLabel, '1', 'target']].forEach(([label, x, end]) => {
+            if (!label) return;
+            root.children.push(createXmlElement('mxCell', {
+                id: `${id}-${end}`,
+                value: escapePlantUmlText(label),
+                style: 'edgeLabel;resizable=0;html=1;align=left;verticalAlign=bottom;',
+                vertex: '1',
+                connectable: '0',
+                parent: id
+            }, [createXmlElement('mxGeometry', { x: x, relative: '1', as: 'geometry' }, [
+                createXmlElement('mxPoint', { x: '6', y: end === 'source' ? '-6' : '6', as: 'offset' })
+            ])]));
+        });
+    });
+}
+
+/**
+ * Converts a PlantUML sequence or class diagram into an mxfile.
+ * @param {string} text
+ * @returns {{xml: string, report: Array<{code: string, message: string}>}}
+ */
+function convertPlantUmlToMxGraph(text) {
+    const kind = getPlantUmlKind(text);
+    if (!kind) {
+        throw new Error('Only PlantUML sequence and class diagrams can be converted locally');
+    }
+
+    const root = createXmlElement('root', {}, [
+        createXmlElement('mxCell', { id: '0' }),
+        createXmlElement('mxCell', { id: '1', parent: '0' })
+    ]);
+    let parsed;
+    let summary;
+    if (kind === 'sequence') {
+        parsed = parsePlantUmlSequence(text);
+        buildSequenceCells(parsed, root);
+        const messages = parsed.rows.filter(row => row.type === 'message').length;
+        summary = `${parsed.participants.size} participants and ${messages} messages`;
+    } else {
+        parsed = parsePlantUmlClass(text);
+        buildClassCells(parsed, root);
+        summary = `${parsed.classes.size} classes and ${parsed.relations.length} relations`;
+    }
+
+    // Sequence diagrams are placed row by row above; class boxes still need a layout
+    const model = createXmlElement('mxGraphModel', {}, [root]);
+    if (kind === 'class') layoutGraphModel(model, { direction: 'TB', missingPosition: 'unplaced' });
+
+    const mxfile = createXmlElement('mxfile', {}, [
+        createXmlElement('diagram', { name: parsed.title || 'Page-1', id: 'plantuml' }, [model])
+    ]);
+    const report = [{
+        code: 'plantuml-converted',
+        message: `Converted PlantUML ${kind} diagram to ${summary}`
+    }];
+    for (const statement of parsed.ignored) {
+        report.push({ code: 'plantuml-ignored', message: `Skipped unsupported PlantUML statement: ${statement}` });
+    }
+    return { xml: serializeXml(mxfile), report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPlantUmlKind,
+        parsePlantUmlSequence,
+        parsePlantUmlClass,
+        convertPlantUmlToMxGraph
+    };
+}
@@ -0,0 +1,144 @@
+// lib/settings.js
+
+// Shared by the background service worker (importScripts), the options page and content scripts.
+// All settings live in chrome.storage.sync as flat keys so `get(DEFAULT_SETTINGS)` fills in defaults.
+
+const DEFAULT_DRAWIO_BASE_URL = 'https://app.diagrams.net/';
+
+const DEFAULT_SETTINGS = {
+    // Base URL of the diagrams.net instance, e.g. an internal draw.io Docker deployment
+    baseUrl: DEFAULT_DRAWIO_BASE_URL,
+    // Per-instance URL parameters, appended only when non-empty
+    ui: '',        // kennedy | min | atlas | dark | sketch | simple
+    lang: '',      // e.g. en, zh, de
+    dark: '',      // auto | 1 | 0
+    libraries: '', // 1 | 0
+    // How diagrams reach the editor: 'auto' switches to embed mode above embedThreshold
+    deliveryMode: 'auto', // auto | url | embed
+    // Maximum editor URL length (characters) before auto mode switches to embed delivery
+    embedThreshold: 16000,
+    // Convert Mermaid flowcharts to native draw.io shapes instead of a single Mermaid object
+    convertMermaid: false,
+    // PlantUML: 'auto' uses the diagrams.net import on the default instance and converts
+    // sequence/class diagrams locally for self-hosted instances, which may lack a PlantUML server
+    plantUmlMode: 'auto', // auto | import | convert
+    // "Download .drawio" for Mermaid: keep the source (.mmd) or save flowcharts as native shapes
+    mermaidDownloadFormat: 'mmd', // mmd | drawio
+    // Show a locally rendered preview under each detected diagram block
+    inlinePreview: true,
+    // Keep opened diagrams in chrome.storage.local for the toolbar popup
+    keepHistory: true,
+    // Other targets (lib/targets.js): a self-hosted Mermaid Live Editor (empty for mermaid.live)
+    // and a Kroki server (empty until configured)
+    mermaidLiveUrl: '',
+    krokiUrl: '',
+    // Chat frontends added on the options page: [{origin, codeSelector, toolbarSelector}] (lib/sites.js)
+    customSites: []
+};
+
+// URL parameters forwarded to the instance, in the order they are appended
+const INSTANCE_URL_PARAMS = ['ui', 'lang', 'dark', 'libraries'];
+
+/**
+ * Validates and normalizes a diagrams.net base URL (http/https only, trailing slash, no hash).
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeBaseUrl(url) {
+    const trimmed = (url || '').trim();
+    if (!trimmed) return DEFAULT_DRAWIO_BASE_URL;
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (e) {
+        throw new Error(`Invalid URL: ${trimmed}`);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+    }
+
+    parsed.hash = '';
+    if (!parsed.pathname.endsWith('/') && !/\.[a-z]+$/i.test(parsed.pathname)) {
+        parsed.pathname += '/';
+    }
+    return parsed.toString();
+}
+
+/**
+ * Returns the host permission pattern covering the configured instance.
+ * @param {string} baseUrl
+ * @returns {string} e.g. "https://drawio.example.com/*"
+ */
+function getOriginPattern(baseUrl) {
+    const parsed = new URL(normalizeBaseUrl(baseUrl));
+    return `${parsed.protocol}//${parsed.hostname}/*`;
+}
+
+/**
+ * Whether the settings point at the public app.diagrams.net instance.
+ * @param {object} settings
+ * @returns {boolean}
+ */
+function isDefaultInstance(settings) {
+    return normalizeBaseUrl(settings.baseUrl) === DEFAULT_DRAWIO_BASE_URL;
+}
+
+/**
+ * Builds a URL for the configured diagrams.net instance.
+ * @param {object} settings Settings as returned by loadSettings()
+ * @param {Object<string, string>} [params] Extra query parameters (e.g. create)
+ * @param {string} [hash] Hash fragment without the leading '#'
+ * @returns {string}
+ */
+function buildDrawioUrl(settings, params, hash) {
+    const url = new URL(normalizeBaseUrl(settings.baseUrl));
+
+    for (const key of INSTANCE_URL_PARAMS) {
+        const value = settings[key];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            url.searchParams.set(key, String(value).trim());
+        }
+    }
+
+    let result = url.toString();
+
+    // Extra params are appended by hand so JSON payloads keep the encodeURIComponent form draw.io expects
+    if (params) {
+        const query = Object.keys(params)
+            .map(key => `${key}=${encodeURIComponent(params[key])}`)
+            .join('&');
+        if (query) {
+            result += (url.search ? '&' : '?') + query;
+        }
+    }
+
+    if (hash) {
+        result += `#${hash}`;
+    }
+    return result;
+}
+
+/**
+ * Loads settings from chrome.storage.sync, falling back to defaults.
+ * @returns {Promise<object>}
+ */
+async function loadSettings() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+        return { ...DEFAULT_SETTINGS };
+    }
+    return await chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_DRAWIO_BASE_URL,
+        DEFAULT_SETTINGS,
+        INSTANCE_URL_PARAMS,
+        normalizeBaseUrl,
+        getOriginPattern,
+        isDefaultInstance,
+        buildDrawioUrl,
+        loadSettings
+    };
+}
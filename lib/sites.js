@@ -0,0 +1,551 @@
+// lib/sites.js
+
+// Per-site integration with the chat frontends. Each adapter declares where it runs, how its
+// code blocks are discovered, where the button goes in the code block header, how the button
+// is styled and what to do when the header is not found. content.js interprets the adapter of
+// the current page; background.js offers the context menu on the same match patterns, and
+// test_sites.js checks that manifest.json injects the content script on all of them.
+
+/**
+ * @typedef {object} SiteAdapter
+ * @property {string} id
+ * @property {string} name
+ * @property {RegExp} [titleSuffix] Other forms of the site name the page appends to conversation titles
+ *   ("Release plan - Le Chat"); they and `name` are removed from download file names
+ * @property {Array<string>} hosts Hostnames the adapter applies to, subdomains included
+ * @property {Array<string>} [paths] Path prefixes the adapter is limited to, for chats hosted next to other pages
+ * @property {Array<string>} matches Match patterns for the content script and the context menu
+ * @property {object} [discovery]
+ * @property {string} [discovery.blockSelector] Elements that are code blocks whatever their tag (custom sites)
+ * @property {boolean} [discovery.allCode] Check every <code> element, not only those with a diagram language class
+ * @property {string} [discovery.codeContainer] Wrapper whose <code> elements are always checked
+ * @property {Array<string>} [discovery.containerTags] Custom element tags to search for code blocks when added
+ * @property {boolean} [discovery.observeText] Set to false to ignore text changes (characterData) while answers stream
+ * @property {'toolbar'|'edges'} [placement] 'edges' puts a button above and one below the code, inside the block
+ * @property {object} [toolbar] Where the button goes in the code block header
+ * @property {string} [toolbar.scope] Ancestor of the <pre> (or the block) to search in; the <pre>/block itself when omitted
+ * @property {string} [toolbar.container] Element in the scope that receives the button
+ * @property {string} [toolbar.before] Element in the scope the button is inserted before, instead of a container
+ * @property {'ancestors'} [toolbar.search] Look for the container (or `before`) in ever larger ancestors of the block,
+ *   stopping before one that also holds another code block (custom sites, and headers that are siblings of the <pre>)
+ * @property {'first'|'last'} [toolbar.position] Where in the container; 'first' by default
+ * @property {object} [buttonStyle] Style properties applied to the button group
+ * @property {Array<{in?: string, style: object}>} [fallbacks] Tried in order when the toolbar is not found.
+ *   `in` is 'scope' or a selector in the scope; without it the button goes at the top of the block.
+ *   Absolutely positioned buttons are appended, others inserted first.
+ * @property {object} [composer] Chat input that "Edit and send back" writes the edited diagram into
+ * @property {string} composer.selector A textarea or a rich text editor (contenteditable)
+ */
+
+// Last resort: the button floats at the top right of the block
+const SITE_FLOAT_FALLBACK = { style: { float: 'right', margin: '8px' } };
+
+// Compact button for the small code block headers of most chat frontends
+const SITE_HEADER_BUTTON_STYLE = {
+    float: 'none', margin: '0 4px 0 0', height: '24px', lineHeight: '24px', fontSize: '12px',
+    display: 'inline-block', padding: '0 8px'
+};
+
+/** @type {Array<SiteAdapter>} */
+const SITE_ADAPTERS = [
+    {
+        id: 'gemini',
+        name: 'Gemini',
+        hosts: ['gemini.google.com'],
+        matches: ['https://gemini.google.com/*'],
+        toolbar: { scope: 'code-block', container: '.code-block-decoration .buttons' },
+        // Quill editor
+        composer: { selector: 'rich-textarea .ql-editor[contenteditable="true"]' },
+        // Right margin separates it from the copy button; slightly smaller to fit the header
+        buttonStyle: { float: 'none', margin: '0 8px 0 0', height: '24px', lineHeight: '24px', fontSize: '11px', top: '-6px' },
+        fallbacks: [
+            // Inside the box when the header is missing (unexpected structure)
+            { in: '.formatted-code-block-internal-container', style: { position: 'absolute', right: '8px', top: '8px', float: 'none' } },
+            SITE_FLOAT_FALLBACK
+        ]
+    },
+    {
+        id: 'aistudio',
+        name: 'Google AI Studio',
+        hosts: ['aistudio.google.com'],
+        matches: ['https://aistudio.google.com/*'],
+        discovery: { containerTags: ['MS-CODE-BLOCK', 'MAT-EXPANSION-PANEL', 'MS-PROMPT-CHUNK', 'MS-TEXT-CHUNK'] },
+        // The title row of the expansion panel around the code
+        toolbar: { scope: 'mat-expansion-panel', container: 'mat-expansion-panel-header .mat-content', position: 'last' },
+        buttonStyle: {
+            float: 'none', marginLeft: '12px', height: '24px', lineHeight: '24px', fontSize: '12px',
+            display: 'inline-block', verticalAlign: 'middle'
+        },
+        fallbacks: []
+    },
+    {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        hosts: ['chatgpt.com', 'chat.openai.com'],
+        matches: ['https://chatgpt.com/*'],
+        // Code blocks get their language class late while streaming
+        discovery: { allCode: true },
+        // Next to the copy button in the sticky header
+        toolbar: { container: '.contain-inline-size .sticky .bg-token-bg-elevated-secondary' },
+        // ProseMirror editor
+        composer: { selector: '#prompt-textarea[contenteditable="true"]' },
+        buttonStyle: {
+            float: 'none', margin: '0', height: '24px', lineHeight: '24px', fontSize: '12px',
+            display: 'inline-block', padding: '0 8px'
+        },
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'claude',
+        name: 'Claude',
+        hosts: ['claude.ai'],
+        matches: ['https://claude.ai/*'],
+        // Text observation slows down expanding long code blocks
+        discovery: { observeText: false },
+        placement: 'edges',
+        buttonStyle: { float: 'none', margin: '0' },
+        // ProseMirror editor
+        composer: { selector: 'fieldset .ProseMirror[contenteditable="true"]' }
+    },
+    {
+        id: 'deepseek',
+        name: 'DeepSeek',
+        hosts: ['deepseek.com'],
+        matches: ['https://chat.deepseek.com/*'],
+        // Leftmost in the banner toolbar
+        toolbar: { scope: '.md-code-block', container: '.md-code-block-banner .d2a24f03:last-child .efa13877' },
+        composer: { selector: 'textarea#chat-input' },
+        buttonStyle: {
+            float: 'none', margin: '0 4px 0 0', height: '24px', lineHeight: '24px', fontSize: '12px',
+            display: 'inline-block', padding: '0 8px'
+        },
+        fallbacks: []
+    },
+    {
+        id: 'perplexity',
+        name: 'Perplexity',
+        hosts: ['perplexity.ai'],
+        matches: ['https://www.perplexity.ai/*'],
+        discovery: { codeContainer: '.codeWrapper' },
+        toolbar: { scope: '.codeWrapper', before: 'button[data-testid="copy-code-button"]' },
+        // Lexical editor; a plain textarea in older layouts
+        composer: { selector: '#ask-input[contenteditable="true"], textarea' },
+        // Matches their rounded-full header buttons
+        buttonStyle: {
+            float: 'none', margin: '0', height: '32px', lineHeight: '32px', fontSize: '12px',
+            display: 'inline-block', padding: '0 12px', borderRadius: '9999px', marginRight: '4px'
+        },
+        fallbacks: [
+            { in: 'scope', style: { position: 'absolute', right: '60px', top: '8px', float: 'none', zIndex: '10' } }
+        ]
+    },
+    {
+        id: 'xiaomimimo',
+        name: 'Xiaomi MiMo',
+        titleSuffix: /Xiaomi MiMo[^-|]*/,
+        hosts: ['xiaomimimo.com'],
+        matches: ['https://aistudio.xiaomimimo.com/*'],
+        // Before the copy button in the header above the <pre>
+        toolbar: { scope: 'div', container: 'header.flex.items-center div.flex.items-center.gap-2:last-child' },
+        buttonStyle: {
+            float: 'none', margin: '0', marginRight: '8px', height: '28px', lineHeight: '28px', fontSize: '12px',
+            display: 'inline-block', padding: '0 12px', borderRadius: '6px', position: 'relative',
+            outline: 'none', border: '1px solid transparent', whiteSpace: 'nowrap'
+        },
+        fallbacks: []
+    },
+    {
+        id: 'copilot',
+        name: 'Microsoft Copilot',
+        titleSuffix: /Copilot/,
+        hosts: ['copilot.microsoft.com'],
+        matches: ['https://copilot.microsoft.com/*'],
+        // The header with the copy button is a sibling of the <pre>, in an unnamed wrapper
+        toolbar: { before: 'button[aria-label="Copy code"]', search: 'ancestors' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'grok',
+        name: 'Grok',
+        hosts: ['grok.com'],
+        matches: ['https://grok.com/*'],
+        // Before the copy button in the sticky action bar
+        toolbar: { scope: '[data-testid="code-block"]', before: 'button[aria-label="Copy"]' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'poe',
+        name: 'Poe',
+        hosts: ['poe.com'],
+        matches: ['https://poe.com/*'],
+        // CSS module class names carry a build hash, so only their prefix is matched
+        toolbar: { scope: '[class*="MarkdownCodeBlock_container"]', container: '[class*="MarkdownCodeBlock_codeActions"]' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'mistral',
+        name: 'Mistral Le Chat',
+        titleSuffix: /Le Chat(?: - Mistral AI)?|Mistral AI/,
+        hosts: ['chat.mistral.ai'],
+        matches: ['https://chat.mistral.ai/*'],
+        toolbar: { before: 'button[aria-label="Copy to clipboard"]', search: 'ancestors' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'kimi',
+        name: 'Kimi',
+        titleSuffix: /Kimi\.ai/,
+        hosts: ['kimi.com', 'kimi.moonshot.cn'],
+        matches: ['https://www.kimi.com/*', 'https://kimi.moonshot.cn/*'],
+        // Before the copy action on the right of the language label
+        toolbar: { scope: '.segment-code', before: '.segment-code-header .simple-button' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'qwen',
+        name: 'Qwen Chat',
+        titleSuffix: /Qwen/,
+        hosts: ['chat.qwen.ai'],
+        matches: ['https://chat.qwen.ai/*'],
+        toolbar: { scope: '.qwen-markdown-code', container: '.qwen-markdown-code-header-actions' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'doubao',
+        name: 'Doubao',
+        titleSuffix: /豆包/,
+        hosts: ['doubao.com'],
+        matches: ['https://www.doubao.com/*'],
+        toolbar: { scope: '[class*="code-block-element"]', before: 'button[data-testid="code-block-copy"]' },
+        buttonStyle: SITE_HEADER_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    },
+    {
+        id: 'huggingchat',
+        name: 'HuggingChat',
+        hosts: ['huggingface.co'],
+        // Model cards and other huggingface.co pages scanned from the popup get the generic adapter
+        paths: ['/chat'],
+        matches: ['https://huggingface.co/chat/*'],
+        // No header: the copy button floats over the top right corner of the code, ours goes next to it
+        toolbar: { scope: 'div.group' },
+        fallbacks: [
+            { in: 'scope', style: { position: 'absolute', right: '52px', top: '8px', float: 'none', zIndex: '10' } },
+            SITE_FLOAT_FALLBACK
+        ]
+    }
+];
+
+// Pages without an adapter of their own
+const SITE_GENERIC_ADAPTER = {
+    id: 'generic',
+    name: 'Other sites',
+    hosts: [],
+    matches: [],
+    fallbacks: [SITE_FLOAT_FALLBACK]
+};
+
+// Buttons in user-configured toolbars sit inline with the site's own buttons
+const SITE_CUSTOM_BUTTON_STYLE = { float: 'none', margin: '0 4px', verticalAlign: 'middle' };
+
+/**
+ * Validates a site added on the options page.
+ * @param {{origin: string, codeSelector?: string, toolbarSelector?: string}} site
+ * @returns {{origin: string, codeSelector: string, toolbarSelector: string}} `origin` without path or trailing slash
+ */
+function normalizeCustomSite(site) {
+    const trimmed = (site.origin || '').trim();
+    if (!trimmed) throw new Error('Enter the address of the site, e.g. https://chat.example.com');
+    let parsed;
+    try {
+        parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (e) {
+        throw new Error(`Invalid site URL: ${trimmed}`);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error(`Invalid site URL: ${trimmed}`);
+    }
+    return {
+        origin: parsed.origin,
+        codeSelector: (site.codeSelector || '').trim(),
+        toolbarSelector: (site.toolbarSelector || '').trim()
+    };
+}
+
+/**
+ * Builds the adapter for a site added on the options page. Without a toolbar selector the
+ * button floats at the top of the block, as on unknown sites.
+ * @param {{origin: string, codeSelector?: string, toolbarSelector?: string}} site
+ * @returns {SiteAdapter}
+ */
+function createCustomSiteAdapter(site) {
+    const normalized = normalizeCustomSite(site);
+    const url = new URL(normalized.origin);
+    return {
+        id: `custom:${normalized.origin}`,
+        name: url.host,
+        hosts: [url.hostname],
+        // Same form as getOriginPattern (lib/settings.js): any port on the host
+        matches: [`${url.protocol}//${url.hostname}/*`],
+        custom: true,
+        discovery: normalized.codeSelector ? { blockSelector: normalized.codeSelector } : {},
+        toolbar: normalized.toolbarSelector ? { container: normalized.toolbarSelector, search: 'ancestors' } : undefined,
+        buttonStyle: SITE_CUSTOM_BUTTON_STYLE,
+        fallbacks: [SITE_FLOAT_FALLBACK]
+    };
+}
+
+/**
+ * Adapters for the `customSites` setting; invalid entries are skipped.
+ * @param {Array<object>} [sites]
+ * @returns {Array<SiteAdapter>}
+ */
+function getCustomSiteAdapters(sites) {
+    const adapters = [];
+    for (const site of sites || []) {
+        try {
+            adapters.push(createCustomSiteAdapter(site));
+        } catch (e) {
+            // The options page rejects these before saving; ignore any that got in another way
+        }
+    }
+    return adapters;
+}
+
+/**
+ * Finds the adapter for a page.
+ * @param {string} hostname
+ * @param {Array<SiteAdapter>} [adapters]
+ * @param {string} [pathname] Checked against the adapters' `paths`; without it only the host counts
+ *   (e.g. the options page checking whether a site is already supported)
+ * @returns {SiteAdapter} SITE_GENERIC_ADAPTER when no adapter matches
+ */
+function findSiteAdapter(hostname, adapters, pathname) {
+    const host = (hostname || '').toLowerCase();
+    const inPaths = (candidate) => !candidate.paths || pathname === undefined ||
+        candidate.paths.some(path => pathname === path || pathname.startsWith(path + '/'));
+    const adapter = (adapters || SITE_ADAPTERS).find(candidate =>
+        candidate.hosts.some(name => host === name || host.endsWith('.' + name)) && inPaths(candidate));
+    return adapter || SITE_GENERIC_ADAPTER;
+}
+
+/**
+ * Match patterns of all adapters, for the content script and the context menu.
+ * @param {Array<SiteAdapter>} [adapters]
+ * @returns {Array<string>}
+ */
+function getSiteMatchPatterns(adapters) {
+    return [].concat(...(adapters || SITE_ADAPTERS).map(adapter => adapter.matches));
+}
+
+/**
+ * The site names the adapters' pages append to conversation titles, as regular expression sources.
+ * @param {Array<SiteAdapter>} [adapters]
+ * @returns {Array<string>}
+ */
+function getSiteTitleSuffixes(adapters) {
+    return [].concat(...(adapters || SITE_ADAPTERS).map(adapter => [adapter.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')]
+        .concat(adapter.titleSuffix ? [adapter.titleSuffix.source] : [])));
+}
+
+/**
+ * Whether a CODE element (or Gemini's CODE-BLOCK, or a custom site's block) should be checked for a diagram.
+ * @param {SiteAdapter} adapter
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isSiteCodeBlock(adapter, element) {
+    if (!element) return false;
+
+    const discovery = adapter.discovery || {};
+    if (discovery.blockSelector && element.matches(discovery.blockSelector)) return true;
+
+    // Always consider code-block elements as relevant for checking
+    if (element.tagName === 'CODE-BLOCK') return true;
+
+    if (element.tagName !== 'CODE') return false;
+
+    if (discovery.allCode) return true;
+    if (discovery.codeContainer && element.closest(discovery.codeContainer)) return true;
+
+    const classes = element.className || '';
+    // Check for language classes that indicate XML, Mermaid, PlantUML or Graphviz DOT
+    return classes.includes('language-xml') ||
+        classes.includes('language-mermaid') ||
+        classes.includes('language-dot') ||
+        classes.includes('language-gv') ||
+        classes.includes('plantuml') ||
+        classes.includes('language-puml') ||
+        classes.includes('xml') ||
+        classes.includes('mermaid') ||
+        classes.includes('graphviz');
+}
+
+function applySiteButtonStyle(button, style) {
+    Object.assign(button.style, style);
+}
+
+// The nearest match of a toolbar selector around the block that does not belong to another block
+function findNearestSiteToolbar(adapter, start, selector) {
+    const blockSelector = (adapter.discovery && adapter.discovery.blockSelector) || 'pre';
+    for (let node = start; node && node.nodeType === 1; node = node.parentElement) {
+        const others = Array.from(node.querySelectorAll(blockSelector))
+            .some(other => !other.contains(start) && !start.contains(other));
+        if (others) return null;
+        const toolbar = node.querySelector(selector);
+        if (toolbar) return toolbar;
+    }
+    return null;
+}
+
+function insertSiteButton(container, button, position) {
+    if (position === 'last' || !container.firstChild) {
+        container.appendChild(button);
+    } else {
+        container.insertBefore(button, container.firstChild);
+    }
+}
+
+/**
+ * Inserts the button group(s) for a detected code block where the adapter says.
+ * @param {SiteAdapter} adapter
+ * @param {Element} block The PRE, CODE or CODE-BLOCK element holding the diagram
+ * @param {function(): HTMLElement} createGroup Creates one button group (content.js createButton)
+ * @returns {Array<HTMLElement>} The inserted groups; empty when there is no place for them or
+ *   the header already has a button
+ */
+function placeSiteButton(adapter, block, createGroup) {
+    if (adapter.placement === 'edges') {
+        // Block layout (own line) using SPAN, which is valid inside CODE
+        const groups = ['margin-bottom', 'margin-top'].map((margin) => {
+            const row = block.ownerDocument.createElement('span');
+            row.style.cssText = `display: flex; justify-content: flex-start; ${margin}: 8px; width: 100%;`;
+            const group = createGroup();
+            applySiteButtonStyle(group, adapter.buttonStyle || {});
+            row.appendChild(group);
+            return row;
+        });
+        insertSiteButton(block, groups[0], 'first');
+        block.appendChild(groups[1]);
+        return groups.map(row => row.firstChild);
+    }
+
+    const toolbar = adapter.toolbar;
+    const start = block.closest('pre') || block;
+    const scope = toolbar && toolbar.scope ? start.closest(toolbar.scope) : start;
+
+    if (toolbar && scope) {
+        const find = (selector) => (toolbar.search === 'ancestors'
+            ? findNearestSiteToolbar(adapter, scope, selector)
+            : scope.querySelector(selector));
+        const anchor = toolbar.before ? find(toolbar.before) : null;
+        const container = anchor ? anchor.parentElement : toolbar.container ? find(toolbar.container) : null;
+        if (container) {
+            if (container.querySelector('.drawio-launcher-btn')) return [];
+            const group = createGroup();
+            applySiteButtonStyle(group, adapter.buttonStyle || {});
+            if (anchor) {
+                container.insertBefore(group, anchor);
+            } else {
+                insertSiteButton(container, group, toolbar.position);
+            }
+            return [group];
+        }
+    }
+
+    for (const fallback of adapter.fallbacks || []) {
+        let container = block;
+        if (fallback.in) {
+            if (!scope) continue;
+            container = fallback.in === 'scope' ? scope : scope.querySelector(fallback.in);
+            if (!container) continue;
+            if (container.querySelector('.drawio-launcher-btn')) return [];
+        }
+        const group = createGroup();
+        applySiteButtonStyle(group, fallback.style);
+        if (fallback.style.position === 'absolute') {
+            // The container must be positioned for the button to stay inside it
+            // (an empty computed value, as some DOM implementations report, also means static)
+            const position = container.ownerDocument.defaultView.getComputedStyle(container).position;
+            if (!position || position === 'static') {
+                container.style.position = 'relative';
+            }
+            container.appendChild(group);
+        } else {
+            insertSiteButton(container, group, 'first');
+        }
+        return [group];
+    }
+    return [];
+}
+
+/**
+ * Returns the chat input of the page, or null when the site has no composer adapter or the
+ * input is not on the page (e.g. a shared conversation).
+ * @param {SiteAdapter} adapter
+ * @param {Document} document
+ * @returns {Element|null}
+ */
+function findSiteComposer(adapter, document) {
+    return adapter.composer ? document.querySelector(adapter.composer.selector) : null;
+}
+
+/**
+ * Appends text to a chat input the way the site's editor expects it, so the frontend sees the
+ * change (its send button is enabled) and keeps the line breaks.
+ * @param {Element} composer From findSiteComposer
+ * @param {string} text
+ */
+function insertIntoSiteComposer(composer, text) {
+    const document = composer.ownerDocument;
+    const view = document.defaultView;
+    composer.focus();
+
+    if (composer.tagName === 'TEXTAREA') {
+        // React keeps its own copy of the value: set it through the native setter, then notify it
+        const setValue = Object.getOwnPropertyDescriptor(view.HTMLTextAreaElement.prototype, 'value').set;
+        const separator = composer.value && !composer.value.endsWith('\n') ? '\n' : '';
+        setValue.call(composer, composer.value + separator + text);
+        composer.dispatchEvent(new view.Event('input', { bubbles: true }));
+        return;
+    }
+
+    // Rich text editors (ProseMirror, Quill, Lexical) take pasted plain text at the caret
+    const range = document.createRange();
+    range.selectNodeContents(composer);
+    range.collapse(false);
+    const selection = view.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const data = new view.DataTransfer();
+    data.setData('text/plain', text);
+    const handled = !composer.dispatchEvent(new view.ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+    if (!handled) {
+        // Editors that leave pasting to the browser
+        document.execCommand('insertText', false, text);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITE_ADAPTERS,
+        SITE_GENERIC_ADAPTER,
+        normalizeCustomSite,
+        createCustomSiteAdapter,
+        getCustomSiteAdapters,
+        findSiteAdapter,
+        getSiteMatchPatterns,
+        getSiteTitleSuffixes,
+        isSiteCodeBlock,
+        placeSiteButton,
+        findSiteComposer,
+        insertIntoSiteComposer
+    };
+}
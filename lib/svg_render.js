@@ -0,0 +1,780 @@
+// lib/svg_render.js
+
+// Offline renderer from mxGraph XML to SVG, used by "Copy as SVG" and the SVG/PNG downloads.
+// It covers what chat models and our converters produce: rectangles (rounded), ellipses,
+// rhombus, text, swimlanes, groups and UML lifelines, and edges with straight or orthogonal routing, with
+// fill, stroke and font styles. Other shapes are drawn as their bounding rectangle.
+// Only the first page of an mxfile is rendered. Depends on lib/xml_parser.js.
+
+// In the extension lib/xml_parser.js is loaded first as a classic script; under Node, require it
+if (typeof module !== 'undefined' && module.exports) {
+    var { parseXml, getChildElements, findXmlElements, getXmlText, decodeXmlEntities, encodeXmlText, encodeXmlAttribute } = require('./xml_parser.js');
+}
+
+const SVG_DEFAULTS = {
+    margin: 10,
+    fontFamily: 'Helvetica',
+    fontSize: 12,
+    spacing: 2,
+    lineHeight: 1.2,
+    swimlaneStartSize: 23,
+    arrowSize: 6,
+    loopSize: 20
+};
+
+// draw.io shape names -> what the renderer draws; anything else falls back to 'rect'
+const SVG_SHAPE_KINDS = {
+    rect: 'rect',
+    rectangle: 'rect',
+    label: 'rect',
+    ellipse: 'ellipse',
+    doubleEllipse: 'doubleEllipse',
+    rhombus: 'rhombus',
+    text: 'text',
+    edgeLabel: 'text',
+    swimlane: 'swimlane',
+    umlLifeline: 'lifeline',
+    group: 'group'
+};
+
+const SVG_ORTHOGONAL_EDGE_STYLES = new Set([
+    'orthogonalEdgeStyle', 'elbowEdgeStyle', 'entityRelationEdgeStyle', 'segmentEdgeStyle', 'isometricEdgeStyle'
+]);
+
+const SVG_ARROWS = new Set(['classic', 'classicThin', 'block', 'blockThin', 'open', 'openThin', 'oval', 'diamond', 'diamondThin']);
+
+/**
+ * Parses a draw.io style string. A leading name without a value (e.g. `ellipse`, `text`)
+ * selects the shape unless `shape=` overrides it.
+ * @param {string} style
+ * @returns {Object<string, string>}
+ */
+function parseSvgStyle(style) {
+    const result = {};
+    for (const entry of (style || '').split(';')) {
+        const trimmed = entry.trim();
+        if (!trimmed) continue;
+        const equals = trimmed.indexOf('=');
+        if (equals === -1) {
+            if (result.shape === undefined) result.shape = trimmed;
+        } else {
+            result[trimmed.slice(0, equals).trim()] = trimmed.slice(equals + 1).trim();
+        }
+    }
+    return result;
+}
+
+function readSvgNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function formatSvgNumber(value) {
+    return typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+}
+
+function svgElement(name, attributes, content) {
+    const attrs = Object.keys(attributes)
+        .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+        .map(key => ` ${key}="${encodeXmlAttribute(formatSvgNumber(attributes[key]))}"`)
+        .join('');
+    return content === undefined ? `<${name}${attrs}/>` : `<${name}${attrs}>${content}</${name}>`;
+}
+
+// 'default' and missing values use the fallback; 'none' stays 'none'
+function svgColor(value, fallback) {
+    return value === undefined || value === '' || value === 'default' ? fallback : value;
+}
+
+// Fill, stroke, dash and opacity attributes of a shape or edge
+function svgPaint(style, fallbackFill, fallbackStroke) {
+    const stroke = svgColor(style.strokeColor, fallbackStroke);
+    const strokeWidth = readSvgNumber(style.strokeWidth, 1);
+    const attrs = {
+        fill: svgColor(style.fillColor, fallbackFill),
+        stroke: stroke,
+        'stroke-width': stroke !== 'none' && strokeWidth !== 1 ? strokeWidth : undefined
+    };
+    if (style.dashed === '1' && stroke !== 'none') {
+        // dashPattern is given in multiples of the stroke width
+        attrs['stroke-dasharray'] = (style.dashPattern || '3 3').split(/\s+/)
+            .map(part => formatSvgNumber(readSvgNumber(part, 3) * strokeWidth)).join(' ');
+    }
+    if (style.opacity !== undefined && style.opacity !== '100') attrs.opacity = readSvgNumber(style.opacity, 100) / 100;
+    if (style.fillOpacity !== undefined && style.fillOpacity !== '100') attrs['fill-opacity'] = readSvgNumber(style.fillOpacity, 100) / 100;
+    if (style.strokeOpacity !== undefined && style.strokeOpacity !== '100') attrs['stroke-opacity'] = readSvgNumber(style.strokeOpacity, 100) / 100;
+    return attrs;
+}
+
+// Rough text width; fonts are not available for measuring in the service worker
+function estimateSvgTextWidth(text, fontSize) {
+    let width = 0;
+    for (const char of text) {
+        if (/[\u2E80-\uFFFF]/.test(char)) width += fontSize;
+        else if (/[A-Z0-9@#%&MW]/.test(char)) width += fontSize * 0.65;
+        else width += fontSize * 0.52;
+    }
+    return width;
+}
+
+/**
+ * Turns a cell value into plain text lines; HTML labels (html=1) lose their markup.
+ * @param {string} value
+ * @param {Object<string, string>} style
+ * @returns {Array<string>}
+ */
+function getSvgLabelLines(value, style) {
+    let text = value || '';
+    if (style.html === '1') {
+        // Block elements start and end a line, without adding blank lines between them
+        text = decodeXmlEntities(text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(div|p|li|ul|ol|h[1-6]|tr)\b[^>]*>/gi, '\u0001')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' '))
+            .replace(/\u0001+/g, '\n')
+            .replace(/^\n/, '');
+    }
+    text = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+    return text.trim() ? text.split('\n') : [];
+}
+
+// Greedy word wrap; CJK text may break between any two characters
+function wrapSvgLine(line, maxWidth, fontSize) {
+    if (maxWidth <= 0 || estimateSvgTextWidth(line, fontSize) <= maxWidth) return [line];
+    const lines = [];
+    let current = '';
+    for (const token of line.match(/[\u2E80-\uFFFF]|[^\s\u2E80-\uFFFF]+|\s+/g) || []) {
+        if (current.trim() && estimateSvgTextWidth(current + token, fontSize) > maxWidth) {
+            lines.push(current.trimEnd());
+            current = token.trimStart();
+        } else {
+            current += token;
+        }
+    }
+    if (current.trim()) lines.push(current.trimEnd());
+    return lines;
+}
+
+/**
+ * Renders label lines inside a box, honoring align, verticalAlign, spacing and font styles.
+ * @returns {{svg: string, bounds: {x: number, y: number, width: number, height: number}}}
+ */
+function renderSvgLabel(lines, box, style, fallbackBackground) {
+    const fontSize = readSvgNumber(style.fontSize, SVG_DEFAULTS.fontSize);
+    const spacing = readSvgNumber(style.spacing, SVG_DEFAULTS.spacing);
+    const left = spacing + readSvgNumber(style.spacingLeft, 0);
+    const right = spacing + readSvgNumber(style.spacingRight, 0);
+    const top = spacing + readSvgNumber(style.spacingTop, 0);
+    const bottom = spacing + readSvgNumber(style.spacingBottom, 0);
+
+    if (style.whiteSpace === 'wrap' && box.width > 0) {
+        lines = lines.flatMap(line => wrapSvgLine(line, box.width - left - right, fontSize));
+    }
+    const lineHeight = fontSize * SVG_DEFAULTS.lineHeight;
+    const blockHeight = lines.length * lineHeight;
+    const blockWidth = Math.max(...lines.map(line => estimateSvgTextWidth(line, fontSize)));
+
+    const align = style.align || 'center';
+    const verticalAlign = style.verticalAlign || 'middle';
+    let x = box.x + box.width / 2 + (left - right) / 2;
+    let anchor = 'middle';
+    let blockLeft = x - blockWidth / 2;
+    if (align === 'left') {
+        x = box.x + left;
+        anchor = 'start';
+        blockLeft = x;
+    } else if (align === 'right') {
+        x = box.x + box.width - right;
+        anchor = 'end';
+        blockLeft = x - blockWidth;
+    }
+    let blockTop = box.y + (box.height - blockHeight) / 2 + (top - bottom) / 2;
+    if (verticalAlign === 'top') blockTop = box.y + top;
+    if (verticalAlign === 'bottom') blockTop = box.y + box.height - bottom - blockHeight;
+
+    const fontStyle = readSvgNumber(style.fontStyle, 0);
+    const tspans = lines.map((line, i) => svgElement('tspan', {
+        x: x,
+        y: blockTop + i * lineHeight + fontSize * 0.95
+    }, encodeXmlText(line))).join('');
+    const text = svgElement('text', {
+        'font-family': style.fontFamily || SVG_DEFAULTS.fontFamily,
+        'font-size': fontSize,
+        fill: svgColor(style.fontColor, '#000000'),
+        'text-anchor': anchor,
+        'font-weight': fontStyle & 1 ? 'bold' : undefined,
+        'font-style': fontStyle & 2 ? 'italic' : undefined,
+        'text-decoration': fontStyle & 4 ? 'underline' : undefined,
+        opacity: style.textOpacity !== undefined && style.textOpacity !== '100' ? readSvgNumber(style.textOpacity, 100) / 100 : undefined
+    }, tspans);
+
+    const bounds = { x: blockLeft - 2, y: blockTop - 1, width: blockWidth + 4, height: blockHeight + 2 };
+    const background = svgColor(style.labelBackgroundColor, fallbackBackground);
+    const backgroundRect = background && background !== 'none'
+        ? svgElement('rect', { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height, fill: background })
+        : '';
+    return { svg: backgroundRect + text, bounds: bounds };
+}
+
+function getSvgShapeKind(style) {
+    return SVG_SHAPE_KINDS[style.shape === undefined ? 'rect' : style.shape] || null;
+}
+
+/**
+ * Renders the outline of a vertex.
+ * @returns {string}
+ */
+function renderSvgShape(kind, bounds, style) {
+    const { x, y, width, height } = bounds;
+    if (kind === 'group') return '';
+    if (kind === 'text') {
+        // Text has no fill or stroke unless the style sets them
+        const paint = svgPaint(style, 'none', 'none');
+        return paint.fill === 'none' && paint.stroke === 'none' ? '' : svgElement('rect', Object.assign({ x, y, width, height }, paint));
+    }
+
+    const paint = svgPaint(style, '#FFFFFF', '#000000');
+    if (kind === 'ellipse' || kind === 'doubleEllipse') {
+        const outer = svgElement('ellipse', Object.assign({ cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 }, paint));
+        if (kind === 'ellipse') return outer;
+        const inset = Math.min(4, width / 4, height / 4);
+        return outer + svgElement('ellipse', Object.assign({}, paint, {
+            cx: x + width / 2, cy: y + height / 2, rx: width / 2 - inset, ry: height / 2 - inset, fill: 'none'
+        }));
+    }
+    if (kind === 'rhombus') {
+        const points = [[x + width / 2, y], [x + width, y + height / 2], [x + width / 2, y + height], [x, y + height / 2]];
+        return svgElement('polygon', Object.assign({ points: points.map(p => p.map(formatSvgNumber).join(',')).join(' ') }, paint));
+    }
+    if (kind === 'lifeline') {
+        // Participant box on top of a dashed line
+        const size = Math.min(readSvgNumber(style.size, 40), height);
+        const header = svgElement('rect', Object.assign({ x, y, width, height: size }, paint));
+        const line = svgElement('line', {
+            x1: x + width / 2, y1: y + size, x2: x + width / 2, y2: y + height,
+            stroke: paint.stroke, 'stroke-width': paint['stroke-width'], 'stroke-dasharray': '3 3'
+        });
+        return header + line;
+    }
+    if (kind === 'swimlane') {
+        // The fill color paints the header; the body uses swimlaneFillColor
+        const startSize = Math.min(readSvgNumber(style.startSize, SVG_DEFAULTS.swimlaneStartSize), height);
+        const body = svgElement('rect', Object.assign({ x, y, width, height }, paint, { fill: svgColor(style.swimlaneFillColor, 'none') }));
+        const header = svgElement('rect', Object.assign({ x, y, width, height: startSize }, paint));
+        return body + header;
+    }
+
+    const rect = { x, y, width, height };
+    if (style.rounded === '1') {
+        const arcSize = readSvgNumber(style.arcSize, 15);
+        const radius = style.absoluteArcSize === '1' ? arcSize / 2 : Math.min(width, height) * arcSize / 100;
+        rect.rx = Math.min(radius, width / 2, height / 2);
+    }
+    return svgElement('rect', Object.assign(rect, paint));
+}
+
+function getSvgCenter(bounds) {
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+/**
+ * Where the line from the center of a shape toward `point` leaves its outline.
+ * @returns {{x: number, y: number}}
+ */
+function getSvgPerimeterPoint(bounds, point) {
+    const center = getSvgCenter(bounds);
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    const rx = bounds.width / 2;
+    const ry = bounds.height / 2;
+    if ((dx === 0 && dy === 0) || rx === 0 || ry === 0) return center;
+
+    let scale;
+    if (bounds.kind === 'ellipse' || bounds.kind === 'doubleEllipse') {
+        scale = 1 / Math.sqrt((dx / rx) ** 2 + (dy / ry) ** 2);
+    } else if (bounds.kind === 'rhombus') {
+        scale = 1 / (Math.abs(dx) / rx + Math.abs(dy) / ry);
+    } else {
+        scale = Math.min(dx === 0 ? Infinity : rx / Math.abs(dx), dy === 0 ? Infinity : ry / Math.abs(dy));
+    }
+    return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+// Moves a port on the bounding box onto the outline of an ellipse or rhombus
+function snapSvgPort(bounds, point, direction) {
+    const center = getSvgCenter(bounds);
+    const rx = bounds.width / 2;
+    const ry = bounds.height / 2;
+    const round = bounds.kind === 'ellipse' || bounds.kind === 'doubleEllipse';
+    if (!round && bounds.kind !== 'rhombus') return point;
+    if (direction === 'v') {
+        const t = Math.min(1, Math.abs(point.x - center.x) / rx);
+        const offset = ry * (round ? Math.sqrt(1 - t * t) : 1 - t);
+        return { x: point.x, y: center.y + (point.y < center.y ? -offset : offset) };
+    }
+    const t = Math.min(1, Math.abs(point.y - center.y) / ry);
+    const offset = rx * (round ? Math.sqrt(1 - t * t) : 1 - t);
+    return { x: center.x + (point.x < center.x ? -offset : offset), y: point.y };
+}
+
+/**
+ * Picks the side of a shape an orthogonal edge leaves from to reach `other` (a shape or a
+ * point): facing sides when the two overlap on one axis, otherwise the dominant direction.
+ * @returns {{point: {x: number, y: number}, direction: 'h'|'v'}}
+ */
+function getSvgFacingPort(bounds, other) {
+    const otherBounds = Object.assign({ width: 0, height: 0 }, other);
+    const center = getSvgCenter(bounds);
+    const otherCenter = getSvgCenter(otherBounds);
+    const overlapX = [Math.max(bounds.x, otherBounds.x), Math.min(bounds.x + bounds.width, otherBounds.x + otherBounds.width)];
+    const overlapY = [Math.max(bounds.y, otherBounds.y), Math.min(bounds.y + bounds.height, otherBounds.y + otherBounds.height)];
+    const below = otherCenter.y > center.y;
+    const after = otherCenter.x > center.x;
+
+    let port;
+    if (overlapX[0] <= overlapX[1] && overlapY[0] > overlapY[1]) {
+        port = { point: { x: (overlapX[0] + overlapX[1]) / 2, y: below ? bounds.y + bounds.height : bounds.y }, direction: 'v' };
+    } else if (overlapY[0] <= overlapY[1] && overlapX[0] > overlapX[1]) {
+        port = { point: { x: after ? bounds.x + bounds.width : bounds.x, y: (overlapY[0] + overlapY[1]) / 2 }, direction: 'h' };
+    } else if (Math.abs(otherCenter.y - center.y) >= Math.abs(otherCenter.x - center.x)) {
+        port = { point: { x: center.x, y: below ? bounds.y + bounds.height : bounds.y }, direction: 'v' };
+    } else {
+        port = { point: { x: after ? bounds.x + bounds.width : bounds.x, y: center.y }, direction: 'h' };
+    }
+    port.point = snapSvgPort(bounds, port.point, port.direction);
+    return port;
+}
+
+// A fixed connection point (exitX/exitY, entryX/entryY) and the side it sits on
+function getSvgFixedPort(bounds, fx, fy, dx, dy) {
+    const point = {
+        x: bounds.x + readSvgNumber(fx, 0.5) * bounds.width + readSvgNumber(dx, 0),
+        y: bounds.y + readSvgNumber(fy, 0.5) * bounds.height + readSvgNumber(dy, 0)
+    };
+    const rx = Math.abs(readSvgNumber(fx, 0.5) - 0.5);
+    const ry = Math.abs(readSvgNumber(fy, 0.5) - 0.5);
+    return { point: point, direction: rx >= ry ? 'h' : 'v' };
+}
+
+// Drops repeated points and the middle of three collinear points
+function simplifySvgPath(points) {
+    const result = [];
+    for (const point of points) {
+        const last = result[result.length - 1];
+        if (last && Math.abs(last.x - point.x) < 0.01 && Math.abs(last.y - point.y) < 0.01) continue;
+        const before = result[result.length - 2];
+        if (before && ((before.x === last.x && last.x === point.x) || (before.y === last.y && last.y === point.y))) {
+            result.pop();
+        }
+        result.push(point);
+    }
+    return result;
+}
+
+/**
+ * Connects two points with horizontal and vertical segments, leaving `start` along
+ * `startDirection` and entering `end` along `endDirection`.
+ * @returns {Array<{x: number, y: number}>}
+ */
+function connectSvgOrthogonal(start, startDirection, end, endDirection) {
+    if (startDirection === 'h' && endDirection === 'h') {
+        const midX = (start.x + end.x) / 2;
+        return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+    }
+    if (startDirection === 'v' && endDirection === 'v') {
+        const midY = (start.y + end.y) / 2;
+        return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+    }
+    return startDirection === 'h'
+        ? [start, { x: end.x, y: start.y }, end]
+        : [start, { x: start.x, y: end.y }, end];
+}
+
+/**
+ * Computes the points of an edge in absolute coordinates.
+ * @param {{style: object, sourcePoint: object, targetPoint: object, waypoints: Array<object>}} edge
+ * @param {object|null} source Bounds (with `kind`) of the source vertex
+ * @param {object|null} target Bounds of the target vertex
+ * @returns {Array<{x: number, y: number}>|null} Null when an end is neither a vertex nor a point
+ */
+function routeSvgEdge(edge, source, target) {
+    const style = edge.style;
+    const sourceRef = source || edge.sourcePoint;
+    const targetRef = target || edge.targetPoint;
+    if (!sourceRef || !targetRef) return null;
+
+    // Self loop on the right side
+    if (source && source === target && edge.waypoints.length === 0) {
+        const right = source.x + source.width;
+        const center = getSvgCenter(source);
+        const offset = source.height / 4;
+        return [
+            { x: right, y: center.y - offset },
+            { x: right + SVG_DEFAULTS.loopSize, y: center.y - offset },
+            { x: right + SVG_DEFAULTS.loopSize, y: center.y + offset },
+            { x: right, y: center.y + offset }
+        ];
+    }
+
+    const startFixed = source && style.exitX !== undefined && style.exitY !== undefined
+        ? getSvgFixedPort(source, style.exitX, style.exitY, style.exitDx, style.exitDy) : null;
+    const endFixed = target && style.entryX !== undefined && style.entryY !== undefined
+        ? getSvgFixedPort(target, style.entryX, style.entryY, style.entryDx, style.entryDy) : null;
+    const waypoints = edge.waypoints;
+    const firstRef = waypoints[0] || (endFixed && endFixed.point) || targetRef;
+    const lastRef = waypoints[waypoints.length - 1] || (startFixed && startFixed.point) || sourceRef;
+
+    if (!SVG_ORTHOGONAL_EDGE_STYLES.has(style.edgeStyle)) {
+        const toward = (ref) => ref.width !== undefined ? getSvgCenter(ref) : ref;
+        const start = startFixed ? startFixed.point : source ? getSvgPerimeterPoint(source, toward(firstRef)) : edge.sourcePoint;
+        const end = endFixed ? endFixed.point : target ? getSvgPerimeterPoint(target, toward(lastRef)) : edge.targetPoint;
+        return simplifySvgPath([start].concat(waypoints, [end]));
+    }
+
+    const pointPort = (point, other) => {
+        const otherCenter = other.width !== undefined ? getSvgCenter(other) : other;
+        return { point: point, direction: Math.abs(otherCenter.x - point.x) >= Math.abs(otherCenter.y - point.y) ? 'h' : 'v' };
+    };
+    const start = startFixed || (source ? getSvgFacingPort(source, firstRef) : pointPort(edge.sourcePoint, firstRef));
+    const end = endFixed || (target ? getSvgFacingPort(target, lastRef) : pointPort(edge.targetPoint, lastRef));
+
+    // Through the waypoints with one bend each where they are not aligned
+    const points = [start.point];
+    let current = start.point;
+    let direction = start.direction;
+    for (const waypoint of waypoints) {
+        if (current.y === waypoint.y) {
+            direction = 'v';
+        } else if (current.x === waypoint.x) {
+            direction = 'h';
+        } else {
+            points.push(direction === 'h' ? { x: waypoint.x, y: current.y } : { x: current.x, y: waypoint.y });
+        }
+        points.push(waypoint);
+        current = waypoint;
+    }
+    return simplifySvgPath(points.concat(connectSvgOrthogonal(current, direction, end.point, end.direction).slice(1)));
+}
+
+/**
+ * Returns the point at `fraction` (0..1) of the length of a polyline.
+ * @returns {{x: number, y: number}}
+ */
+function getSvgPointAlong(points, fraction) {
+    const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) * Math.min(1, Math.max(0, fraction));
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] && lengths[i] > 0) {
+            const t = remaining / lengths[i];
+            return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+        }
+        remaining -= lengths[i];
+    }
+    return points[points.length - 1];
+}
+
+/**
+ * Renders an arrow head at `tip`, pointing away from `from`.
+ * @returns {{svg: string, inset: number}} `inset` is how far the line should stop short of the tip
+ */
+function renderSvgArrow(kind, filled, tip, from, size, paint) {
+    const length = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (length === 0) return { svg: '', inset: 0 };
+    const ux = (tip.x - from.x) / length;
+    const uy = (tip.y - from.y) / length;
+    const thin = /Thin$/.test(kind);
+    const arrowLength = size * 1.5;
+    const halfWidth = size * (thin ? 0.4 : 0.66);
+    const at = (back, side) => ({ x: tip.x - ux * back - uy * side, y: tip.y - uy * back + ux * side });
+    const toPoints = (list) => list.map(p => `${formatSvgNumber(p.x)},${formatSvgNumber(p.y)}`).join(' ');
+    const attrs = {
+        stroke: paint.stroke,
+        'stroke-width': paint['stroke-width'],
+        fill: filled ? paint.stroke : '#FFFFFF'
+    };
+
+    switch (kind.replace(/Thin$/, '')) {
+        case 'classic':
+            return {
+                svg: svgElement('polygon', Object.assign({ points: toPoints([tip, at(arrowLength, halfWidth), at(arrowLength * 0.6, 0), at(arrowLength, -halfWidth)]) }, attrs)),
+                inset: arrowLength * 0.6
+            };
+        case 'block':
+            return {
+                svg: svgElement('polygon', Object.assign({ points: toPoints([tip, at(arrowLength, halfWidth), at(arrowLength, -halfWidth)]) }, attrs)),
+                inset: arrowLength
+            };
+        case 'oval': {
+            const center = at(size / 2, 0);
+            return { svg: svgElement('circle', Object.assign({ cx: center.x, cy: center.y, r: size / 2 }, attrs)), inset: size };
+        }
+        case 'diamond':
+            return {
+                svg: svgElement('polygon', Object.assign({ points: toPoints([tip, at(arrowLength, halfWidth), at(arrowLength * 2, 0), at(arrowLength, -halfWidth)]) }, attrs)),
+                inset: arrowLength * 2
+            };
+        default:
+            // 'open' and, approximated, the ER and other markers
+            return {
+                svg: svgElement('polyline', Object.assign({ points: toPoints([at(arrowLength, halfWidth), tip, at(arrowLength, -halfWidth)]) }, attrs, { fill: 'none' })),
+                inset: 0
+            };
+    }
+}
+
+/**
+ * Renders a label on an edge. Relative geometry x runs from -1 (source) to 1 (target);
+ * an `offset` point moves the label from there. verticalAlign=bottom puts it above the line.
+ */
+function renderSvgEdgeLabel(lines, route, geometry, style) {
+    const at = getSvgPointAlong(route, (geometry.x + 1) / 2);
+    const offset = geometry.offset || { x: 0, y: 0 };
+    return renderSvgLabel(lines, { x: at.x + offset.x, y: at.y + offset.y, width: 0, height: 0 },
+        Object.assign({ verticalAlign: 'middle' }, style, { align: 'center', whiteSpace: 'nowrap', spacing: '0' }), '#FFFFFF');
+}
+
+function svgPathData(points) {
+    return points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${formatSvgNumber(point.x)} ${formatSvgNumber(point.y)}`).join(' ');
+}
+
+// Reads the cells under <root>: mxCell elements, or UserObject/object wrappers holding one
+function collectSvgCells(root) {
+    const cells = new Map();
+    const order = [];
+    for (const element of getChildElements(root)) {
+        const cell = element.name === 'mxCell' ? element : getChildElements(element, 'mxCell')[0];
+        const id = element.attributes.id;
+        if (!cell || id === undefined) continue;
+        const geometry = getChildElements(cell, 'mxGeometry').find(geo => geo.attributes.as === 'geometry') || null;
+        const geometryPoint = (as) => {
+            const point = geometry && getChildElements(geometry, 'mxPoint').find(p => p.attributes.as === as);
+            return point ? { x: readSvgNumber(point.attributes.x, 0), y: readSvgNumber(point.attributes.y, 0) } : null;
+        };
+        const pointsArray = geometry && getChildElements(geometry, 'Array').find(array => array.attributes.as === 'points');
+        const entry = {
+            id: id,
+            parent: cell.attributes.parent,
+            vertex: cell.attributes.vertex === '1',
+            edge: cell.attributes.edge === '1',
+            source: cell.attributes.source,
+            target: cell.attributes.target,
+            hidden: cell.attributes.visible === '0',
+            collapsed: cell.attributes.collapsed === '1',
+            value: element === cell ? cell.attributes.value : (element.attributes.label !== undefined ? element.attributes.label : element.attributes.value),
+            style: parseSvgStyle(cell.attributes.style),
+            geometry: geometry ? {
+                x: readSvgNumber(geometry.attributes.x, 0),
+                y: readSvgNumber(geometry.attributes.y, 0),
+                width: readSvgNumber(geometry.attributes.width, 0),
+                height: readSvgNumber(geometry.attributes.height, 0),
+                relative: geometry.attributes.relative === '1',
+                sourcePoint: geometryPoint('sourcePoint'),
+                targetPoint: geometryPoint('targetPoint'),
+                offset: geometryPoint('offset'),
+                points: pointsArray ? getChildElements(pointsArray, 'mxPoint').map(p => ({
+                    x: readSvgNumber(p.attributes.x, 0),
+                    y: readSvgNumber(p.attributes.y, 0)
+                })) : []
+            } : null
+        };
+        cells.set(id, entry);
+        order.push(entry);
+    }
+    return { cells, order };
+}
+
+/**
+ * Renders the first page of an mxGraph document as SVG.
+ * @param {string} xml An mxfile or mxGraphModel, e.g. the repaired XML from the background pipeline
+ * @returns {{svg: string, width: number, height: number, report: Array<{code: string, message: string, warning: boolean}>}}
+ * @throws {Error} When the page is compressed or has nothing visible to draw
+ */
+function renderMxGraphSvg(xml) {
+    const { document } = parseXml(xml);
+    const report = [];
+    const diagrams = findXmlElements(document, 'diagram');
+    const page = diagrams[0] || document;
+    const model = findXmlElements(page, 'mxGraphModel')[0];
+    if (!model) {
+        if (diagrams.length > 0 && getXmlText(diagrams[0]).trim()) {
+            throw new Error('Compressed diagrams cannot be rendered offline; open them in draw.io instead');
+        }
+        throw new Error('No mxGraphModel to render');
+    }
+    if (diagrams.length > 1) {
+        report.push({ code: 'svg-first-page', message: `Rendered the first of ${diagrams.length} pages`, warning: true });
+    }
+    const root = getChildElements(model, 'root')[0];
+    const { cells, order } = root ? collectSvgCells(root) : { cells: new Map(), order: [] };
+
+    // Hidden cells, and everything inside hidden layers or collapsed containers
+    const isHidden = (cell, seen = new Set()) => {
+        if (!cell || seen.has(cell.id)) return false;
+        seen.add(cell.id);
+        const parent = cells.get(cell.parent);
+        return cell.hidden || (parent && parent.collapsed) || isHidden(parent, seen);
+    };
+    // Vertex geometry is relative to the parent vertex, if any
+    const origins = new Map();
+    const originOf = (id, seen = new Set()) => {
+        if (origins.has(id)) return origins.get(id);
+        const cell = cells.get(id);
+        let origin = { x: 0, y: 0 };
+        if (cell && cell.vertex && cell.geometry && !cell.geometry.relative && !seen.has(id)) {
+            seen.add(id);
+            const parentOrigin = originOf(cell.parent, seen);
+            origin = { x: parentOrigin.x + cell.geometry.x, y: parentOrigin.y + cell.geometry.y };
+        }
+        origins.set(id, origin);
+        return origin;
+    };
+
+    const extent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const include = (x, y, width, height) => {
+        extent.minX = Math.min(extent.minX, x);
+        extent.minY = Math.min(extent.minY, y);
+        extent.maxX = Math.max(extent.maxX, x + (width || 0));
+        extent.maxY = Math.max(extent.maxY, y + (height || 0));
+    };
+
+    // 1. Vertex bounds
+    const bounds = new Map();
+    let approximated = 0;
+    for (const cell of order) {
+        if (!cell.vertex || !cell.geometry || cell.geometry.relative || isHidden(cell)) continue;
+        const origin = originOf(cell.id);
+        let kind = getSvgShapeKind(cell.style);
+        if (!kind) {
+            kind = 'rect';
+            approximated++;
+        }
+        bounds.set(cell.id, { x: origin.x, y: origin.y, width: cell.geometry.width, height: cell.geometry.height, kind: kind });
+    }
+
+    // 2. Edge routes
+    const routes = new Map();
+    let skippedEdges = 0;
+    for (const cell of order) {
+        if (!cell.edge || isHidden(cell)) continue;
+        const offset = originOf(cell.parent);
+        const shift = (point) => point && { x: point.x + offset.x, y: point.y + offset.y };
+        const geometry = cell.geometry || { points: [] };
+        const points = routeSvgEdge({
+            style: cell.style,
+            sourcePoint: shift(geometry.sourcePoint),
+            targetPoint: shift(geometry.targetPoint),
+            waypoints: geometry.points.map(shift)
+        }, bounds.get(cell.source) || null, bounds.get(cell.target) || null);
+        if (points && points.length >= 2) {
+            routes.set(cell.id, points);
+        } else {
+            skippedEdges++;
+        }
+    }
+
+    // 3. Draw in document order, so containers stay behind their children
+    const parts = [];
+    for (const cell of order) {
+        const lines = getSvgLabelLines(cell.value, cell.style);
+        // A label wrapped in <b> as a whole, e.g. a class name, keeps its weight
+        if (cell.style.html === '1' && /^\s*<b>[\s\S]*<\/b>\s*$/i.test(cell.value || '')) {
+            cell.style.fontStyle = String(readSvgNumber(cell.style.fontStyle, 0) | 1);
+        }
+
+        if (bounds.has(cell.id)) {
+            const box = bounds.get(cell.id);
+            parts.push(renderSvgShape(box.kind, box, cell.style));
+            include(box.x, box.y, box.width, box.height);
+            if (lines.length > 0) {
+                let labelBox = { x: box.x, y: box.y, width: box.width, height: box.height };
+                if (box.kind === 'swimlane') {
+                    labelBox.height = Math.min(readSvgNumber(cell.style.startSize, SVG_DEFAULTS.swimlaneStartSize), box.height);
+                }
+                if (box.kind === 'lifeline') {
+                    labelBox.height = Math.min(readSvgNumber(cell.style.size, 40), box.height);
+                }
+                // Labels placed beside the shape, e.g. under an icon
+                if (cell.style.labelPosition === 'left') labelBox.x -= box.width;
+                if (cell.style.labelPosition === 'right') labelBox.x += box.width;
+                if (cell.style.verticalLabelPosition === 'top') labelBox.y -= box.height;
+                if (cell.style.verticalLabelPosition === 'bottom') labelBox.y += box.height;
+                const label = renderSvgLabel(lines, labelBox, cell.style, 'none');
+                parts.push(label.svg);
+                include(label.bounds.x, label.bounds.y, label.bounds.width, label.bounds.height);
+            }
+        } else if (routes.has(cell.id)) {
+            const points = routes.get(cell.id).slice();
+            const paint = svgPaint(cell.style, 'none', '#000000');
+            const size = readSvgNumber(cell.style.endSize, SVG_DEFAULTS.arrowSize);
+            const arrows = [];
+            const addArrow = (name, fill, index, fromIndex, arrowSize) => {
+                if (!name || name === 'none' || paint.stroke === 'none') return;
+                if (!SVG_ARROWS.has(name)) approximated++;
+                const tip = points[index];
+                const arrow = renderSvgArrow(name, fill !== '0', tip, points[fromIndex], arrowSize, paint);
+                arrows.push(arrow.svg);
+                // Stop the line at the back of a solid arrow head
+                const from = points[fromIndex];
+                const length = Math.hypot(tip.x - from.x, tip.y - from.y);
+                if (arrow.inset > 0 && length > arrow.inset) {
+                    points[index] = { x: tip.x - (tip.x - from.x) * arrow.inset / length, y: tip.y - (tip.y - from.y) * arrow.inset / length };
+                }
+            };
+            const route = routes.get(cell.id);
+            addArrow(cell.style.endArrow === undefined ? 'classic' : cell.style.endArrow, cell.style.endFill, points.length - 1, points.length - 2, size);
+            addArrow(cell.style.startArrow, cell.style.startFill, 0, 1, readSvgNumber(cell.style.startSize, SVG_DEFAULTS.arrowSize));
+            parts.push(svgElement('path', Object.assign({ d: svgPathData(points) }, paint, { fill: 'none' })));
+            parts.push(...arrows);
+            route.forEach(point => include(point.x, point.y));
+
+            if (lines.length > 0) {
+                const label = renderSvgEdgeLabel(lines, route, cell.geometry || { x: 0 }, cell.style);
+                parts.push(label.svg);
+                include(label.bounds.x, label.bounds.y, label.bounds.width, label.bounds.height);
+            }
+        } else if (cell.vertex && cell.geometry && cell.geometry.relative && routes.has(cell.parent) && lines.length > 0 && !isHidden(cell)) {
+            // Label cell attached to an edge
+            const label = renderSvgEdgeLabel(lines, routes.get(cell.parent), cell.geometry, cell.style);
+            parts.push(label.svg);
+            include(label.bounds.x, label.bounds.y, label.bounds.width, label.bounds.height);
+        }
+    }
+
+    if (extent.minX === Infinity) {
+        throw new Error('The diagram has no visible shapes to render');
+    }
+    if (approximated > 0) {
+        report.push({ code: 'svg-approximated', message: `Drew ${approximated} unsupported shape${approximated === 1 ? '' : 's'} or arrow${approximated === 1 ? '' : 's'} in a simplified form`, warning: true });
+    }
+    if (skippedEdges > 0) {
+        report.push({ code: 'svg-edge-skipped', message: `Left out ${skippedEdges} connector${skippedEdges === 1 ? '' : 's'} without both ends`, warning: true });
+    }
+
+    const margin = SVG_DEFAULTS.margin;
+    const x = Math.floor(extent.minX - margin);
+    const y = Math.floor(extent.minY - margin);
+    const width = Math.ceil(extent.maxX + margin) - x;
+    const height = Math.ceil(extent.maxY + margin) - y;
+    const background = model.attributes.background;
+    const backgroundRect = background && background !== 'none'
+        ? svgElement('rect', { x: x, y: y, width: width, height: height, fill: background })
+        : '';
+    const svg = svgElement('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        version: '1.1',
+        width: width,
+        height: height,
+        viewBox: `${x} ${y} ${width} ${height}`
+    }, backgroundRect + parts.join(''));
+    return { svg: svg, width: width, height: height, report: report };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseSvgStyle,
+        getSvgLabelLines,
+        routeSvgEdge,
+        renderMxGraphSvg
+    };
+}
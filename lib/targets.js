@@ -0,0 +1,168 @@
+// lib/targets.js
+
+// Where a diagram can be opened: diagrams.net, and the alternatives offered in the "Open in"
+// context submenu and the "▾" menu. Each target declares the diagram types it accepts; the
+// background script opens it according to its `open` kind:
+//   'drawio' - the usual processDiagram path
+//   'url'    - a tab with the URL returned by `buildUrl` (source text, already linted)
+//   'vscode' - the diagram is saved as .drawio and opened in VS Code, whose Draw.io extension
+//              (hediet.vscode-drawio) edits .drawio files
+
+const DEFAULT_MERMAID_LIVE_URL = 'https://mermaid.live/';
+
+// Kroki names Graphviz after the tool, not the language
+const KROKI_DIAGRAM_TYPES = { mermaid: 'mermaid', plantuml: 'plantuml', dot: 'graphviz' };
+
+const TARGET_TYPE_LABELS = { xml: 'draw.io XML', mermaid: 'Mermaid', plantuml: 'PlantUML', dot: 'Graphviz DOT' };
+
+/**
+ * @typedef {object} DiagramTarget
+ * @property {string} id Also the context menu item id, prefixed with "target-"
+ * @property {string} label Shown as "Open in <label>"
+ * @property {Array<string>} types Detected diagram types it accepts
+ * @property {string} open 'drawio', 'url' or 'vscode'
+ * @property {function(string, string, object): Promise<string>} [buildUrl] (source, type, settings) for 'url'
+ */
+
+/** @type {Array<DiagramTarget>} */
+const DIAGRAM_TARGETS = [
+    {
+        id: 'drawio',
+        label: 'Draw.io',
+        types: ['xml', 'mermaid', 'plantuml', 'dot'],
+        open: 'drawio'
+    },
+    {
+        id: 'mermaid-live',
+        label: 'Mermaid Live Editor',
+        types: ['mermaid'],
+        open: 'url',
+        buildUrl: (source, type, settings) => buildMermaidLiveUrl(source, settings.mermaidLiveUrl)
+    },
+    {
+        id: 'kroki',
+        label: 'Kroki',
+        types: ['mermaid', 'plantuml', 'dot'],
+        open: 'url',
+        buildUrl: (source, type, settings) => buildKrokiUrl(source, type, settings.krokiUrl)
+    },
+    {
+        // Mermaid and PlantUML only when they convert to shapes, like the image exports
+        id: 'vscode',
+        label: 'VS Code',
+        types: ['xml', 'dot', 'mermaid', 'plantuml'],
+        open: 'vscode'
+    }
+];
+
+/**
+ * @param {string} id
+ * @returns {DiagramTarget|null}
+ */
+function findDiagramTarget(id) {
+    return DIAGRAM_TARGETS.find(target => target.id === id) || null;
+}
+
+/**
+ * Targets other than diagrams.net that accept the type, in menu order.
+ * @param {string} type
+ * @returns {Array<DiagramTarget>}
+ */
+function getAlternativeTargets(type) {
+    return DIAGRAM_TARGETS.filter(target => target.id !== 'drawio' && target.types.includes(type));
+}
+
+/**
+ * Validates and normalizes the address of a self-hosted service (http/https, trailing slash).
+ * @param {string} url
+ * @returns {string} '' when left empty
+ */
+function normalizeServiceUrl(url) {
+    const trimmed = (url || '').trim();
+    if (!trimmed) return '';
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (e) {
+        throw new Error(`Invalid URL: ${trimmed}`);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+    }
+    parsed.hash = '';
+    parsed.search = '';
+    if (!parsed.pathname.endsWith('/')) parsed.pathname += '/';
+    return parsed.toString();
+}
+
+/**
+ * Compresses text with zlib deflate (what pako.deflate and Kroki produce) and encodes it as
+ * URL-safe Base64 without padding.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function encodeDeflateBase64Url(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Builds a Mermaid Live Editor link: the editor state as pako-compressed JSON in `#pako:`.
+ * @param {string} code Mermaid source
+ * @param {string} [baseUrl] A self-hosted editor; mermaid.live by default
+ * @returns {Promise<string>}
+ */
+async function buildMermaidLiveUrl(code, baseUrl) {
+    const state = {
+        code: code,
+        mermaid: JSON.stringify({ theme: 'default' }, null, 2),
+        autoSync: true,
+        updateDiagram: true
+    };
+    const base = normalizeServiceUrl(baseUrl) || DEFAULT_MERMAID_LIVE_URL;
+    return `${base}edit#pako:${await encodeDeflateBase64Url(JSON.stringify(state))}`;
+}
+
+/**
+ * Builds a Kroki GET link rendering the diagram as SVG: <server>/<type>/svg/<deflated source>.
+ * @param {string} source
+ * @param {string} type 'mermaid', 'plantuml' or 'dot'
+ * @param {string} serverUrl The Kroki server from the options page
+ * @returns {Promise<string>}
+ */
+async function buildKrokiUrl(source, type, serverUrl) {
+    const base = normalizeServiceUrl(serverUrl);
+    if (!base) throw new Error('Set the address of your Kroki server on the options page first');
+    return `${base}${KROKI_DIAGRAM_TYPES[type]}/svg/${await encodeDeflateBase64Url(source)}`;
+}
+
+/**
+ * Builds the vscode://file link that opens a saved file in VS Code.
+ * @param {string} path Absolute path, as reported by chrome.downloads (Windows or POSIX)
+ * @returns {string}
+ */
+function buildVscodeFileUri(path) {
+    const parts = path.replace(/\\/g, '/').split('/').map(part => encodeURIComponent(part).replace(/%3A/g, ':'));
+    const joined = parts.join('/');
+    return `vscode://file${joined.startsWith('/') ? '' : '/'}${joined}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_MERMAID_LIVE_URL,
+        TARGET_TYPE_LABELS,
+        DIAGRAM_TARGETS,
+        findDiagramTarget,
+        getAlternativeTargets,
+        normalizeServiceUrl,
+        buildMermaidLiveUrl,
+        buildKrokiUrl,
+        buildVscodeFileUri
+    };
+}
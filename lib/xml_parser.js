@@ -0,0 +1,307 @@
+// lib/xml_parser.js
+
+// Tolerant XML parser for mxGraph documents. Service workers have no DOMParser, so the
+// background script parses with this instead. It never throws: elements left open by
+// truncated output are closed at the end of input and reported through `issues`.
+
+const XML_NAME_START = /[A-Za-z_:]/;
+
+/**
+ * Decodes the predefined XML entities and numeric character references.
+ * Unknown entities (e.g. &nbsp;, invalid in XML) are kept as literal text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9A-Fa-f]+|#\d+|lt|gt|amp|quot|apos);/g, (match, body) => {
+        switch (body) {
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'amp': return '&';
+            case 'quot': return '"';
+            case 'apos': return "'";
+        }
+        const code = body[1] === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        try {
+            return String.fromCodePoint(code);
+        } catch (e) {
+            return match;
+        }
+    });
+}
+
+/**
+ * Escapes text content.
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeXmlText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes an attribute value for a double-quoted attribute. Newlines are kept as &#10;,
+ * which is how draw.io stores multi-line labels.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeXmlAttribute(value) {
+    return encodeXmlText(String(value))
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\r/g, '&#13;')
+        .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Creates an element node.
+ * @param {string} name
+ * @param {Object<string, string>} [attributes]
+ * @param {Array<object>} [children]
+ * @returns {object}
+ */
+function createXmlElement(name, attributes, children) {
+    return {
+        type: 'element',
+        name: name,
+        attributes: Object.assign({}, attributes),
+        children: children || []
+    };
+}
+
+// Finds the '>' that ends the tag starting at `start`, skipping quoted attribute values.
+function findTagEnd(xml, start) {
+    let quote = null;
+    for (let i = start + 1; i < xml.length; i++) {
+        const char = xml[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function parseStartTag(raw, issues) {
+    const selfClosing = raw.endsWith('/');
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const nameMatch = body.match(/^[^\s\/>]+/);
+    const name = nameMatch ? nameMatch[0] : body.trim();
+    const element = createXmlElement(name);
+
+    const attrPattern = /([^\s=\/]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    const attrSource = body.slice(name.length);
+    let match;
+    while ((match = attrPattern.exec(attrSource)) !== null) {
+        const attrName = match[1];
+        const rawValue = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+        if (Object.prototype.hasOwnProperty.call(element.attributes, attrName)) {
+            issues.push({ code: 'duplicate-attribute', name: name, attribute: attrName });
+            continue;
+        }
+        // Attribute value normalization: literal whitespace becomes a space, as in any XML parser
+        element.attributes[attrName] = decodeXmlEntities(rawValue.replace(/[\t\n\r]/g, ' '));
+    }
+    return { element, selfClosing };
+}
+
+/**
+ * Parses an XML string into a lightweight tree.
+ * Nodes: {type:'document'|'element'|'text'|'comment'|'cdata'|'pi'|'doctype'}; elements carry
+ * `name`, `attributes` (decoded values, insertion-ordered) and `children`.
+ * @param {string} xml
+ * @returns {{document: object, issues: Array<{code: string, name?: string, text?: string}>}}
+ */
+function parseXml(xml) {
+    const document = { type: 'document', children: [] };
+    const stack = [document];
+    const issues = [];
+    const len = xml.length;
+    let i = 0;
+
+    const current = () => stack[stack.length - 1];
+    const pushText = (text) => {
+        if (!text) return;
+        const children = current().children;
+        const last = children[children.length - 1];
+        if (last && last.type === 'text') {
+            last.text += decodeXmlEntities(text);
+        } else {
+            children.push({ type: 'text', text: decodeXmlEntities(text) });
+        }
+    };
+    // Markup with a fixed terminator (comments, CDATA, processing instructions, doctype)
+    const readSpecial = (open, close, type) => {
+        const end = xml.indexOf(close, i + open.length);
+        if (end === -1) {
+            issues.push({ code: 'truncated-tag', text: xml.slice(i, i + 40) });
+            i = len;
+            return;
+        }
+        current().children.push({ type: type, text: xml.slice(i + open.length, end) });
+        i = end + close.length;
+    };
+
+    while (i < len) {
+        const lt = xml.indexOf('<', i);
+        if (lt === -1) {
+            pushText(xml.slice(i));
+            break;
+        }
+        pushText(xml.slice(i, lt));
+        i = lt;
+
+        if (xml.startsWith('<!--', i)) {
+            readSpecial('<!--', '-->', 'comment');
+            continue;
+        }
+        if (xml.startsWith('<![CDATA[', i)) {
+            readSpecial('<![CDATA[', ']]>', 'cdata');
+            continue;
+        }
+        if (xml.startsWith('<?', i)) {
+            readSpecial('<?', '?>', 'pi');
+            continue;
+        }
+        if (xml.startsWith('<!', i)) {
+            readSpecial('<!', '>', 'doctype');
+            continue;
+        }
+
+        const next = xml[i + 1];
+        if (next !== '/' && !(next && XML_NAME_START.test(next))) {
+            // Loose '<' in text
+            pushText('&lt;');
+            i++;
+            continue;
+        }
+
+        const end = findTagEnd(xml, i);
+        if (end === -1) {
+            // Output stopped in the middle of a tag: drop the partial tag
+            issues.push({ code: 'truncated-tag', text: xml.slice(i, i + 40) });
+            break;
+        }
+        const raw = xml.slice(i + 1, end).trim();
+        i = end + 1;
+
+        if (raw.startsWith('/')) {
+            const name = raw.slice(1).trim();
+            let index = stack.length - 1;
+            while (index > 0 && stack[index].name !== name) index--;
+            if (index === 0) {
+                issues.push({ code: 'unexpected-close-tag', name: name });
+                continue;
+            }
+            // Elements opened after the matching one were never closed
+            for (let k = stack.length - 1; k > index; k--) {
+                issues.push({ code: 'unclosed-tag', name: stack[k].name });
+            }
+            stack.length = index;
+            continue;
+        }
+
+        const { element, selfClosing } = parseStartTag(raw, issues);
+        current().children.push(element);
+        if (!selfClosing) {
+            stack.push(element);
+        }
+    }
+
+    while (stack.length > 1) {
+        issues.push({ code: 'unclosed-tag', name: stack.pop().name });
+    }
+
+    return { document, issues };
+}
+
+/**
+ * Serializes a node produced by parseXml (or createXmlElement) back to XML.
+ * @param {object} node
+ * @returns {string}
+ */
+function serializeXml(node) {
+    switch (node.type) {
+        case 'document':
+            return node.children.map(serializeXml).join('');
+        case 'text':
+            return encodeXmlText(node.text);
+        case 'comment':
+            return `<!--${node.text}-->`;
+        case 'cdata':
+            return `<![CDATA[${node.text}]]>`;
+        case 'pi':
+            return `<?${node.text}?>`;
+        case 'doctype':
+            return `<!${node.text}>`;
+        case 'element': {
+            let result = `<${node.name}`;
+            for (const name of Object.keys(node.attributes)) {
+                result += ` ${name}="${encodeXmlAttribute(node.attributes[name])}"`;
+            }
+            if (node.children.length === 0) {
+                return result + '/>';
+            }
+            return result + '>' + node.children.map(serializeXml).join('') + `</${node.name}>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Returns the element children of a node, optionally filtered by tag name.
+ * @param {object} node
+ * @param {string} [name]
+ * @returns {Array<object>}
+ */
+function getChildElements(node, name) {
+    return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * Returns all descendant elements with the given tag name, in document order.
+ * @param {object} node
+ * @param {string} name
+ * @returns {Array<object>}
+ */
+function findXmlElements(node, name) {
+    const result = [];
+    const visit = (current) => {
+        for (const child of current.children) {
+            if (child.type !== 'element') continue;
+            if (child.name === name) result.push(child);
+            visit(child);
+        }
+    };
+    visit(node);
+    return result;
+}
+
+/**
+ * Returns the concatenated text of a node and its descendants.
+ * @param {object} node
+ * @returns {string}
+ */
+function getXmlText(node) {
+    if (node.type === 'text' || node.type === 'cdata') return node.text;
+    if (!node.children) return '';
+    return node.children.map(getXmlText).join('');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        decodeXmlEntities,
+        encodeXmlText,
+        encodeXmlAttribute,
+        createXmlElement,
+        parseXml,
+        serializeXml,
+        getChildElements,
+        findXmlElements,
+        getXmlText
+    };
+}
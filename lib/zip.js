@@ -0,0 +1,120 @@
+// lib/zip.js
+
+// Minimal ZIP writer for "Download all as ZIP". Entries are stored without compression: the
+// archive is small text files, every unzip tool reads it, and it only needs a CRC-32.
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// General purpose flag: file names are UTF-8
+const ZIP_UTF8_FLAG = 0x0800;
+
+/**
+ * CRC-32 as used by ZIP (polynomial 0xEDB88320).
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = ZIP_CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields of ZIP headers (local time, 2 s precision).
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<{name: string, content: string|Uint8Array}>} files Text is stored as UTF-8
+ * @param {Date} [modified] Modification time of every entry
+ * @returns {Uint8Array}
+ */
+function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const result = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        toDosDateTime,
+        createZip
+    };
+}
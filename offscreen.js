@@ -0,0 +1,47 @@
+// offscreen.js
+
+// Offscreen document for PNG export. Service workers cannot decode SVG images, so the
+// background script sends the SVG rendered by lib/svg_render.js here to draw it on a canvas.
+
+// Scale for sharp images on high-DPI screens, limited by the canvas size browsers allow
+const PNG_SCALE = 2;
+const PNG_MAX_SIDE = 8192;
+
+/**
+ * Draws the SVG on a white canvas and returns it as a PNG data: URL.
+ * @param {string} svg
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<string>}
+ */
+function rasterizeSvg(svg, width, height) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const scale = Math.min(PNG_SCALE, PNG_MAX_SIDE / Math.max(width, height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            const context = canvas.getContext('2d');
+            // Transparent PNGs are unreadable on dark backgrounds
+            context.fillStyle = '#FFFFFF';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        image.onerror = () => reject(new Error('The rendered SVG could not be drawn'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== 'rasterize_svg') return false;
+    rasterizeSvg(request.svg, request.width, request.height)
+        .then((dataUrl) => {
+            sendResponse({ success: true, dataUrl: dataUrl });
+        })
+        .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+        });
+    return true;
+});
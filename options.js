@@ -0,0 +1,189 @@
+// options.js
+
+const FIELD_IDS = ['baseUrl', ...INSTANCE_URL_PARAMS, 'deliveryMode', 'embedThreshold', 'convertMermaid', 'plantUmlMode',
+    'mermaidDownloadFormat', 'mermaidLiveUrl', 'krokiUrl', 'inlinePreview', 'keepHistory'];
+
+function showStatus(message, isError) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+    if (!isError) {
+        setTimeout(() => {
+            if (status.textContent === message) status.textContent = '';
+        }, 2000);
+    }
+}
+
+function fillForm(settings) {
+    for (const id of FIELD_IDS) {
+        const field = document.getElementById(id);
+        const value = settings[id];
+        if (field.type === 'checkbox') {
+            field.checked = !!value;
+        } else {
+            field.value = value === undefined || value === null ? '' : value;
+        }
+    }
+    fillCustomSites(settings.customSites || []);
+}
+
+// Inputs of one custom site, in the settings' key order
+const CUSTOM_SITE_FIELDS = [
+    { key: 'origin', label: 'Site address', placeholder: 'https://chat.example.com' },
+    { key: 'codeSelector', label: 'Code block selector (optional)', placeholder: 'e.g. pre code, or .code-block' },
+    { key: 'toolbarSelector', label: 'Toolbar selector (optional)', placeholder: 'e.g. .code-header .actions' }
+];
+
+function addCustomSiteRow(site) {
+    const row = document.createElement('div');
+    row.className = 'custom-site';
+    for (const field of CUSTOM_SITE_FIELDS) {
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.key = field.key;
+        input.placeholder = field.placeholder;
+        input.value = site[field.key] || '';
+        label.appendChild(input);
+        row.appendChild(label);
+    }
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    hint.textContent = 'Without a code block selector, <code> elements with a diagram language class and <pre> blocks are checked. ' +
+        'The button goes into the nearest element matching the toolbar selector, or at the top of the block.';
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+    row.append(hint, remove);
+    document.getElementById('customSites').appendChild(row);
+}
+
+function fillCustomSites(sites) {
+    document.getElementById('customSites').replaceChildren();
+    sites.forEach(addCustomSiteRow);
+}
+
+/**
+ * Reads and validates the custom sites; rows left empty are dropped.
+ * @returns {Array<{origin: string, codeSelector: string, toolbarSelector: string}>}
+ */
+function readCustomSites() {
+    const sites = [];
+    for (const row of document.querySelectorAll('.custom-site')) {
+        const raw = {};
+        row.querySelectorAll('input').forEach(input => { raw[input.dataset.key] = input.value; });
+        if (Object.values(raw).every(value => !value.trim())) continue;
+
+        const site = normalizeCustomSite(raw);
+        if (findSiteAdapter(new URL(site.origin).hostname) !== SITE_GENERIC_ADAPTER) {
+            throw new Error(`${site.origin} is already supported.`);
+        }
+        for (const selector of [site.codeSelector, site.toolbarSelector].filter(Boolean)) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (e) {
+                throw new Error(`Invalid CSS selector: ${selector}`);
+            }
+        }
+        sites.push(site);
+    }
+    return sites;
+}
+
+function readForm() {
+    const settings = {};
+    for (const id of FIELD_IDS) {
+        const field = document.getElementById(id);
+        settings[id] = field.type === 'checkbox' ? field.checked : field.value.trim();
+    }
+    return settings;
+}
+
+/**
+ * Host permissions the settings need: the self-hosted instance and the custom sites.
+ * @param {object} settings
+ * @returns {Array<string>}
+ */
+function getHostPermissionPatterns(settings) {
+    const patterns = isDefaultInstance(settings) ? [] : [getOriginPattern(settings.baseUrl)];
+    for (const adapter of getCustomSiteAdapters(settings.customSites)) {
+        patterns.push(...adapter.matches);
+    }
+    return Array.from(new Set(patterns));
+}
+
+/**
+ * Requests the optional host permissions for the new settings in one prompt and drops those
+ * only the previous settings needed, so permissions follow the settings.
+ * @param {object} previousSettings
+ * @param {object} nextSettings
+ * @returns {Promise<boolean>} false if the user declined the permission prompt
+ */
+async function syncHostPermissions(previousSettings, nextSettings) {
+    const nextPatterns = getHostPermissionPatterns(nextSettings);
+    const previousPatterns = getHostPermissionPatterns(previousSettings);
+
+    if (nextPatterns.length > 0) {
+        const granted = await chrome.permissions.request({ origins: nextPatterns });
+        if (!granted) return false;
+    }
+
+    const unused = previousPatterns.filter(pattern => !nextPatterns.includes(pattern));
+    if (unused.length > 0) {
+        try {
+            await chrome.permissions.remove({ origins: unused });
+        } catch (e) {
+            // Not granted or still required elsewhere - nothing to clean up
+        }
+    }
+    return true;
+}
+
+async function saveOptions() {
+    const settings = readForm();
+
+    try {
+        settings.baseUrl = normalizeBaseUrl(settings.baseUrl);
+        settings.mermaidLiveUrl = normalizeServiceUrl(settings.mermaidLiveUrl);
+        settings.krokiUrl = normalizeServiceUrl(settings.krokiUrl);
+        settings.customSites = readCustomSites();
+    } catch (error) {
+        showStatus(error.message, true);
+        return;
+    }
+
+    const threshold = settings.embedThreshold === '' ? DEFAULT_SETTINGS.embedThreshold : Number(settings.embedThreshold);
+    if (!Number.isInteger(threshold) || threshold <= 0) {
+        showStatus('Embed threshold must be a positive whole number.', true);
+        return;
+    }
+    settings.embedThreshold = threshold;
+
+    const previous = await loadSettings();
+    const granted = await syncHostPermissions(previous, settings);
+    if (!granted) {
+        showStatus(`Permission for ${getHostPermissionPatterns(settings).join(', ')} was not granted.`, true);
+        return;
+    }
+
+    await chrome.storage.sync.set(settings);
+    fillForm(settings);
+    showStatus('Saved.');
+}
+
+async function resetOptions() {
+    const previous = await loadSettings();
+    await syncHostPermissions(previous, DEFAULT_SETTINGS);
+    await chrome.storage.sync.set(DEFAULT_SETTINGS);
+    fillForm(DEFAULT_SETTINGS);
+    showStatus('Defaults restored.');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    fillForm(await loadSettings());
+    document.getElementById('save').addEventListener('click', saveOptions);
+    document.getElementById('reset').addEventListener('click', resetOptions);
+    document.getElementById('addSite').addEventListener('click', () => addCustomSiteRow({}));
+});
@@ -0,0 +1,185 @@
+// paste.js
+
+// Page for diagrams that do not come from a chat: pasted text or a dropped/chosen file.
+// The type is detected like the context menu does (lib/detect.js, falling back to XML), the
+// background script validates it while typing ('render_preview') and opens it through the
+// same path as the buttons on the page.
+
+// Used when the text itself is not recognized, e.g. an .mmd file with an unknown keyword
+const FILE_EXTENSION_TYPES = {
+    drawio: 'xml',
+    xml: 'xml',
+    mmd: 'mermaid',
+    mermaid: 'mermaid',
+    puml: 'plantuml',
+    plantuml: 'plantuml',
+    dot: 'dot',
+    gv: 'dot'
+};
+
+const TYPE_LABELS = {
+    xml: 'draw.io XML',
+    mermaid: 'Mermaid',
+    plantuml: 'PlantUML',
+    dot: 'Graphviz DOT'
+};
+
+const VALIDATE_DELAY = 400;
+
+let diagramTitle = '';
+let validateTimer = null;
+
+function showStatus(message, isError) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+}
+
+function getContent() {
+    return document.getElementById('content').value.trim();
+}
+
+function getDiagramType(content) {
+    // Same fallback as detectTypeFromText in the background script
+    return document.getElementById('type').value || detectDiagramTypeFromText(content) || 'xml';
+}
+
+async function loadFile(file) {
+    const extension = (file.name.match(/\.([^.]+)$/) || [])[1] || '';
+    let text = await file.text();
+    if (extension.toLowerCase() === 'svg') {
+        // The embedded diagram is shown instead of the image markup (lib/mxgraph.js)
+        if (!isMxSvgDocument(text)) {
+            showStatus('This SVG has no embedded draw.io diagram. Export it from draw.io with "Include a copy of my diagram" enabled.', true);
+            return;
+        }
+        try {
+            text = (await decodeMxDiagram(text)).xml;
+        } catch (error) {
+            showStatus(error.message, true);
+            return;
+        }
+    }
+
+    document.getElementById('content').value = text;
+    document.getElementById('type').value = detectDiagramTypeFromText(text) ? '' : FILE_EXTENSION_TYPES[extension.toLowerCase()] || '';
+    diagramTitle = file.name.replace(/\.[^.]+$/, '');
+    showStatus('');
+    validate();
+}
+
+function scheduleValidate() {
+    clearTimeout(validateTimer);
+    validateTimer = setTimeout(validate, VALIDATE_DELAY);
+}
+
+function appendLines(container, className, heading, messages) {
+    if (messages.length === 0) return;
+    const block = document.createElement('div');
+    block.className = className;
+    block.textContent = `${heading}\n` + messages.map(message => `• ${message}`).join('\n');
+    container.appendChild(block);
+}
+
+async function validate() {
+    clearTimeout(validateTimer);
+    const content = getContent();
+    const validation = document.getElementById('validation');
+    const preview = document.getElementById('preview');
+    const detectedType = detectDiagramTypeFromText(content);
+
+    document.getElementById('open').disabled = !content;
+    document.getElementById('detected').textContent = !content ? ''
+        : detectedType ? `Detected: ${TYPE_LABELS[detectedType]}` : 'Not recognized; opened as draw.io XML';
+    if (!content) {
+        diagramTitle = '';
+        validation.replaceChildren();
+        preview.replaceChildren();
+        return;
+    }
+
+    const type = getDiagramType(content);
+    let response;
+    try {
+        response = await chrome.runtime.sendMessage({ action: 'render_preview', content: content, type: type });
+    } catch (error) {
+        response = { success: false, error: error.message };
+    }
+    // Edited again while the background script was rendering
+    if (content !== getContent() || type !== getDiagramType(content)) return;
+
+    validation.replaceChildren();
+    preview.replaceChildren();
+    if (!response.success) {
+        appendLines(validation, 'errors', '⚠ The diagram could not be checked:', [response.error]);
+        return;
+    }
+
+    const errors = response.errors || [];
+    const fixes = (response.report || []).filter(item => !errors.includes(item.message)).map(item => item.message);
+    appendLines(validation, 'errors', `⚠ This ${TYPE_LABELS[type]} does not parse:`, errors);
+    appendLines(validation, 'fixes', 'Fixed when opening:', fixes);
+    const notice = response.notice || (errors.length === 0 && fixes.length === 0 ? '✓ No problems found' : '');
+    if (notice) {
+        const block = document.createElement('div');
+        block.className = 'notice';
+        block.textContent = notice;
+        validation.appendChild(block);
+    }
+
+    if (response.svg) {
+        const svg = new DOMParser().parseFromString(response.svg, 'image/svg+xml').documentElement;
+        if (svg.nodeName === 'svg') preview.appendChild(document.importNode(svg, true));
+    }
+}
+
+async function openDiagram() {
+    const content = getContent();
+    if (!content) return;
+
+    showStatus('Opening…');
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'open_drawio',
+            content: content,
+            type: getDiagramType(content),
+            source: { title: diagramTitle || 'Pasted diagram' }
+        });
+        if (response && response.success) {
+            showStatus('Opened in a new tab.');
+        } else {
+            showStatus((response && response.error) || 'The diagram could not be opened.', true);
+        }
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const textarea = document.getElementById('content');
+    const fileInput = document.getElementById('fileInput');
+
+    textarea.addEventListener('input', scheduleValidate);
+    document.getElementById('type').addEventListener('change', validate);
+    document.getElementById('open').addEventListener('click', openDiagram);
+    document.getElementById('file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) loadFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    textarea.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        textarea.classList.add('dragover');
+    });
+    textarea.addEventListener('dragleave', () => textarea.classList.remove('dragover'));
+    textarea.addEventListener('drop', (e) => {
+        textarea.classList.remove('dragover');
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        loadFile(e.dataTransfer.files[0]);
+    });
+
+    textarea.focus();
+});
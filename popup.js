@@ -0,0 +1,157 @@
+// popup.js
+
+// Toolbar popup listing the diagrams recorded by the background script (lib/history.js).
+// Opening and downloading go through the background script, like the buttons on the page.
+// Opening the popup grants activeTab, which lets the background script scan the current page.
+
+const TYPE_LABELS = {
+    xml: 'draw.io XML',
+    mermaid: 'Mermaid',
+    plantuml: 'PlantUML',
+    dot: 'Graphviz DOT'
+};
+
+let historyEntries = [];
+
+function createActionButton(label, onClick, secondary) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    if (secondary) button.className = 'secondary';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderHistory() {
+    const list = document.getElementById('list');
+    const entries = searchHistory(historyEntries, document.getElementById('search').value);
+    list.replaceChildren();
+
+    for (const entry of entries) {
+        const item = document.createElement('li');
+
+        const title = document.createElement('div');
+        title.className = 'title';
+        title.textContent = entry.title || 'Untitled diagram';
+        // The beginning of the diagram helps telling similar entries apart
+        title.title = entry.content.slice(0, 300);
+
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.append(`${TYPE_LABELS[entry.type] || entry.type} · ${new Date(entry.timestamp).toLocaleString()}`);
+        if (entry.site) {
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.textContent = entry.site;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                chrome.tabs.create({ url: entry.url });
+            });
+            meta.append(' · ', link);
+        }
+
+        item.append(
+            title,
+            meta,
+            createActionButton('Open', () => openEntry(entry)),
+            ' ',
+            createActionButton('Download', () => downloadEntry(entry)),
+            ' ',
+            createActionButton('Delete', () => deleteHistoryEntry(entry.id), true)
+        );
+        list.appendChild(item);
+    }
+
+    document.getElementById('empty').textContent = historyEntries.length === 0
+        ? 'Diagrams you open in draw.io are listed here.'
+        : entries.length === 0 ? 'No diagrams match your search.' : '';
+    document.getElementById('clear').hidden = historyEntries.length === 0;
+}
+
+async function openEntry(entry) {
+    await chrome.runtime.sendMessage({
+        action: 'open_drawio',
+        content: entry.content,
+        type: entry.type,
+        source: { url: entry.url, title: entry.title }
+    });
+    window.close();
+}
+
+async function downloadEntry(entry) {
+    await chrome.runtime.sendMessage({
+        action: 'download_diagram',
+        content: entry.content,
+        type: entry.type,
+        title: entry.title
+    });
+}
+
+function showPageStatus(message, error) {
+    const status = document.getElementById('scanStatus');
+    status.className = error ? 'error' : '';
+    status.textContent = message;
+    status.title = error || '';
+}
+
+/**
+ * Runs a command on the current tab through the background script ('scan_tab' or 'download_zip').
+ * @param {string} action
+ * @returns {Promise<object>} The response; `error` is set when `success` is false
+ */
+async function runPageCommand(action) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    try {
+        return await chrome.runtime.sendMessage({ action: action, tabId: tab.id });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+async function scanPage() {
+    showPageStatus('Scanning…');
+    const response = await runPageCommand('scan_tab');
+    if (!response.success) {
+        // Restricted pages (chrome://, the Web Store) cannot be injected into
+        showPageStatus('This page cannot be scanned.', response.error);
+    } else {
+        showPageStatus(response.found === 0 ? 'No diagrams found.'
+            : response.found === 1 ? 'Found 1 diagram.' : `Found ${response.found} diagrams.`);
+    }
+}
+
+async function downloadZip() {
+    showPageStatus('Collecting diagrams…');
+    const response = await runPageCommand('download_zip');
+    if (!response.success) {
+        showPageStatus(response.error, response.error);
+    } else {
+        showPageStatus(`Saved ${response.count} diagram${response.count === 1 ? '' : 's'}.`);
+    }
+}
+
+async function refreshHistory() {
+    historyEntries = await loadHistory();
+    renderHistory();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    refreshHistory();
+    document.getElementById('search').addEventListener('input', renderHistory);
+    document.getElementById('scan').addEventListener('click', scanPage);
+    document.getElementById('zip').addEventListener('click', downloadZip);
+    document.getElementById('paste').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('paste.html') });
+        window.close();
+    });
+    document.getElementById('clear').addEventListener('click', async () => {
+        if (confirm('Delete all diagrams from the history?')) {
+            await clearHistory();
+        }
+    });
+    // Deletions here and diagrams opened meanwhile both show up right away
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+            refreshHistory();
+        }
+    });
+});
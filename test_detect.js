@@ -0,0 +1,106 @@
+const {
+    MERMAID_DIAGRAM_TYPES,
+    stripMermaidPreamble,
+    getMermaidDiagramType,
+    isMermaidImportSupported,
+    detectDiagramTypeFromText
+} = require('./lib/detect.js');
+
+// Tests
+const tests = [
+    {
+        name: "Every Mermaid keyword is detected",
+        actual: () => MERMAID_DIAGRAM_TYPES.filter(type => getMermaidDiagramType(`${type}\n  content`) !== type).join(','),
+        expected: ''
+    },
+    {
+        name: "Longest keyword wins",
+        actual: () => ['stateDiagram-v2\n[*] --> A', 'flowchart-elk TD\nA-->B', 'classDiagram-v2\nclass A', 'pie title Pets']
+            .map(getMermaidDiagramType).join(','),
+        expected: 'stateDiagram-v2,flowchart-elk,classDiagram-v2,pie'
+    },
+    {
+        name: "Keywords must be whole words",
+        actual: () => [getMermaidDiagramType('pieces of text'), getMermaidDiagramType('graphics card'), getMermaidDiagramType('')].join(','),
+        expected: ',,'
+    },
+    {
+        name: "Skips comments, init directives and front matter",
+        actual: () => [
+            getMermaidDiagramType('%% comment\n%%{init: {"theme": "forest"}}%%\nsequenceDiagram\nA->>B: hi'),
+            getMermaidDiagramType('%%{\n  init: { "theme": "dark" }\n}%%\nmindmap\n  root'),
+            getMermaidDiagramType('---\ntitle: Release plan\nconfig:\n  theme: base\n---\ntimeline\n  2024 : v1')
+        ].join(','),
+        expected: 'sequenceDiagram,mindmap,timeline'
+    },
+    {
+        name: "Front matter is removed before parsing",
+        actual: () => JSON.stringify(stripMermaidPreamble('---\ntitle: T\n---\nflowchart LR\r\nA-->B')),
+        expected: '"flowchart LR\\nA-->B"'
+    },
+    {
+        name: "Types newer than the diagrams.net import are flagged",
+        actual: () => ['flowchart', 'xychart-beta', 'kanban', 'architecture-beta', 'zenuml'].map(isMermaidImportSupported).join(','),
+        expected: 'true,true,false,false,false'
+    },
+    {
+        name: "Shared detection order: PlantUML, DOT, Mermaid, draw.io XML",
+        actual: () => [
+            detectDiagramTypeFromText('@startuml\ngraph TD\n@enduml'),
+            detectDiagramTypeFromText('graph G {\n  a -- b\n}'),
+            detectDiagramTypeFromText('graph TD\n  A --> B'),
+            detectDiagramTypeFromText('<mxfile><diagram><mxGraphModel><root></root></mxGraphModel></diagram></mxfile>'),
+            detectDiagramTypeFromText('<mxCell id="2" value="A" vertex="1" parent="1"/>'),
+            detectDiagramTypeFromText('just some text')
+        ].join(','),
+        expected: 'plantuml,dot,mermaid,xml,xml,'
+    },
+    {
+        name: "One-line Mermaid with braces is not a DOT graph",
+        actual: () => [
+            'graph TD A{x}',
+            'graph LR; A{Decision} --> B',
+            'graph{a -- b}',
+            'strict digraph "my graph" { a -> b }',
+            'digraph TD { a -> b }'
+        ].map(detectDiagramTypeFromText).join(','),
+        expected: 'mermaid,mermaid,dot,dot,dot'
+    },
+    {
+        name: "diagrams.net share links are draw.io XML, but not when quoted in prose",
+        actual: () => [
+            detectDiagramTypeFromText('https://app.diagrams.net/#R7VhNb5tAEP01HBuxbO3EhRMkZSoV7gYOSl6D6dF4F8nbcqe3F5DLIg%3D%3D'),
+            detectDiagramTypeFromText('  https://viewer.diagrams.net/?lightbox=1#RzVRNT8MwDP01vVcNqaBHrx \n'),
+            detectDiagramTypeFromText('See https://app.diagrams.net/#R7VhNb5tAEP for the diagram')
+        ].join(','),
+        expected: 'xml,xml,'
+    },
+    {
+        name: "SVG exported from draw.io is draw.io XML, other SVG is not",
+        actual: () => [
+            detectDiagramTypeFromText('<svg xmlns="http://www.w3.org/2000/svg" content="&lt;mxfile&gt;&lt;diagram&gt;&lt;mxGraphModel/&gt;&lt;/diagram&gt;&lt;/mxfile&gt;"><g/></svg>'),
+            detectDiagramTypeFromText('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>')
+        ].join(','),
+        expected: 'xml,'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,136 @@
+const { parseXml, findXmlElements } = require('./lib/xml_parser.js');
+const { isDotGraph } = require('./lib/detect.js');
+const { parseDot, convertDotToMxGraph } = require('./lib/dot.js');
+const { repairMxGraphXml } = require('./lib/mx_repair.js');
+
+const cellsOf = (xml) => findXmlElements(parseXml(xml).document, 'mxCell');
+const edges = (text) => parseDot(text).edges.map(edge => `${edge.source}>${edge.target}`).join(' ');
+
+// Tests
+const tests = [
+    {
+        name: "Detects digraph/graph headers but not Mermaid",
+        actual: () => [
+            isDotGraph('digraph G {\n  a -> b\n}'),
+            isDotGraph('/* deps */\nstrict graph {\n  a -- b\n}'),
+            isDotGraph('graph TD\n  A --> B'),
+            isDotGraph('graph TD; A{Decision}')
+        ].join(','),
+        expected: 'true,true,false,false'
+    },
+    {
+        name: "Edge chains and anonymous subgraphs expand to single edges",
+        actual: () => edges('digraph { a -> b -> c; c -> {d e} [color=red] }'),
+        expected: 'a>b b>c c>d c>e'
+    },
+    {
+        name: "Quoted ids, escapes, comments and ports",
+        actual: () => {
+            const graph = parseDot('digraph {\n# preprocessor line\n"node one" [label="Say \\"hi\\"\\nthere"] // note\n"node one":e -> b:n:s\n}');
+            return `${[...graph.nodes.keys()].join('|')} ${JSON.stringify(graph.nodes.get('node one').attributes.label)} ${edges('digraph { "x y":p -> z }')}`;
+        },
+        expected: 'node one|b "Say \\"hi\\"\\nthere" x y>z'
+    },
+    {
+        name: "Node defaults are scoped to their subgraph",
+        actual: () => {
+            const graph = parseDot('digraph { node [shape=box]; a; subgraph s { node [shape=circle]; b } c }');
+            return ['a', 'b', 'c'].map(id => graph.nodes.get(id).attributes.shape).join(',');
+        },
+        expected: 'box,circle,box'
+    },
+    {
+        name: "Clusters own the nodes first mentioned inside them",
+        actual: () => {
+            const graph = parseDot('digraph { a; subgraph cluster_db { label="Data"; a; b } subgraph other { c } }');
+            return [...graph.nodes.values()].map(node => `${node.id}@${node.cluster}`).join(' ') +
+                ' | ' + [...graph.clusters.values()].map(cluster => `${cluster.id}:${cluster.attributes.label}`).join(' ');
+        },
+        expected: 'a@null b@cluster_db c@null | cluster_db:Data'
+    },
+    {
+        name: "Shapes, colors and arrowheads map to draw.io styles",
+        actual: () => {
+            const { xml } = convertDotToMxGraph('digraph { q [shape=diamond, style=filled, fillcolor="#ffcc00"]; db [shape=cylinder color=blue]; q -> db [style=dashed, arrowhead=odot] }');
+            const cells = cellsOf(xml);
+            const q = cells.find(cell => cell.attributes.value === 'q').attributes.style;
+            const db = cells.find(cell => cell.attributes.value === 'db').attributes.style;
+            const edge = cells.find(cell => cell.attributes.edge === '1').attributes.style;
+            return [
+                q.startsWith('rhombus;') && q.includes('fillColor=#ffcc00;'),
+                db.includes('shape=cylinder3;') && db.includes('strokeColor=blue;') && !db.includes('fillColor'),
+                edge.includes('dashed=1;') && edge.includes('endArrow=oval;endFill=0;')
+            ].join(',');
+        },
+        expected: 'true,true,true'
+    },
+    {
+        name: "Undirected graphs have no arrowheads",
+        actual: () => {
+            const cells = cellsOf(convertDotToMxGraph('graph { a -- b }').xml);
+            return cells.find(cell => cell.attributes.edge === '1').attributes.style.includes('endArrow=none;');
+        },
+        expected: true
+    },
+    {
+        name: "rankdir and clusters are laid out and need no repair",
+        actual: () => {
+            const { xml, report } = convertDotToMxGraph('digraph { rankdir=LR; subgraph cluster_x { label="X"; a -> b } b -> c }');
+            const cells = cellsOf(xml);
+            const geometry = (value) => cells.find(cell => cell.attributes.value === value).children[0].attributes;
+            const cluster = cells.find(cell => cell.attributes.value === 'X');
+            return [
+                repairMxGraphXml(xml).report.length,
+                cells.find(cell => cell.attributes.value === 'a').attributes.parent === cluster.attributes.id,
+                Number(geometry('a').x) < Number(geometry('b').x),
+                report[0].code
+            ].join(',');
+        },
+        expected: '0,true,true,dot-converted'
+    },
+    {
+        name: "Syntax errors are reported",
+        actual: () => {
+            try {
+                parseDot('digraph { a -> b [label="x"');
+                return 'no error';
+            } catch (error) {
+                return error.message.startsWith('DOT syntax error');
+            }
+        },
+        expected: true
+    },
+    {
+        name: "Dangling edge operators are syntax errors",
+        actual: () => ['digraph G { a -> ; }', 'digraph G { a -> b -> }', 'graph { -- b }'].map(text => {
+            try {
+                convertDotToMxGraph(text);
+                return 'no error';
+            } catch (error) {
+                return error.message;
+            }
+        }).join(' | '),
+        expected: 'DOT syntax error: expected a node after "->" but found ";" | ' +
+            'DOT syntax error: expected a node after "->" but found "}" | DOT syntax error: expected a node before "--"'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
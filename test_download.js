@@ -0,0 +1,87 @@
+const { DOWNLOAD_FORMATS, getDiagramName, sanitizeFilename, buildDownloadFilename, toDataUrl } = require('./lib/download.js');
+const { SITE_ADAPTERS } = require('./lib/sites.js');
+
+const mxfile = (name) => `<mxfile><diagram name="${name}" id="d1"><mxGraphModel><root><mxCell id="0"/></root></mxGraphModel></diagram></mxfile>`;
+
+// Tests
+const tests = [
+    {
+        name: "Uses the first page name",
+        actual: () => getDiagramName(mxfile('Checkout flow')),
+        expected: 'Checkout flow'
+    },
+    {
+        name: "Ignores generic page names and missing diagrams",
+        actual: () => [getDiagramName(mxfile('Page-1')), getDiagramName(mxfile('  ')), getDiagramName('<mxGraphModel><root/></mxGraphModel>')].join(','),
+        expected: ',,'
+    },
+    {
+        name: "Strips characters that are invalid in file names",
+        actual: () => sanitizeFilename(' a/b\\c:d*e?f"g<h>i|j\n.. '),
+        expected: 'a b c d e f g h i j'
+    },
+    {
+        name: "Diagram name wins over the conversation title",
+        actual: () => buildDownloadFilename('Network', 'Release plan - Claude', 'drawio'),
+        expected: 'Network.drawio'
+    },
+    {
+        name: "Conversation title without the site name",
+        actual: () => [
+            buildDownloadFilename(null, 'Release plan - Claude', 'drawio'),
+            buildDownloadFilename(null, 'API design | DeepSeek', 'mmd'),
+            buildDownloadFilename(null, 'Login sequence', 'puml')
+        ].join(' '),
+        expected: 'Release plan.drawio API design.mmd Login sequence.puml'
+    },
+    {
+        name: "Site names of every supported chat are removed from titles",
+        actual: () => [
+            'Plan - Microsoft Copilot', 'Plan - Grok', 'Plan - Poe', 'Plan | Le Chat', 'Plan - Le Chat - Mistral AI',
+            'Plan - Kimi', 'Plan - Qwen Chat', 'Plan - 豆包', 'Plan - Doubao', 'Plan - HuggingChat'
+        ].map(title => buildDownloadFilename(null, title, 'zip')).join(' '),
+        expected: Array(10).fill('Plan.zip').join(' ')
+    },
+    {
+        name: "Site names follow the adapter registry",
+        actual: () => SITE_ADAPTERS
+            .map(adapter => buildDownloadFilename(null, `Plan - ${adapter.name}`, 'zip'))
+            .filter(filename => filename !== 'Plan.zip').join(' '),
+        expected: ''
+    },
+    {
+        name: "Falls back to diagram",
+        actual: () => buildDownloadFilename(null, '???', DOWNLOAD_FORMATS.xml.extension),
+        expected: 'diagram.drawio'
+    },
+    {
+        name: "Long names are shortened",
+        actual: () => buildDownloadFilename('x'.repeat(300), '', 'drawio').length,
+        expected: 107
+    },
+    {
+        name: "Data URL keeps non-ASCII text",
+        actual: () => decodeURIComponent(toDataUrl('<mxfile>图表 & "x"</mxfile>', 'text/plain').split(',')[1]),
+        expected: '<mxfile>图表 & "x"</mxfile>'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createEmbedSession, parseEmbedMessage } = require('./lib/embed_protocol.js');
+
+// Runs the inline script of fixtures/embed_stub.html (a stand-in for diagrams.net in
+// embed=1&proto=json mode) with a fake window whose parent is our session.
+function startStub(onPostToHost) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'embed_stub.html'), 'utf8');
+    const script = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+
+    const elements = {};
+    const listeners = { message: [] };
+    const document = {
+        getElementById(id) {
+            if (!elements[id]) {
+                elements[id] = {
+                    textContent: '',
+                    handlers: {},
+                    addEventListener(type, handler) { this.handlers[type] = handler; }
+                };
+            }
+            return elements[id];
+        }
+    };
+    const window = {
+        opener: null,
+        parent: { postMessage: (data) => onPostToHost(data) },
+        addEventListener(type, handler) { listeners[type].push(handler); }
+    };
+
+    vm.runInNewContext(script, { window, document, JSON });
+
+    return {
+        elements,
+        receive(data) {
+            listeners.message.forEach(handler => handler({ data }));
+        }
+    };
+}
+
+const xml = '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/></root></mxGraphModel>';
+
+const tests = [
+    {
+        name: "Ignores non-protocol messages",
+        run: () => parseEmbedMessage('not json') === null && parseEmbedMessage('{"action":"load"}') === null
+    },
+    {
+        name: "Loads the diagram after init from the stand-in page",
+        run: () => {
+            const events = [];
+            let stub;
+            const session = createEmbedSession({
+                post: (data) => stub.receive(data),
+                xml: xml,
+                title: 'Test',
+                onLoad: (message) => events.push(message.event)
+            });
+            // The stub posts init synchronously while starting, so queue until it exists
+            const queued = [];
+            stub = startStub((data) => queued.push(data));
+            // Replies posted while handling are appended to the queue and delivered too
+            while (queued.length) session.handleMessage(queued.shift());
+
+            return session.getState() === 'loaded' &&
+                stub.elements.xml.textContent === xml &&
+                stub.elements.status.textContent === 'loaded' &&
+                events.join(',') === 'load';
+        }
+    },
+    {
+        name: "Exit from the stand-in page closes the session",
+        run: () => {
+            let exited = false;
+            let stub;
+            const queued = [];
+            const session = createEmbedSession({
+                post: (data) => stub.receive(data),
+                xml: xml,
+                onExit: () => { exited = true; }
+            });
+            stub = startStub((data) => queued.push(data));
+            while (queued.length) session.handleMessage(queued.shift());
+
+            stub.elements.exit.handlers.click();
+            while (queued.length) session.handleMessage(queued.shift());
+
+            // Messages after exit are ignored
+            const handledAfterExit = session.handleMessage('{"event":"init"}');
+            return exited && session.getState() === 'closed' && handledAfterExit === false;
+        }
+    },
+    {
+        name: "Save & Exit from the stand-in page saves, then closes the session",
+        run: () => {
+            const events = [];
+            let stub;
+            const queued = [];
+            const session = createEmbedSession({
+                post: (data) => stub.receive(data),
+                xml: xml,
+                onSave: (message) => events.push(`${message.event}:${message.xml === xml}`),
+                onExit: (message) => events.push(`exit:${message.exit}`)
+            });
+            stub = startStub((data) => queued.push(data));
+            while (queued.length) session.handleMessage(queued.shift());
+
+            stub.elements.save.handlers.click();
+            while (queued.length) session.handleMessage(queued.shift());
+
+            return events.join(',') === 'save:true,exit:true' && session.getState() === 'closed';
+        }
+    },
+    {
+        name: "Autosave keeps the session open",
+        run: () => {
+            const saved = [];
+            const session = createEmbedSession({ post: () => {}, xml: xml, onSave: (message) => saved.push(message.xml) });
+            session.handleMessage({ event: 'init' });
+            session.handleMessage({ event: 'load' });
+            session.handleMessage({ event: 'autosave', xml: '<mxfile/>' });
+            return saved.join(',') === '<mxfile/>' && session.getState() === 'loaded';
+        }
+    },
+    {
+        name: "Load message carries xml, title and autosave",
+        run: () => {
+            const posted = [];
+            const session = createEmbedSession({ post: (data) => posted.push(JSON.parse(data)), xml: xml, title: 'T' });
+            session.handleMessage({ event: 'init' });
+            const load = posted[0];
+            return posted.length === 1 && load.action === 'load' && load.xml === xml && load.title === 'T' && load.autosave === 1;
+        }
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    let ok = false;
+    try {
+        ok = t.run();
+    } catch (e) {
+        console.error(e);
+    }
+    if (ok) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
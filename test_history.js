@@ -0,0 +1,100 @@
+const { HISTORY_LIMITS, getHistoryEntrySize, createHistoryEntry, addHistoryEntry, searchHistory } = require('./lib/history.js');
+
+const entry = (content, type = 'mermaid', title = '', now = 1) =>
+    createHistoryEntry(content, type, { url: 'https://claude.ai/chat/123', title: title }, now);
+
+// Tests
+const tests = [
+    {
+        name: "Entries keep the source page and site",
+        actual: () => {
+            const created = entry('graph TD; A-->B', 'mermaid', ' Release plan - Claude ', 1700000000000);
+            return [created.site, created.url, created.title, created.timestamp, created.type, /^\w+-\w+$/.test(created.id)].join('|');
+        },
+        expected: 'claude.ai|https://claude.ai/chat/123|Release plan - Claude|1700000000000|mermaid|true'
+    },
+    {
+        name: "Missing or invalid source URLs leave the site empty",
+        actual: () => [createHistoryEntry('x', 'xml').site, createHistoryEntry('x', 'xml', { url: 'not a url' }).site].join(','),
+        expected: ','
+    },
+    {
+        name: "New entries go first",
+        actual: () => addHistoryEntry([entry('a')], entry('b')).map(item => item.content).join(','),
+        expected: 'b,a'
+    },
+    {
+        name: "Opening the same diagram again moves it to the top",
+        actual: () => addHistoryEntry([entry('b'), entry('a')], entry('a', 'mermaid', 'again')).map(item => `${item.content}:${item.title}`).join(','),
+        expected: 'a:again,b:'
+    },
+    {
+        name: "Same text with another type is a different diagram",
+        actual: () => addHistoryEntry([entry('a', 'xml')], entry('a', 'mermaid')).length,
+        expected: 2
+    },
+    {
+        name: "Oldest entries are dropped beyond the entry limit",
+        actual: () => {
+            let entries = [];
+            for (let i = 0; i < HISTORY_LIMITS.maxEntries + 5; i++) entries = addHistoryEntry(entries, entry(`d${i}`));
+            return `${entries.length} ${entries[0].content} ${entries[entries.length - 1].content}`;
+        },
+        expected: '50 d54 d5'
+    },
+    {
+        name: "Oldest entries are dropped beyond the size limit; oversized diagrams are not stored",
+        actual: () => {
+            const [a, b, c] = [entry('aaaa'), entry('bbbb'), entry('cccc')];
+            const limits = { maxTotalBytes: getHistoryEntrySize(c) + getHistoryEntrySize(a) };
+            const entries = addHistoryEntry([a, b], c, limits);
+            return [entries.map(item => item.content).join(','), addHistoryEntry(entries, entry('x'.repeat(limits.maxTotalBytes)), limits).length].join(' ');
+        },
+        expected: 'cccc,aaaa 2'
+    },
+    {
+        name: "The size limit counts UTF-8 bytes, so CJK text takes three per character",
+        actual: () => {
+            // Same id, since its random part may vary in length
+            const cjk = Object.assign(entry('流程图'.repeat(100)), { id: 'a-1' });
+            const ascii = Object.assign(entry('abc'.repeat(100)), { id: 'a-1' });
+            // Both fit by character count; only the ASCII one fits by bytes
+            const limits = { maxTotalBytes: getHistoryEntrySize(ascii) + 300 };
+            return [getHistoryEntrySize(cjk) - getHistoryEntrySize(ascii), addHistoryEntry([], cjk, limits).length, addHistoryEntry([], ascii, limits).length].join(',');
+        },
+        expected: '600,0,1'
+    },
+    {
+        name: "Search matches every word in title, site, type or text",
+        actual: () => {
+            const entries = [entry('sequenceDiagram\nAlice->>Bob: hi', 'mermaid', 'Login flow'), entry('<mxfile/>', 'xml', 'Network')];
+            return [
+                searchHistory(entries, 'login ALICE').length,
+                searchHistory(entries, 'claude.ai xml')[0].title,
+                searchHistory(entries, 'nothing').length,
+                searchHistory(entries, '  ').length
+            ].join(',');
+        },
+        expected: '1,Network,0,2'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,140 @@
+const { parseXml, findXmlElements } = require('./lib/xml_parser.js');
+const { assignRanks, layoutMxGraphXml } = require('./lib/layout.js');
+
+const LAYERS = '<mxCell id="0"/><mxCell id="1" parent="0"/>';
+const model = (cells) => `<mxGraphModel><root>${LAYERS}${cells}</root></mxGraphModel>`;
+const vertex = (id, geometry, parent) =>
+    `<mxCell id="${id}" value="${id}" vertex="1" parent="${parent || '1'}"><mxGeometry ${geometry || ''} width="100" height="40" as="geometry"/></mxCell>`;
+const edge = (id, source, target) =>
+    `<mxCell id="${id}" edge="1" parent="1" source="${source}" target="${target}"><mxGeometry relative="1" as="geometry"/></mxCell>`;
+
+// Reads back {id: {x, y}} of all vertices
+function positions(xml) {
+    const result = {};
+    for (const cell of findXmlElements(parseXml(xml).document, 'mxCell')) {
+        const geometry = cell.children.find(child => child.name === 'mxGeometry');
+        if (cell.attributes.vertex === '1' && geometry) {
+            result[cell.attributes.id] = { x: Number(geometry.attributes.x || 0), y: Number(geometry.attributes.y || 0) };
+        }
+    }
+    return result;
+}
+
+// Tests
+const tests = [
+    {
+        name: "Ranks follow edges and ignore cycles",
+        actual: () => {
+            const ranks = assignRanks(['a', 'b', 'c'], [['a', 'b'], ['b', 'c'], ['c', 'a']]);
+            return ['a', 'b', 'c'].map(id => ranks.get(id)).join(',');
+        },
+        expected: '0,1,2'
+    },
+    {
+        name: "Chain without positions is laid out top to bottom",
+        actual: () => {
+            const p = positions(layoutMxGraphXml(model(vertex('a') + vertex('b') + vertex('c') + edge('e1', 'a', 'b') + edge('e2', 'b', 'c'))).xml);
+            return p.a.y < p.b.y && p.b.y < p.c.y && p.a.x === p.b.x;
+        },
+        expected: true
+    },
+    {
+        name: "LR direction lays out left to right",
+        actual: () => {
+            const p = positions(layoutMxGraphXml(model(vertex('a') + vertex('b') + edge('e1', 'a', 'b')), { direction: 'LR' }).xml);
+            return p.a.x < p.b.x && p.a.y === p.b.y;
+        },
+        expected: true
+    },
+    {
+        name: "Vertices stacked at 0,0 are spread out",
+        actual: () => {
+            const p = positions(layoutMxGraphXml(model(vertex('a', 'x="0" y="0"') + vertex('b', 'x="0" y="0"') + vertex('c', 'x="0" y="0"'))).xml);
+            return new Set(Object.values(p).map(pos => `${pos.x},${pos.y}`)).size;
+        },
+        expected: 3
+    },
+    {
+        name: "Disconnected vertices go into a grid",
+        actual: () => {
+            const p = positions(layoutMxGraphXml(model(vertex('a') + vertex('b') + vertex('c') + vertex('d'))).xml);
+            return `${p.a.y === p.b.y},${p.c.y === p.d.y},${p.a.y < p.c.y}`;
+        },
+        expected: 'true,true,true'
+    },
+    {
+        name: "Supplied coordinates are kept",
+        actual: () => {
+            const bare = '<mxCell id="b" value="b" vertex="1" parent="1"/>';
+            const p = positions(layoutMxGraphXml(model(vertex('a', 'x="500" y="300"') + bare + edge('e1', 'a', 'b'))).xml);
+            return `${p.a.x},${p.a.y},${p.b.y > 300}`;
+        },
+        expected: '500,300,true'
+    },
+    {
+        name: "A shape without x and y stays at the origin, as draw.io saves it",
+        actual: () => {
+            const xml = model(vertex('a') + vertex('b', 'x="300" y="200"') + edge('e1', 'a', 'b'));
+            const result = layoutMxGraphXml(xml);
+            return result.xml === xml && result.report.length === 0;
+        },
+        expected: true
+    },
+    {
+        name: "Geometry added by the repair pass still gets a position",
+        actual: () => {
+            const result = layoutMxGraphXml(model(vertex('a', 'x="300" y="200"') + vertex('b') + edge('e1', 'a', 'b')), { unplacedIds: new Set(['b']) });
+            const p = positions(result.xml);
+            return `${p.a.x},${p.a.y},${p.b.y > 200},${result.report.length}`;
+        },
+        expected: '300,200,true,1'
+    },
+    {
+        name: "Converters can ask for size-only geometry to be placed",
+        actual: () => {
+            const p = positions(layoutMxGraphXml(model(vertex('a')), { missingPosition: 'unplaced' }).xml);
+            return `${p.a.x},${p.a.y}`;
+        },
+        expected: '40,40'
+    },
+    {
+        name: "Fully positioned diagram is returned untouched",
+        actual: () => {
+            const xml = model(vertex('a', 'x="10" y="10"') + vertex('b', 'x="200" y="10"'));
+            const result = layoutMxGraphXml(xml);
+            return result.xml === xml && result.report.length === 0;
+        },
+        expected: true
+    },
+    {
+        name: "Containers grow around their laid-out children",
+        actual: () => {
+            const group = '<mxCell id="g" value="g" vertex="1" parent="1"><mxGeometry as="geometry"/></mxCell>';
+            const result = layoutMxGraphXml(model(group + vertex('a', '', 'g') + vertex('b', '', 'g') + edge('e1', 'a', 'b')));
+            const g = findXmlElements(parseXml(result.xml).document, 'mxGeometry')[0].attributes;
+            const p = positions(result.xml);
+            return Number(g.height) >= p.b.y + 40 && p.a.y < p.b.y;
+        },
+        expected: true
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
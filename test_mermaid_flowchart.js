@@ -0,0 +1,95 @@
+const { parseXml, findXmlElements } = require('./lib/xml_parser.js');
+const { isMermaidFlowchart, parseMermaidFlowchart, parseMermaidStyle, convertMermaidFlowchart } = require('./lib/mermaid_flowchart.js');
+const { repairMxGraphXml } = require('./lib/mx_repair.js');
+
+const shapes = (text) => [...parseMermaidFlowchart(text).nodes.values()].map(node => `${node.id}:${node.shape}:${node.label}`).join(' ');
+const edges = (text) => parseMermaidFlowchart(text).edges
+    .map(edge => `${edge.source}>${edge.target}:${edge.label}:${edge.dotted ? 'dotted' : edge.thick ? 'thick' : 'solid'}:${edge.endArrow}`)
+    .join(' ');
+
+// Tests
+const tests = [
+    {
+        name: "Detects flowchart after init directive",
+        actual: () => isMermaidFlowchart('%%{init: {"theme": "dark"}}%%\nflowchart LR\nA-->B') && !isMermaidFlowchart('sequenceDiagram\nA->>B: hi'),
+        expected: true
+    },
+    {
+        name: "Node shapes",
+        actual: () => shapes('graph TD\nA[Rect] --> B(Round) --> C([Stadium]) --> D[[Sub]] --> E[(DB)]\nF((Circle)) --> G{Decision} --> H{{Hex}} --> I[/Para/] --> J[/Trap\\]\nK>Flag]'),
+        expected: 'A:rect:Rect B:round:Round C:stadium:Stadium D:subroutine:Sub E:cylinder:DB F:circle:Circle G:rhombus:Decision ' +
+            'H:hexagon:Hex I:parallelogram:Para J:trapezoid:Trap K:asymmetric:Flag'
+    },
+    {
+        name: "Quoted labels keep brackets and decode Mermaid entities",
+        actual: () => shapes('flowchart TB\nA["Call f(x) [v2]"] --> B["say #quot;hi#quot;"]'),
+        expected: 'A:rect:Call f(x) [v2] B:rect:say "hi"'
+    },
+    {
+        name: "Edge kinds and labels",
+        actual: () => edges('flowchart LR\nA -->|yes| B\nB -- no --> C\nC -.-> D\nD == go ==> E\nE --- F\nF --x G'),
+        expected: 'A>B:yes:solid:classic B>C:no:solid:classic C>D::dotted:classic D>E:go:thick:classic E>F::solid:null F>G::solid:cross'
+    },
+    {
+        name: "Chains and & groups",
+        actual: () => edges('graph LR\nA & B --> C --> D'),
+        expected: 'A>C::solid:classic B>C::solid:classic C>D::solid:classic'
+    },
+    {
+        name: "Subgraphs own the nodes mentioned inside them",
+        actual: () => {
+            const parsed = parseMermaidFlowchart('flowchart TB\nX --> Y\nsubgraph api [API Layer]\n  Y\n  Z\nend\nsubgraph "Data"\n  W\nend');
+            return [...parsed.nodes.values()].map(node => `${node.id}@${node.subgraph}`).join(' ') +
+                ' | ' + [...parsed.subgraphs.values()].map(subgraph => `${subgraph.id}:${subgraph.label}`).join(' ');
+        },
+        expected: 'X@null Y@api Z@api W@subgraph-2 | api:API Layer subgraph-2:Data'
+    },
+    {
+        name: "classDef styles map to draw.io keys",
+        actual: () => JSON.stringify(parseMermaidStyle('fill:#f9f,stroke:#333,stroke-width:4px,color:#fff,stroke-dasharray: 5 5')),
+        expected: '{"fillColor":"#f9f","strokeColor":"#333","strokeWidth":"4","fontColor":"#fff","dashed":"1","dashPattern":"5 5"}'
+    },
+    {
+        name: "Converted diagram is laid out and needs no repair",
+        actual: () => {
+            const { xml } = convertMermaidFlowchart('flowchart TD\nA[Start] --> B{OK?}\nB -->|Yes| C[Done]\nsubgraph S [Group]\nC\nend\nclassDef hot fill:#f96\nclass A hot');
+            const cells = findXmlElements(parseXml(xml).document, 'mxCell');
+            const a = cells.find(cell => cell.attributes.id === 'mmd-A');
+            const c = cells.find(cell => cell.attributes.id === 'mmd-C');
+            const positioned = cells.filter(cell => cell.attributes.vertex === '1')
+                .every(cell => cell.children[0].attributes.x !== undefined);
+            return [
+                repairMxGraphXml(xml).report.length,
+                a.attributes.style.includes('fillColor=#f96'),
+                c.attributes.parent,
+                positioned
+            ].join(',');
+        },
+        expected: '0,true,mmd-S,true'
+    },
+    {
+        name: "Unsupported statements are reported",
+        actual: () => convertMermaidFlowchart('graph TD\nA --> B\nclick A "https://example.com"').report.map(item => item.code).join(','),
+        expected: 'mermaid-converted,mermaid-ignored'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
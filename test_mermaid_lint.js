@@ -0,0 +1,75 @@
+const { lintMermaid } = require('./lib/mermaid_lint.js');
+
+const fixed = (text) => lintMermaid(text).text;
+const codes = (text) => lintMermaid(text).report.map(item => item.code).join(',');
+const problems = (text) => lintMermaid(text).problems.map(item => item.message).join('; ');
+
+// Tests
+const tests = [
+    {
+        name: "Valid flowchart is left unchanged",
+        actual: () => {
+            const text = 'flowchart TD\n  A["Call f(x)"] --> B{OK?}\n  B -->|yes| C([Done])\n  subgraph S\n    C\n  end';
+            const result = lintMermaid(text);
+            return result.text === text && result.report.length === 0 && result.problems.length === 0;
+        },
+        expected: true
+    },
+    {
+        name: "Removes markdown fences",
+        actual: () => JSON.stringify(fixed('```mermaid\nsequenceDiagram\nA->>B: hi\n```')) + ' ' + codes('```mermaid\nsequenceDiagram\nA->>B: hi\n```'),
+        expected: '"sequenceDiagram\\nA->>B: hi\\n" mermaid-fence'
+    },
+    {
+        name: "Replaces smart quotes and decodes HTML entities",
+        actual: () => fixed('graph LR\nA --&gt; B[“Hello”] --> C') + ' ' + codes('graph LR\nA --&gt; B[“Hello”]'),
+        expected: 'graph LR\nA --> B["Hello"] --> C mermaid-smart-quotes,mermaid-entities'
+    },
+    {
+        name: "Quotes node and edge labels containing brackets",
+        actual: () => fixed('flowchart LR\nA[Call f(x)] -->|yes (fast)| B((Done [ok]))\nC{Is [x] set?} --> D[Say "hi"]'),
+        expected: 'flowchart LR\nA["Call f(x)"] -->|"yes (fast)"| B(("Done [ok]"))\nC{"Is [x] set?"} --> D["Say #quot;hi#quot;"]'
+    },
+    {
+        name: "Renames end used as a node id but keeps subgraph ends and label text",
+        actual: () => fixed('graph TD\nsubgraph S\nA --> end\nend\nend[Finish] --> B\nB -- the end of it --> C\nD[the end]'),
+        expected: 'graph TD\nsubgraph S\nA --> End\nend\nEnd[Finish] --> B\nB -- the end of it --> C\nD[the end]'
+    },
+    {
+        name: "Reports what it cannot fix",
+        actual: () => [
+            problems('graph TD\nA[broken --> B'),
+            problems('flowchart TD\nsubgraph X\nA-->B'),
+            problems('Here is your diagram')
+        ].join(' | '),
+        expected: 'Line 2: unclosed "[" | A subgraph is missing its "end" | No Mermaid diagram type (e.g. flowchart, sequenceDiagram) at the start'
+    },
+    {
+        name: "Front matter and directives are not rewritten",
+        actual: () => {
+            const text = '---\ntitle: Flow (draft)\n---\n%%{init: {"theme": "dark"}}%%\nflowchart TD\nA --> B';
+            return fixed(text) === text;
+        },
+        expected: true
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
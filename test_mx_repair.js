@@ -0,0 +1,124 @@
+const { parseXml, serializeXml } = require('./lib/xml_parser.js');
+const { repairMxGraphXml } = require('./lib/mx_repair.js');
+
+const LAYERS = '<mxCell id="0"/><mxCell id="1" parent="0"/>';
+const model = (cells) => `<mxGraphModel><root>${LAYERS}${cells}</root></mxGraphModel>`;
+const vertex = (id, value) => `<mxCell id="${id}" value="${value}" vertex="1" parent="1"><mxGeometry x="0" y="0" width="80" height="40" as="geometry"/></mxCell>`;
+const codes = (report) => report.map(item => item.code).join(',');
+
+// Tests
+const tests = [
+    {
+        name: "Parser round-trips escaped attributes and newlines",
+        actual: () => serializeXml(parseXml('<mxCell value="a &lt; b&#10;c &amp; d"/>').document),
+        expected: '<mxCell value="a &lt; b&#10;c &amp; d"/>'
+    },
+    {
+        name: "Parser closes tags left open by truncation",
+        actual: () => {
+            const { document, issues } = parseXml('<mxGraphModel><root><mxCell id="0"/><mxCell id="2" val');
+            return serializeXml(document) + ' | ' + issues.map(issue => issue.code).join(',');
+        },
+        expected: '<mxGraphModel><root><mxCell id="0"/></root></mxGraphModel> | truncated-tag,unclosed-tag,unclosed-tag'
+    },
+    {
+        name: "Valid diagram is returned untouched",
+        actual: () => {
+            const xml = model(vertex('2', 'A'));
+            const result = repairMxGraphXml(xml);
+            return result.xml === xml && result.report.length === 0;
+        },
+        expected: true
+    },
+    {
+        name: "Duplicate ids are renamed",
+        actual: () => {
+            const result = repairMxGraphXml(model(vertex('2', 'A') + vertex('2', 'B')));
+            return codes(result.report) + ' | ' + (result.xml.includes('id="2-2" value="B"'));
+        },
+        expected: 'duplicate-id | true'
+    },
+    {
+        name: "Edge endpoints given as labels are reattached",
+        actual: () => {
+            const edge = '<mxCell id="e" edge="1" parent="1" source="Start" target="end"><mxGeometry relative="1" as="geometry"/></mxCell>';
+            const result = repairMxGraphXml(model(vertex('a', 'Start') + vertex('b', '&lt;b&gt;End&lt;/b&gt;') + edge));
+            return codes(result.report) + ' | ' + result.xml.includes('source="a" target="b"');
+        },
+        expected: 'reattached-edge,reattached-edge | true'
+    },
+    {
+        name: "Dangling edges are dropped together with their labels",
+        actual: () => {
+            const edge = '<mxCell id="e" edge="1" parent="1" source="a" target="missing"><mxGeometry relative="1" as="geometry"/></mxCell>';
+            const label = '<mxCell id="l" value="yes" vertex="1" connectable="0" parent="e"><mxGeometry relative="1" as="geometry"/></mxCell>';
+            const result = repairMxGraphXml(model(vertex('a', 'A') + edge + label));
+            return codes(result.report) + ' | ' + result.xml.includes('id="e"') + ' | ' + result.xml.includes('id="l"');
+        },
+        expected: 'dropped-edge | false | false'
+    },
+    {
+        name: "Dangling end with a terminal point is kept",
+        actual: () => {
+            const edge = '<mxCell id="e" edge="1" parent="1" source="a" target="gone"><mxGeometry relative="1" as="geometry"><mxPoint x="10" y="10" as="targetPoint"/></mxGeometry></mxCell>';
+            const result = repairMxGraphXml(model(vertex('a', 'A') + edge));
+            return codes(result.report) + ' | ' + result.xml.includes('target=');
+        },
+        expected: 'dangling-edge | false'
+    },
+    {
+        name: "Missing parents, layers and geometry are added",
+        actual: () => {
+            const result = repairMxGraphXml('<mxGraphModel><root><mxCell id="2" value="A" vertex="1"/></root></mxGraphModel>');
+            return codes(result.report) + ' | ' + result.xml;
+        },
+        expected: 'missing-root-cell,missing-layer,missing-parent,missing-geometry | ' +
+            '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/><mxCell id="2" value="A" vertex="1" parent="1">' +
+            '<mxGeometry width="120" height="60" as="geometry"/></mxCell></root></mxGraphModel>'
+    },
+    {
+        name: "Unknown parent is reattached to the default layer",
+        actual: () => {
+            const result = repairMxGraphXml(model('<mxCell id="2" vertex="1" parent="group"><mxGeometry width="10" height="10" as="geometry"/></mxCell>'));
+            return codes(result.report) + ' | ' + result.xml.includes('id="2" vertex="1" parent="1"');
+        },
+        expected: 'missing-parent | true'
+    },
+    {
+        name: "Truncated output is closed and reported",
+        actual: () => {
+            const result = repairMxGraphXml('<mxfile><diagram name="P"><mxGraphModel><root>' + LAYERS + vertex('2', 'A') + '<mxCell id="3" value="B" ver');
+            return codes(result.report) + ' | ' + result.xml.endsWith('</root></mxGraphModel></diagram></mxfile>');
+        },
+        expected: 'truncated-tag,unclosed-tag,unclosed-tag,unclosed-tag,unclosed-tag | true'
+    },
+    {
+        name: "UserObject cells keep their id on the wrapper",
+        actual: () => {
+            const user = '<UserObject label="U" id="u"><mxCell vertex="1" parent="1"><mxGeometry width="10" height="10" as="geometry"/></mxCell></UserObject>';
+            const edge = '<mxCell id="e" edge="1" parent="1" source="u" target="u"><mxGeometry relative="1" as="geometry"/></mxCell>';
+            return repairMxGraphXml(model(user + edge)).report.length;
+        },
+        expected: 0
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
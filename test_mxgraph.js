@@ -0,0 +1,178 @@
+const zlib = require('zlib');
+const {
+    isMxGraphFragment,
+    wrapMxGraphFragment,
+    findMxShareLink,
+    isMxShareLink,
+    getMxSvgContent,
+    isCompressedMxfile,
+    isEncodedMxDiagram,
+    decodeMxDiagram
+} = require('./lib/mxgraph.js');
+
+const WRAP_START = '<mxfile><diagram name="Page-1" id="page-1"><mxGraphModel><root>';
+const WRAP_END = '</root></mxGraphModel></diagram></mxfile>';
+const LAYERS = '<mxCell id="0"/><mxCell id="1" parent="0"/>';
+
+const MODEL = '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/><mxCell id="2" value="A &amp; B" vertex="1" parent="1"/></root></mxGraphModel>';
+
+// Same encoding as diagrams.net: raw deflate of the URI-encoded text, then Base64
+function compress(text, uriEncode = true) {
+    return zlib.deflateRawSync(Buffer.from(uriEncode ? encodeURIComponent(text) : text)).toString('base64');
+}
+
+// Root element of a draw.io SVG export with the file in its content attribute
+function svgExport(content) {
+    const escaped = content.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="121px" height="61px" viewBox="-0.5 -0.5 121 61" content="${escaped}"><g/></svg>`;
+}
+
+// Tests
+const tests = [
+    {
+        name: "Bare mxCell list is a fragment",
+        actual: () => isMxGraphFragment('<mxCell id="2" value="A" vertex="1" parent="1"/>'),
+        expected: true
+    },
+    {
+        name: "Complete mxGraphModel is not a fragment",
+        actual: () => isMxGraphFragment('<mxGraphModel><root><mxCell id="0"/></root></mxGraphModel>'),
+        expected: false
+    },
+    {
+        name: "Prose mentioning mxCell is not a fragment",
+        actual: () => isMxGraphFragment('Use an <mxCell> element for each shape.'),
+        expected: false
+    },
+    {
+        name: "Bare mxCell list gets wrapper and layer cells",
+        actual: () => wrapMxGraphFragment('<mxCell id="2" value="A" vertex="1" parent="1"/>'),
+        expected: WRAP_START + LAYERS + '<mxCell id="2" value="A" vertex="1" parent="1"/>' + WRAP_END
+    },
+    {
+        name: "Bare root keeps existing layer cells",
+        actual: () => wrapMxGraphFragment('<root>\n  <mxCell id="0"/>\n  <mxCell id="1" parent="0"/>\n  <mxCell id="2" parent="1"/>\n</root>'),
+        expected: WRAP_START + '<mxCell id="0"/>\n  <mxCell id="1" parent="0"/>\n  <mxCell id="2" parent="1"/>' + WRAP_END
+    },
+    {
+        name: "Only the missing layer cell is added",
+        actual: () => wrapMxGraphFragment('<mxCell id="0"/><mxCell id="2" parent="1"/>'),
+        expected: WRAP_START + '<mxCell id="0"/><mxCell id="1" parent="0"/><mxCell id="2" parent="1"/>' + WRAP_END
+    },
+    {
+        name: "XML declaration is dropped",
+        actual: () => wrapMxGraphFragment('<?xml version="1.0" encoding="UTF-8"?>\n<mxCell id="2" parent="1"/>'),
+        expected: WRAP_START + LAYERS + '<mxCell id="2" parent="1"/>' + WRAP_END
+    },
+    {
+        name: "Complete documents are unchanged",
+        actual: () => wrapMxGraphFragment('<mxfile><diagram><mxGraphModel><root/></mxGraphModel></diagram></mxfile>'),
+        expected: '<mxfile><diagram><mxGraphModel><root/></mxGraphModel></diagram></mxfile>'
+    },
+    {
+        name: "Share links are found in text and recognized on their own",
+        actual: () => [
+            findMxShareLink('Open https://app.diagrams.net/?lightbox=1#Rabc%2B%3D now').data,
+            isMxShareLink('https://www.draw.io/#Rabc'),
+            isMxShareLink('https://app.diagrams.net/#Uhttps%3A%2F%2Fexample.com%2Fa.drawio'),
+            isMxShareLink('https://example.com/#Rabc')
+        ].join(','),
+        expected: 'abc%2B%3D,true,false,false'
+    },
+    {
+        name: "Compressed pages are told apart from plain ones",
+        actual: () => [
+            isCompressedMxfile(`<mxfile><diagram name="Page-1">${compress(MODEL)}</diagram></mxfile>`),
+            isCompressedMxfile(`<mxfile><diagram name="Page-1">\n  ${MODEL}\n</diagram></mxfile>`),
+            isCompressedMxfile('<mxfile><diagram name="Page-1"></diagram></mxfile>')
+        ].join(','),
+        expected: 'true,false,false'
+    },
+    {
+        name: "Compressed pages of a multi-page mxfile are inflated in place",
+        actual: async () => {
+            const decoded = await decodeMxDiagram(
+                `<mxfile><diagram name="Plain">${MODEL}</diagram><diagram id="b" name="Packed">\n${compress(MODEL)}\n</diagram></mxfile>`);
+            return decoded.xml + ' ' + decoded.report.map(item => item.message).join(',');
+        },
+        expected: `<mxfile><diagram name="Plain">${MODEL}</diagram><diagram id="b" name="Packed">${MODEL}</diagram></mxfile> Decompressed page "Packed"`
+    },
+    {
+        name: "Share links are decoded, with or without URI-encoding before compression",
+        actual: async () => {
+            const mxfile = `<mxfile><diagram name="Page-1">${compress(MODEL)}</diagram></mxfile>`;
+            const fromDiagramsNet = await decodeMxDiagram(`https://app.diagrams.net/#R${encodeURIComponent(compress(mxfile))}`);
+            const fromExtension = await decodeMxDiagram(`https://app.diagrams.net/?ui=min#R${compress(MODEL, false)}`);
+            return [fromDiagramsNet.xml, fromDiagramsNet.report.length, fromExtension.xml].join(' ');
+        },
+        expected: `<mxfile><diagram name="Page-1">${MODEL}</diagram></mxfile> 2 ${MODEL}`
+    },
+    {
+        name: "Invalid compressed data is reported with the page name",
+        actual: () => decodeMxDiagram('<mxfile><diagram name="Broken">bm90IGRlZmxhdGVk</diagram></mxfile>')
+            .then(() => 'decoded', error => error.message),
+        expected: 'The compressed page "Broken" could not be decoded'
+    },
+    {
+        name: "Page names are unescaped in the report",
+        actual: async () => {
+            const decoded = await decodeMxDiagram(`<mxfile><diagram name="P &amp; 1">${compress(MODEL)}</diagram></mxfile>`);
+            const failed = await decodeMxDiagram('<mxfile><diagram name="&lt;Draft&gt;">bm90IGRlZmxhdGVk</diagram></mxfile>')
+                .then(() => 'decoded', error => error.message);
+            return `${decoded.report[0].message} | ${failed}`;
+        },
+        expected: 'Decompressed page "P & 1" | The compressed page "<Draft>" could not be decoded'
+    },
+    {
+        name: "SVG exports yield the escaped mxfile; other SVG images do not",
+        actual: () => [
+            getMxSvgContent(svgExport(`<mxfile host="app.diagrams.net"><diagram name="A &amp; B">${MODEL}</diagram></mxfile>`)),
+            getMxSvgContent('<svg xmlns="http://www.w3.org/2000/svg" content=\'&lt;mxGraphModel&gt;&#10;&lt;root/&gt;&lt;/mxGraphModel&gt;\'/>'),
+            getMxSvgContent('<svg xmlns="http://www.w3.org/2000/svg"><text content="x">Hi</text></svg>'),
+            getMxSvgContent('<svg content="just a description"/>'),
+            isEncodedMxDiagram(svgExport(`<mxfile><diagram>${MODEL}</diagram></mxfile>`))
+        ].join(' | '),
+        expected: `<mxfile host="app.diagrams.net"><diagram name="A &amp; B">${MODEL}</diagram></mxfile> | <mxGraphModel>\n<root/></mxGraphModel> |  |  | true`
+    },
+    {
+        name: "SVG exports with compressed pages or a compressed file are decoded",
+        actual: async () => {
+            const pages = await decodeMxDiagram(svgExport(`<mxfile><diagram id="x" name="Page-1">${compress(MODEL)}</diagram></mxfile>`));
+            const whole = await decodeMxDiagram(svgExport(compress(`<mxfile><diagram name="Page-1">${MODEL}</diagram></mxfile>`)));
+            return [pages.xml, pages.report.map(item => item.code).join('+'), whole.xml].join(' ');
+        },
+        expected: `<mxfile><diagram id="x" name="Page-1">${MODEL}</diagram></mxfile> svg-extracted+decompressed-page <mxfile><diagram name="Page-1">${MODEL}</diagram></mxfile>`
+    },
+    {
+        name: "Other text is returned unchanged",
+        actual: async () => {
+            const decoded = await decodeMxDiagram(`<mxfile><diagram>${MODEL}</diagram></mxfile>`);
+            return decoded.xml + ' ' + decoded.report.length;
+        },
+        expected: `<mxfile><diagram>${MODEL}</diagram></mxfile> 0`
+    }
+];
+
+// Decoding is asynchronous (DecompressionStream), so every result is awaited
+(async () => {
+    let passed = 0;
+    for (const t of tests) {
+        const output = await t.actual();
+        if (output === t.expected) {
+            console.log(`PASS: ${t.name}`);
+            passed++;
+        } else {
+            console.error(`FAIL: ${t.name}`);
+            console.error(`  Expected: ${t.expected}`);
+            console.error(`  Actual:   ${output}`);
+        }
+    }
+
+    if (passed === tests.length) {
+        console.log(`\nAll ${passed} tests passed!`);
+    } else {
+        console.log(`\n${passed}/${tests.length} tests passed.`);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,82 @@
+const { choosePageName, buildMxPagesFile } = require('./lib/pages.js');
+
+const MODEL = '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/></root></mxGraphModel>';
+
+// Page names and ids of the merged file, e.g. "page-1:Context"
+function listPages(xml) {
+    return [...xml.matchAll(/<diagram\b([^>]*)>/g)].map(match => {
+        const id = match[1].match(/\bid="([^"]*)"/)[1];
+        const name = match[1].match(/\bname="([^"]*)"/)[1];
+        return `${id}:${name}`;
+    }).join(',');
+}
+
+// Tests
+const tests = [
+    {
+        name: "Headings win over diagram names, generic names are numbered",
+        actual: () => [
+            choosePageName('Context', 'Overview', false, 1),
+            choosePageName('', 'Overview', false, 2),
+            choosePageName('', 'Page-1', false, 3),
+            choosePageName('Deployment', 'Staging', true, 4),
+            choosePageName('Deployment', '', true, 5)
+        ].join(','),
+        expected: 'Context,Overview,Page-3,Deployment - Staging,Deployment - Page-5'
+    },
+    {
+        name: "One page per block in order, with fresh ids",
+        actual: () => listPages(buildMxPagesFile([
+            { type: 'xml', content: `<mxfile><diagram id="dot-graph" name="Page-1">${MODEL}</diagram></mxfile>`, name: 'Context' },
+            { type: 'xml', content: `<mxfile><diagram id="dot-graph" name="Containers">${MODEL}</diagram></mxfile>` },
+            { type: 'xml', content: MODEL }
+        ]).xml),
+        expected: 'page-1:Context,page-2:Containers,page-3:Page-3'
+    },
+    {
+        name: "Every page of a multi-page block is kept",
+        actual: () => listPages(buildMxPagesFile([
+            { type: 'xml', content: `<mxfile><diagram id="a" name="Dev">${MODEL}</diagram><diagram id="b" name="Prod">${MODEL}</diagram></mxfile>`, name: 'Deployment' }
+        ]).xml),
+        expected: 'page-1:Deployment - Dev,page-2:Deployment - Prod'
+    },
+    {
+        name: "Page models and other diagram attributes are carried over",
+        actual: () => buildMxPagesFile([
+            { type: 'xml', content: `<mxfile host="x"><diagram id="a" name="A" background="#ffffff">${MODEL}</diagram></mxfile>` }
+        ]).xml,
+        expected: `<mxfile><diagram background="#ffffff" id="page-1" name="A">${MODEL}</diagram></mxfile>`
+    },
+    {
+        name: "Unconverted Mermaid is kept as source text with a warning",
+        actual: () => {
+            const merged = buildMxPagesFile([{ type: 'mermaid', content: 'sequenceDiagram\n  A->>B: hi', name: 'Login' }]);
+            return [
+                listPages(merged.xml),
+                merged.xml.includes('value="sequenceDiagram&#10;  A-&gt;&gt;B: hi"'),
+                merged.report.map(item => `${item.code}:${item.warning}`).join(',')
+            ].join(' ');
+        },
+        expected: 'page-1:Login true page-source:true'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
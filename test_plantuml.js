@@ -0,0 +1,138 @@
+const { parseXml, findXmlElements } = require('./lib/xml_parser.js');
+const { isPlantUml } = require('./lib/detect.js');
+const { getPlantUmlKind, parsePlantUmlSequence, parsePlantUmlClass, convertPlantUmlToMxGraph } = require('./lib/plantuml.js');
+const { repairMxGraphXml } = require('./lib/mx_repair.js');
+
+const uml = (body) => `@startuml\n${body}\n@enduml`;
+const cellsOf = (xml) => findXmlElements(parseXml(xml).document, 'mxCell');
+const messages = (body) => parsePlantUmlSequence(uml(body)).rows
+    .filter(row => row.type === 'message')
+    .map(row => `${row.from}>${row.to}:${row.label}:${row.dashed ? 'dashed' : 'solid'}${row.async ? ':async' : ''}${row.lost ? ':lost' : ''}`)
+    .join(' ');
+
+// Tests
+const tests = [
+    {
+        name: "Detects @startuml and the locally supported subsets",
+        actual: () => [
+            isPlantUml('  @startuml\nA -> B\n@enduml'),
+            isPlantUml('graph TD\nA-->B'),
+            getPlantUmlKind(uml('Alice -> Bob : hi')),
+            getPlantUmlKind(uml('class Car\nCar *-- Wheel')),
+            getPlantUmlKind(uml('Base <|-- Derived')),
+            getPlantUmlKind(uml('start\n:step;\nstop'))
+        ].join(','),
+        expected: 'true,false,sequence,class,class,'
+    },
+    {
+        name: "Participants keep declared kind, alias and order",
+        actual: () => [...parsePlantUmlSequence(uml('actor User\nparticipant "Web App" as W #lightblue\nUser -> W\nW -> DB')).participants.values()]
+            .map(participant => `${participant.id}:${participant.kind}:${participant.label}:${participant.color}`).join(' '),
+        expected: 'User:actor:User:null W:participant:Web App:lightblue DB:participant:DB:null'
+    },
+    {
+        name: "Message arrows",
+        actual: () => messages("A -> B : call\nB --> A : reply\nA ->> B\nB <- A : back\nA ->x B\nA -[#red]> B ++ : colored\n' comment -> ignored"),
+        expected: 'A>B:call:solid B>A:reply:dashed A>B::solid:async A>B:back:solid A>B::solid:lost A>B:colored:solid'
+    },
+    {
+        name: "autonumber, notes and fragments",
+        actual: () => {
+            const parsed = parsePlantUmlSequence(uml('autonumber\nA -> B : one\nalt ok\nB -> A : two\nelse error\nB -> C\nend\nnote over A, B\nfirst\nsecond\nend note\nactivate B'));
+            return [
+                parsed.rows.map(row => row.type).join(','),
+                parsed.rows[2].label,
+                parsed.fragments[0].kind + ':' + parsed.fragments[0].branches[0].label,
+                JSON.stringify(parsed.rows[6].text),
+                parsed.ignored.join('|')
+            ].join(' ');
+        },
+        expected: 'message,fragment-start,message,fragment-else,message,fragment-end,note 2 two alt:error "first\\nsecond" activate B'
+    },
+    {
+        name: "Class members, stereotypes and inheritance keywords",
+        actual: () => {
+            const parsed = parsePlantUmlClass(uml('abstract class Animal {\n  -name : String\n  --\n  +{abstract} speak() : void\n}\ninterface Pet\nclass Dog extends Animal implements Pet\nDog : +bark()\nenum Color {\nRED\n}'));
+            return [...parsed.classes.values()].map(cls => `${cls.id}:${cls.kind}:${cls.fields.join('/')}:${cls.methods.join('/')}`).join(' ') +
+                ' | ' + parsed.relations.map(relation => `${relation.source}${relation.sourceEnd}${relation.dashed ? '..' : '--'}${relation.target}`).join(' ');
+        },
+        expected: 'Animal:abstract:-name : String:+speak() : void Pet:interface:: Dog:class::+bark() Color:enum:RED: | Animal<|--Dog Pet<|..Dog'
+    },
+    {
+        name: "Relations with multiplicities, direction hints and labels",
+        actual: () => parsePlantUmlClass(uml('Car "1" *-- "4" Wheel : has >\nDriver -up-> Car\nCar ..|> Vehicle')).relations
+            .map(relation => `${relation.source}:${relation.sourceEnd}:${relation.targetEnd}:${relation.dashed}:${relation.label}:${relation.sourceLabel}:${relation.targetLabel}:${relation.target}`)
+            .join(' '),
+        expected: 'Car:*:null:false:has:1:4:Wheel Driver:null:>:false::::Car Car:null:|>:true::::Vehicle'
+    },
+    {
+        name: "Sequence diagram converts to lifelines and needs no repair",
+        actual: () => {
+            const { xml, report } = convertPlantUmlToMxGraph(uml('actor User\nUser -> Server : request\nServer --> User : response\nServer -> Server : log'));
+            const cells = cellsOf(xml);
+            const lifelines = cells.filter(cell => (cell.attributes.style || '').startsWith('shape=umlLifeline'));
+            const edges = cells.filter(cell => cell.attributes.edge === '1');
+            return [
+                repairMxGraphXml(xml).report.length,
+                lifelines.length,
+                lifelines[0].attributes.style.includes('participant=umlActor'),
+                edges[1].attributes.style.includes('dashed=1'),
+                edges[2].attributes.source === edges[2].attributes.target,
+                report[0].code
+            ].join(',');
+        },
+        expected: '0,2,true,true,true,plantuml-converted'
+    },
+    {
+        name: "Class diagram converts to laid-out class boxes",
+        actual: () => {
+            const { xml } = convertPlantUmlToMxGraph(uml('class Animal {\n+name : String\n+eat()\n}\nAnimal <|-- Dog\nDog "1" -- "*" Toy'));
+            const cells = cellsOf(xml);
+            const animal = cells.find(cell => cell.attributes.value === '<b>Animal</b>');
+            const members = cells.filter(cell => cell.attributes.parent === animal.attributes.id);
+            const positioned = cells.filter(cell => cell.attributes.parent === '1' && cell.attributes.vertex === '1')
+                .every(cell => cell.children[0].attributes.x !== undefined);
+            const inheritance = cells.find(cell => cell.attributes.edge === '1');
+            return [
+                repairMxGraphXml(xml).report.length,
+                members.map(cell => cell.attributes.value).join('/'),
+                positioned,
+                inheritance.attributes.style.includes('startArrow=block;startFill=0'),
+                cells.filter(cell => cell.attributes.style === 'edgeLabel;resizable=0;html=1;align=left;verticalAlign=bottom;').length
+            ].join(',');
+        },
+        expected: '0,+name : String//+eat(),true,true,2'
+    },
+    {
+        name: "Other PlantUML diagrams are not converted",
+        actual: () => {
+            try {
+                convertPlantUmlToMxGraph(uml('usecase Login'));
+                return 'converted';
+            } catch (error) {
+                return error.message;
+            }
+        },
+        expected: 'Only PlantUML sequence and class diagrams can be converted locally'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The extension loads its lib/ files as classic scripts that share one global scope: the service
+// worker through importScripts, the pages through <script> tags and the content script through
+// manifest.json. The other tests require each module on its own, so a top-level name declared in
+// two files (e.g. a `const` and the `var` of a Node-only require) only fails here.
+
+function readFile(file) {
+    return fs.readFileSync(path.join(__dirname, file), 'utf8');
+}
+
+function getImportScripts(file) {
+    const call = readFile(file).match(/importScripts\(([\s\S]*?)\);/)[1];
+    return [...call.matchAll(/'([^']+)'/g)].map(match => match[1]).concat(file);
+}
+
+function getPageScripts(file) {
+    return [...readFile(file).matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/**
+ * Runs the scripts in order in one context, like the browser does.
+ * @param {Array<string>} files
+ * @returns {string} The first declaration error, or '' when every script was accepted
+ */
+function loadInOneScope(files) {
+    const context = vm.createContext({ importScripts: () => {}, console: { log() {}, warn() {}, error() {} } });
+    for (const file of files) {
+        try {
+            vm.runInContext(readFile(file), context, { filename: file });
+        } catch (error) {
+            // Entry scripts stop at the first browser API (chrome, document); declarations are
+            // checked before any of their code runs, and the lib/ files must load cleanly
+            if (error.name === 'SyntaxError' || file.startsWith('lib/')) return `${file}: ${error.message}`;
+        }
+    }
+    return '';
+}
+
+// Async start-up code of the entry scripts (editor.js) fails later without a browser; ignore it
+process.on('unhandledRejection', () => {});
+
+const manifest = JSON.parse(readFile('manifest.json'));
+
+// Tests
+const tests = [
+    {
+        name: "background.js and its importScripts share one scope",
+        actual: () => loadInOneScope(getImportScripts('background.js')),
+        expected: ''
+    },
+    {
+        name: "The content scripts share one scope",
+        actual: () => loadInOneScope(manifest.content_scripts[0].js),
+        expected: ''
+    }
+];
+for (const page of ['editor.html', 'options.html', 'paste.html', 'popup.html', 'offscreen.html']) {
+    tests.push({
+        name: `The scripts of ${page} share one scope`,
+        actual: () => loadInOneScope(getPageScripts(page)),
+        expected: ''
+    });
+}
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,70 @@
+const { DEFAULT_SETTINGS, normalizeBaseUrl, getOriginPattern, buildDrawioUrl } = require('./lib/settings.js');
+
+// Tests
+const tests = [
+    {
+        name: "Default instance hash URL",
+        actual: () => buildDrawioUrl(DEFAULT_SETTINGS, null, 'Rabc'),
+        expected: 'https://app.diagrams.net/#Rabc'
+    },
+    {
+        name: "Self-hosted base URL gets trailing slash",
+        actual: () => normalizeBaseUrl('https://drawio.corp.local/drawio'),
+        expected: 'https://drawio.corp.local/drawio/'
+    },
+    {
+        name: "Empty base URL falls back to app.diagrams.net",
+        actual: () => normalizeBaseUrl('  '),
+        expected: 'https://app.diagrams.net/'
+    },
+    {
+        name: "Instance params are appended before create",
+        actual: () => buildDrawioUrl(
+            { ...DEFAULT_SETTINGS, baseUrl: 'http://localhost:8080/', ui: 'min', lang: 'zh', dark: '', libraries: '0' },
+            { create: '{"type":"mermaid"}' }
+        ),
+        expected: 'http://localhost:8080/?ui=min&lang=zh&libraries=0&create=%7B%22type%22%3A%22mermaid%22%7D'
+    },
+    {
+        name: "Instance params with hash",
+        actual: () => buildDrawioUrl({ ...DEFAULT_SETTINGS, dark: 'auto' }, null, 'Rxyz'),
+        expected: 'https://app.diagrams.net/?dark=auto#Rxyz'
+    },
+    {
+        name: "Origin pattern ignores port and path",
+        actual: () => getOriginPattern('http://drawio.corp.local:8080/app/'),
+        expected: 'http://drawio.corp.local/*'
+    },
+    {
+        name: "Unsupported protocol is rejected",
+        actual: () => {
+            try {
+                normalizeBaseUrl('ftp://example.com/');
+                return 'no error';
+            } catch (e) {
+                return e.message;
+            }
+        },
+        expected: 'Unsupported protocol: ftp:'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
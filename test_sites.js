@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    SITE_ADAPTERS,
+    SITE_GENERIC_ADAPTER,
+    normalizeCustomSite,
+    createCustomSiteAdapter,
+    getCustomSiteAdapters,
+    findSiteAdapter,
+    getSiteMatchPatterns,
+    isSiteCodeBlock,
+    placeSiteButton,
+    findSiteComposer,
+    insertIntoSiteComposer
+} = require('./lib/sites.js');
+
+// The fixture tests need jsdom, a devDependency in package.json (npm install); the registry tests
+// run without it, except in CI, where a missing jsdom fails the run instead of passing with the
+// fixtures skipped
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch (e) {
+    console.warn('WARNING: jsdom is not installed: skipping the HTML fixture tests (run npm install)\n');
+}
+
+function loadFixture(name, hostname) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'sites', name), 'utf8');
+    return new JSDOM(html, { url: `https://${hostname}/c/1` }).window.document;
+}
+
+function fakeCode(className, wrapper) {
+    return { tagName: 'CODE', className: className, closest: (selector) => (selector === wrapper ? {} : null) };
+}
+
+// Places the button into the first `block` of the fixture like processPendingBlocks does
+function placeInFixture(fixture) {
+    const document = loadFixture(fixture.file, fixture.hostname);
+    const adapter = findSiteAdapter(fixture.hostname);
+    const block = document.querySelector(fixture.block);
+    const createGroup = () => {
+        const group = document.createElement('span');
+        group.className = 'drawio-launcher-btn';
+        return group;
+    };
+    const groups = placeSiteButton(adapter, block, createGroup);
+    return { document, adapter, block, groups, again: placeSiteButton(adapter, block, createGroup) };
+}
+
+// Saved code blocks of each site: which element is the block and where its button must go
+const FIXTURES = [
+    {
+        file: 'chatgpt.html', hostname: 'chatgpt.com', block: 'pre code',
+        placed: (group) => group.parentElement.matches('.sticky .bg-token-bg-elevated-secondary') && !group.previousSibling
+    },
+    {
+        file: 'gemini.html', hostname: 'gemini.google.com', block: 'code-block',
+        placed: (group) => group.parentElement.matches('.code-block-decoration .buttons') && !group.previousSibling
+    },
+    {
+        // The <code> has no language class, so the <pre> is the block
+        file: 'aistudio.html', hostname: 'aistudio.google.com', block: 'pre',
+        placed: (group) => group.parentElement.matches('mat-expansion-panel-header .mat-content') && !group.nextSibling
+    },
+    {
+        file: 'claude.html', hostname: 'claude.ai', block: 'code', count: 2,
+        placed: (group) => group.parentElement.parentElement.matches('code.language-mermaid') && group.style.float === 'none'
+    },
+    {
+        file: 'deepseek.html', hostname: 'chat.deepseek.com', block: 'pre',
+        placed: (group) => group.parentElement.matches('.md-code-block-banner .efa13877') && !group.previousSibling
+    },
+    {
+        file: 'perplexity.html', hostname: 'www.perplexity.ai', block: 'code',
+        placed: (group) => group.nextElementSibling.matches('button[data-testid="copy-code-button"]') && group.style.borderRadius === '9999px'
+    },
+    {
+        file: 'xiaomimimo.html', hostname: 'aistudio.xiaomimimo.com', block: 'pre',
+        placed: (group) => group.parentElement.matches('header div.gap-2') && !group.previousSibling
+    },
+    {
+        // Two blocks: the second one's header must not receive the first one's button
+        file: 'copilot.html', hostname: 'copilot.microsoft.com', block: 'code',
+        placed: (group) => group.nextElementSibling.matches('button[aria-label="Copy code"]') &&
+            group.parentElement.nextElementSibling === group.ownerDocument.querySelector('pre')
+    },
+    {
+        file: 'grok.html', hostname: 'grok.com', block: 'pre',
+        placed: (group) => group.nextElementSibling.matches('button[aria-label="Copy"]') && group.style.height === '24px'
+    },
+    {
+        // The <code> is not inside a <pre>
+        file: 'poe.html', hostname: 'poe.com', block: 'code',
+        placed: (group) => group.parentElement.matches('[class*="MarkdownCodeBlock_codeActions"]') && !group.previousSibling
+    },
+    {
+        file: 'mistral.html', hostname: 'chat.mistral.ai', block: 'code',
+        placed: (group) => group.nextElementSibling.matches('button[aria-label="Copy to clipboard"]')
+    },
+    {
+        file: 'kimi.html', hostname: 'www.kimi.com', block: 'code',
+        placed: (group) => group.parentElement.matches('.segment-code-header') && group.nextElementSibling.matches('.simple-button')
+    },
+    {
+        file: 'qwen.html', hostname: 'chat.qwen.ai', block: 'code',
+        placed: (group) => group.parentElement.matches('.qwen-markdown-code-header-actions') && !group.previousSibling
+    },
+    {
+        file: 'doubao.html', hostname: 'www.doubao.com', block: 'code',
+        placed: (group) => group.nextElementSibling.matches('button[data-testid="code-block-copy"]')
+    },
+    {
+        file: 'huggingchat.html', hostname: 'huggingface.co', block: 'code',
+        placed: (group) => group.parentElement.matches('div.group') && group.style.position === 'absolute' && group.style.right === '52px'
+    }
+];
+
+// Tests
+const tests = [
+    {
+        name: "Adapters are found by hostname and subdomain",
+        run: () => findSiteAdapter('chat.openai.com').id === 'chatgpt' &&
+            findSiteAdapter('chat.deepseek.com').id === 'deepseek' &&
+            findSiteAdapter('kimi.moonshot.cn').id === 'kimi' &&
+            findSiteAdapter('Claude.ai').id === 'claude'
+    },
+    {
+        name: "Unknown and look-alike hosts get the generic adapter",
+        run: () => findSiteAdapter('example.com').id === 'generic' && findSiteAdapter('notclaude.ai').id === 'generic'
+    },
+    {
+        name: "Adapters limited to a path only apply there",
+        run: () => findSiteAdapter('huggingface.co', undefined, '/chat/conversation/1').id === 'huggingchat' &&
+            findSiteAdapter('huggingface.co', undefined, '/chat').id === 'huggingchat' &&
+            findSiteAdapter('huggingface.co', undefined, '/meta-llama/Llama-3.1-8B').id === 'generic' &&
+            findSiteAdapter('huggingface.co', undefined, '/chatbots').id === 'generic'
+    },
+    {
+        name: "Every match pattern belongs to the adapter that declares it",
+        run: () => SITE_ADAPTERS.every(adapter => adapter.matches.length > 0 &&
+            adapter.matches.every(pattern => findSiteAdapter(new URL(pattern.replace('/*', '/')).hostname) === adapter))
+    },
+    {
+        name: "Adapter ids are unique",
+        run: () => new Set(SITE_ADAPTERS.map(adapter => adapter.id)).size === SITE_ADAPTERS.length
+    },
+    {
+        name: "manifest.json injects the content script on every adapter's pages",
+        run: () => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+            return JSON.stringify(manifest.content_scripts[0].matches) === JSON.stringify(getSiteMatchPatterns()) &&
+                manifest.content_scripts[0].js.indexOf('lib/sites.js') < manifest.content_scripts[0].js.indexOf('content.js');
+        }
+    },
+    {
+        name: "Custom site addresses are reduced to their origin",
+        run: () => {
+            const site = normalizeCustomSite({ origin: ' chat.corp.local:3000/c/123 ', codeSelector: ' .code-block ' });
+            return site.origin === 'https://chat.corp.local:3000' && site.codeSelector === '.code-block' && site.toolbarSelector === '';
+        }
+    },
+    {
+        name: "Custom sites must be http or https",
+        run: () => {
+            try {
+                normalizeCustomSite({ origin: 'ftp://files.corp.local' });
+                return false;
+            } catch (e) {
+                return e.message === 'Invalid site URL: ftp://files.corp.local';
+            }
+        }
+    },
+    {
+        name: "Custom site adapters match their host on any port",
+        run: () => {
+            const adapters = getCustomSiteAdapters([{ origin: 'http://localhost:8080', toolbarSelector: '.actions' }, { origin: '' }]);
+            return adapters.length === 1 && adapters[0].matches[0] === 'http://localhost/*' &&
+                findSiteAdapter('localhost', adapters) === adapters[0] && findSiteAdapter('localhost') === SITE_GENERIC_ADAPTER &&
+                adapters[0].toolbar.search === 'ancestors';
+        }
+    },
+    {
+        name: "Code blocks need a diagram language class unless the site says otherwise",
+        run: () => isSiteCodeBlock(findSiteAdapter('claude.ai'), fakeCode('language-mermaid')) &&
+            !isSiteCodeBlock(findSiteAdapter('claude.ai'), fakeCode('language-js')) &&
+            isSiteCodeBlock(findSiteAdapter('chatgpt.com'), fakeCode('')) &&
+            isSiteCodeBlock(findSiteAdapter('www.perplexity.ai'), fakeCode('', '.codeWrapper'))
+    },
+    {
+        name: "The chat sites declare a composer for edited diagrams, others do not",
+        run: () => ['chatgpt.com', 'claude.ai', 'gemini.google.com', 'chat.deepseek.com', 'www.perplexity.ai']
+            .every(hostname => findSiteAdapter(hostname).composer.selector) &&
+            !SITE_GENERIC_ADAPTER.composer && findSiteComposer(SITE_GENERIC_ADAPTER, null) === null
+    }
+];
+
+// Chat input of each fixture
+const COMPOSERS = [
+    { file: 'chatgpt.html', hostname: 'chatgpt.com', composer: '#prompt-textarea' },
+    { file: 'claude.html', hostname: 'claude.ai', composer: 'fieldset [role="textbox"]' },
+    { file: 'gemini.html', hostname: 'gemini.google.com', composer: 'rich-textarea .ql-editor' },
+    { file: 'deepseek.html', hostname: 'chat.deepseek.com', composer: '#chat-input' },
+    { file: 'perplexity.html', hostname: 'www.perplexity.ai', composer: '#ask-input' }
+];
+
+if (JSDOM) {
+    for (const fixture of FIXTURES) {
+        tests.push({
+            name: `Fixture ${fixture.file}: button placed in the code block header`,
+            run: () => {
+                const { groups, again } = placeInFixture(fixture);
+                return groups.length === (fixture.count || 1) && groups.every(fixture.placed) &&
+                    (fixture.count > 1 || again.length === 0);
+            }
+        });
+    }
+    for (const fixture of COMPOSERS) {
+        tests.push({
+            name: `Fixture ${fixture.file}: the chat input is found`,
+            run: () => {
+                const document = loadFixture(fixture.file, fixture.hostname);
+                const composer = findSiteComposer(findSiteAdapter(fixture.hostname), document);
+                return composer !== null && composer === document.querySelector(fixture.composer);
+            }
+        });
+    }
+    tests.push(
+        {
+            name: "Fixture deepseek.html: text is appended to the textarea and announced",
+            run: () => {
+                const document = loadFixture('deepseek.html', 'chat.deepseek.com');
+                const composer = findSiteComposer(findSiteAdapter('chat.deepseek.com'), document);
+                let inputs = 0;
+                composer.addEventListener('input', () => inputs++);
+                composer.value = 'Fix the layout:';
+                insertIntoSiteComposer(composer, '```xml\n<mxfile/>\n```');
+                return composer.value === 'Fix the layout:\n```xml\n<mxfile/>\n```' && inputs === 1;
+            }
+        },
+        {
+            name: "Fixture chatgpt.html: code blocks are discovered without a language class",
+            run: () => {
+                const document = loadFixture('chatgpt.html', 'chatgpt.com');
+                const code = document.querySelector('code');
+                code.className = '';
+                return isSiteCodeBlock(findSiteAdapter('chatgpt.com'), code);
+            }
+        },
+        {
+            name: "Fixture perplexity.html: code blocks are discovered by their wrapper",
+            run: () => {
+                const document = loadFixture('perplexity.html', 'www.perplexity.ai');
+                return isSiteCodeBlock(findSiteAdapter('www.perplexity.ai'), document.querySelector('code'));
+            }
+        },
+        {
+            name: "Fallback: floats at the top of the block when the header is missing",
+            run: () => {
+                const document = loadFixture('chatgpt.html', 'chatgpt.com');
+                document.querySelector('.sticky').remove();
+                const block = document.querySelector('code');
+                const [group] = placeSiteButton(findSiteAdapter('chatgpt.com'), block, () => document.createElement('span'));
+                return block.firstChild === group && group.style.float === 'right';
+            }
+        },
+        {
+            name: "Fallback: positioned inside the wrapper when the copy button is missing",
+            run: () => {
+                const document = loadFixture('perplexity.html', 'www.perplexity.ai');
+                document.querySelector('[data-testid="copy-code-button"]').remove();
+                const wrapper = document.querySelector('.codeWrapper');
+                const [group] = placeSiteButton(findSiteAdapter('www.perplexity.ai'), document.querySelector('code'), () => document.createElement('span'));
+                return group.parentElement === wrapper && group.style.position === 'absolute' && wrapper.style.position === 'relative';
+            }
+        },
+        {
+            name: "Fixture custom.html: configured blocks get the button in their own toolbar",
+            run: () => {
+                const document = loadFixture('custom.html', 'chat.corp.local');
+                const adapter = createCustomSiteAdapter({ origin: 'https://chat.corp.local', codeSelector: '.code-block', toolbarSelector: '.actions' });
+                const blocks = document.querySelectorAll('.code-block');
+                const placed = Array.from(blocks).map(block => {
+                    const group = document.createElement('span');
+                    group.className = 'drawio-launcher-btn';
+                    return placeSiteButton(adapter, block, () => group)[0];
+                });
+                return isSiteCodeBlock(adapter, blocks[1]) &&
+                    placed.every((group, index) => group.parentElement === blocks[index].querySelector('.actions') && !group.previousSibling);
+            }
+        },
+        {
+            name: "Fixture custom.html: the toolbar search stops before the neighbouring block",
+            run: () => {
+                const document = loadFixture('custom.html', 'chat.corp.local');
+                // The toolbar selector only exists in the first block, so the second one falls back to floating
+                document.querySelectorAll('.actions')[1].className = 'other';
+                const adapter = createCustomSiteAdapter({ origin: 'https://chat.corp.local', toolbarSelector: '.actions' });
+                const pre = document.querySelectorAll('pre')[1];
+                const [group] = placeSiteButton(adapter, pre, () => document.createElement('span'));
+                return pre.firstChild === group && group.style.float === 'right';
+            }
+        },
+        {
+            name: "No fallback: nothing is inserted when the DeepSeek banner is missing",
+            run: () => {
+                const document = loadFixture('deepseek.html', 'chat.deepseek.com');
+                document.querySelector('.md-code-block-banner-wrap').remove();
+                return placeSiteButton(findSiteAdapter('chat.deepseek.com'), document.querySelector('pre'), () => document.createElement('span')).length === 0;
+            }
+        }
+    );
+}
+
+let passed = 0;
+tests.forEach(t => {
+    let ok = false;
+    try {
+        ok = t.run();
+    } catch (e) {
+        console.error(e);
+    }
+    if (ok) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+    }
+});
+
+if (!JSDOM) {
+    console.warn('\nWARNING: the HTML fixture tests were skipped because jsdom is not installed');
+    if (process.env.CI) {
+        console.error('jsdom is required in CI: run npm install first');
+        process.exit(1);
+    }
+}
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,130 @@
+const { parseSvgStyle, getSvgLabelLines, routeSvgEdge, renderMxGraphSvg } = require('./lib/svg_render.js');
+
+const model = (cells, attributes = '') => `<mxfile><diagram name="Page-1" id="d1"><mxGraphModel${attributes}><root><mxCell id="0"/><mxCell id="1" parent="0"/>${cells}</root></mxGraphModel></diagram></mxfile>`;
+const vertex = (id, style, x, y, value = '', parent = '1') =>
+    `<mxCell id="${id}" value="${value}" style="${style}" vertex="1" parent="${parent}"><mxGeometry x="${x}" y="${y}" width="100" height="40" as="geometry"/></mxCell>`;
+const edge = (id, source, target, style = '') =>
+    `<mxCell id="${id}" style="${style}" edge="1" parent="1" source="${source}" target="${target}"><mxGeometry relative="1" as="geometry"/></mxCell>`;
+const box = (x, y, kind = 'rect') => ({ x: x, y: y, width: 100, height: 40, kind: kind });
+const format = (points) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+// Tests
+const tests = [
+    {
+        name: "Parses named styles and key/value pairs",
+        actual: () => JSON.stringify(parseSvgStyle('ellipse;shape=doubleEllipse;fillColor=#dae8fc;html=1;')),
+        expected: '{"shape":"doubleEllipse","fillColor":"#dae8fc","html":"1"}'
+    },
+    {
+        name: "HTML labels become plain text lines",
+        actual: () => getSvgLabelLines('<b>Order</b><br>service&amp;co<div>API&nbsp;v2</div>', { html: '1' }).join('|'),
+        expected: 'Order|service&co|API v2'
+    },
+    {
+        name: "Draws rounded rectangles, ellipses, rhombus and text with their styles",
+        actual: () => {
+            const svg = renderMxGraphSvg(model(
+                vertex('a', 'rounded=1;fillColor=#dae8fc;strokeColor=#6c8ebf;dashed=1;', 0, 0, 'Start') +
+                vertex('b', 'ellipse;', 200, 0) +
+                vertex('c', 'rhombus;', 400, 0) +
+                vertex('d', 'text;fontStyle=1;fontColor=#FF0000;', 600, 0, 'Note'))).svg;
+            return [
+                /<rect x="0" y="0" width="100" height="40" rx="6" fill="#dae8fc" stroke="#6c8ebf" stroke-dasharray="3 3"\/>/.test(svg),
+                /<ellipse cx="250" cy="20" rx="50" ry="20"/.test(svg),
+                /<polygon points="450,0 500,20 450,40 400,20"/.test(svg),
+                /<text[^>]*fill="#FF0000"[^>]*font-weight="bold"><tspan[^>]*>Note<\/tspan>/.test(svg),
+                (svg.match(/<rect /g) || []).length
+            ].join(',');
+        },
+        expected: 'true,true,true,true,1'
+    },
+    {
+        name: "Straight edges are clipped to the shape outlines",
+        actual: () => format(routeSvgEdge({ style: {}, waypoints: [] }, box(0, 0), box(200, 0, 'ellipse'))),
+        expected: '100,20 200,20'
+    },
+    {
+        name: "Orthogonal edges bend between shapes that do not line up",
+        actual: () => format(routeSvgEdge({ style: { edgeStyle: 'orthogonalEdgeStyle' }, waypoints: [] }, box(0, 0), box(200, 100))),
+        expected: '100,20 150,20 150,120 200,120'
+    },
+    {
+        name: "Orthogonal edges follow fixed ports and waypoints",
+        actual: () => format(routeSvgEdge({
+            style: { edgeStyle: 'orthogonalEdgeStyle', exitX: '1', exitY: '0.5', entryX: '0', entryY: '0.5' },
+            waypoints: [{ x: 150, y: 200 }]
+        }, box(0, 0), box(300, 0))),
+        expected: '100,20 150,20 150,200 225,200 225,20 300,20'
+    },
+    {
+        name: "Container children, edge labels and arrows are placed in page coordinates",
+        actual: () => {
+            const result = renderMxGraphSvg(model(
+                vertex('lane', 'swimlane;startSize=30;', 100, 100, 'Lane') +
+                vertex('a', '', 10, 40, 'A', 'lane') +
+                vertex('b', '', 110, 240, 'B') +
+                edge('e', 'a', 'b', 'endArrow=block;endFill=0;') +
+                '<mxCell id="l" value="yes" style="edgeLabel;" vertex="1" connectable="0" parent="e"><mxGeometry x="-1" relative="1" as="geometry"/></mxCell>'));
+            return [
+                /<rect x="110" y="140" width="100" height="40"/.test(result.svg),
+                /<path d="M 160 180 L 160 231"/.test(result.svg),
+                /<polygon points="160,240 156.04,231 163.96,231" stroke="#000000" fill="#FFFFFF"\/>/.test(result.svg),
+                /<tspan x="160" y="[\d.]+">yes<\/tspan>/.test(result.svg),
+                result.svg.includes('viewBox="90 90 130 200"')
+            ].join(',');
+        },
+        expected: 'true,true,true,true,true'
+    },
+    {
+        name: "Hidden cells and collapsed containers are left out",
+        actual: () => {
+            const svg = renderMxGraphSvg(model(
+                vertex('a', '', 0, 0, 'Shown') +
+                '<mxCell id="h" value="Hidden" vertex="1" parent="1" visible="0"><mxGeometry x="200" width="100" height="40" as="geometry"/></mxCell>' +
+                '<mxCell id="g" value="Group" style="swimlane;" vertex="1" parent="1" collapsed="1"><mxGeometry y="100" width="100" height="40" as="geometry"/></mxCell>' +
+                vertex('c', '', 0, 0, 'Inside', 'g'))).svg;
+            return ['Shown', 'Hidden', 'Group', 'Inside'].map(label => svg.includes(`>${label}<`)).join(',');
+        },
+        expected: 'true,false,true,false'
+    },
+    {
+        name: "Reports approximated shapes and extra pages",
+        actual: () => {
+            const xml = model(vertex('a', 'shape=cylinder3;', 0, 0)).replace('</mxfile>', '<diagram name="Two" id="d2"><mxGraphModel><root/></mxGraphModel></diagram></mxfile>');
+            return renderMxGraphSvg(xml).report.map(item => item.code).join(',');
+        },
+        expected: 'svg-first-page,svg-approximated'
+    },
+    {
+        name: "Compressed and empty diagrams are rejected",
+        actual: () => ['<mxfile><diagram id="x">7VrbcpswEP0aP5bhYhz8GLtp+tDOZCadafsoGxk0EYgRcmz367sCCRBcEqd2ks40frClo9VKe/bsArYn3jLd33KUxz9Yguk+c==</diagram></mxfile>', model('')].map(xml => {
+            try {
+                renderMxGraphSvg(xml);
+                return 'rendered';
+            } catch (error) {
+                return error.message.split(' ')[0];
+            }
+        }).join(','),
+        expected: 'Compressed,The'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}
@@ -0,0 +1,120 @@
+const zlib = require('zlib');
+const {
+    DIAGRAM_TARGETS,
+    findDiagramTarget,
+    getAlternativeTargets,
+    normalizeServiceUrl,
+    buildMermaidLiveUrl,
+    buildKrokiUrl,
+    buildVscodeFileUri
+} = require('./lib/targets.js');
+
+// Reverses the URL-safe Base64 + zlib encoding, as Mermaid Live (pako) and Kroki do
+function inflateBase64Url(data) {
+    return zlib.inflateSync(Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64')).toString('utf8');
+}
+
+const MERMAID = 'flowchart TD\n  A[Start] --> B{Ünïcode?}';
+
+// Tests
+const tests = [
+    {
+        name: "Targets declare the types they accept",
+        actual: () => DIAGRAM_TARGETS.map(target => `${target.id}:${target.types.join('/')}`).join(' '),
+        expected: 'drawio:xml/mermaid/plantuml/dot mermaid-live:mermaid kroki:mermaid/plantuml/dot vscode:xml/dot/mermaid/plantuml'
+    },
+    {
+        name: "Alternative targets leave out diagrams.net and targets without the type",
+        actual: () => ['mermaid', 'xml', 'plantuml'].map(type => getAlternativeTargets(type).map(target => target.id).join('/')).join(' '),
+        expected: 'mermaid-live/kroki/vscode vscode kroki/vscode'
+    },
+    {
+        name: "Unknown targets are not found",
+        actual: () => `${findDiagramTarget('kroki').label},${findDiagramTarget('excalidraw')}`,
+        expected: 'Kroki,null'
+    },
+    {
+        name: "Service URLs get a trailing slash; empty stays empty",
+        actual: () => [normalizeServiceUrl(' https://kroki.example.com/base?x=1#y '), normalizeServiceUrl('')].join(','),
+        expected: 'https://kroki.example.com/base/,'
+    },
+    {
+        name: "Service URLs must be http or https",
+        actual: () => {
+            try {
+                normalizeServiceUrl('ftp://kroki.example.com');
+                return 'accepted';
+            } catch (error) {
+                return error.message;
+            }
+        },
+        expected: 'Unsupported protocol: ftp:'
+    },
+    {
+        name: "Mermaid Live links carry the pako-compressed editor state",
+        actual: async () => {
+            const url = await buildMermaidLiveUrl(MERMAID);
+            const [base, data] = url.split('#pako:');
+            const state = JSON.parse(inflateBase64Url(data));
+            return [base, state.code === MERMAID, state.autoSync, /[+/=]/.test(data)].join(',');
+        },
+        expected: 'https://mermaid.live/edit,true,true,false'
+    },
+    {
+        name: "Mermaid Live links use the self-hosted editor when set",
+        actual: async () => (await buildMermaidLiveUrl('graph LR', 'http://localhost:3000')).split('#')[0],
+        expected: 'http://localhost:3000/edit'
+    },
+    {
+        name: "Kroki links name the diagram type and deflate the source",
+        actual: async () => {
+            const url = await buildKrokiUrl('digraph { a -> b }', 'dot', 'https://kroki.example.com');
+            const match = url.match(/^(.*\/svg\/)(.*)$/);
+            return `${match[1]} ${inflateBase64Url(match[2])}`;
+        },
+        expected: 'https://kroki.example.com/graphviz/svg/ digraph { a -> b }'
+    },
+    {
+        name: "Kroki needs a server",
+        actual: async () => {
+            try {
+                await buildKrokiUrl('@startuml\n@enduml', 'plantuml', '');
+                return 'built';
+            } catch (error) {
+                return error.message;
+            }
+        },
+        expected: 'Set the address of your Kroki server on the options page first'
+    },
+    {
+        name: "VS Code links open POSIX and Windows paths",
+        actual: () => [
+            buildVscodeFileUri('/home/ann/Downloads/Login flow.drawio'),
+            buildVscodeFileUri('C:\\Users\\ann\\Downloads\\#1 流程.drawio')
+        ].join(' '),
+        expected: 'vscode://file/home/ann/Downloads/Login%20flow.drawio vscode://file/C:/Users/ann/Downloads/%231%20%E6%B5%81%E7%A8%8B.drawio'
+    }
+];
+
+// The URL builders compress asynchronously (CompressionStream), so every result is awaited
+(async () => {
+    let passed = 0;
+    for (const t of tests) {
+        const output = await t.actual();
+        if (output === t.expected) {
+            console.log(`PASS: ${t.name}`);
+            passed++;
+        } else {
+            console.error(`FAIL: ${t.name}`);
+            console.error(`  Expected: ${t.expected}`);
+            console.error(`  Actual:   ${output}`);
+        }
+    }
+
+    if (passed === tests.length) {
+        console.log(`\nAll ${passed} tests passed!`);
+    } else {
+        console.log(`\n${passed}/${tests.length} tests passed.`);
+        process.exit(1);
+    }
+})();
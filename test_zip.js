@@ -0,0 +1,75 @@
+const { crc32, toDosDateTime, createZip } = require('./lib/zip.js');
+
+const encoder = new TextEncoder();
+
+// Reads the entries back from the central directory, like an unzip tool does
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const nameLength = view.getUint16(position + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        const size = view.getUint32(position + 24, true);
+        const crc = view.getUint32(position + 16, true);
+        const offset = view.getUint32(position + 42, true);
+        const localNameLength = view.getUint16(offset + 26, true);
+        const data = bytes.subarray(offset + 30 + localNameLength, offset + 30 + localNameLength + size);
+        entries.push({ name: name, text: new TextDecoder().decode(data), crcMatches: crc === crc32(data) });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+// Tests
+const tests = [
+    {
+        name: "CRC-32 matches the standard check values",
+        actual: () => [crc32(encoder.encode('')), crc32(encoder.encode('123456789')).toString(16)].join(','),
+        expected: '0,cbf43926'
+    },
+    {
+        name: "Dates are stored as MS-DOS time and date",
+        actual: () => JSON.stringify(toDosDateTime(new Date(2026, 9, 19, 10, 30, 13))),
+        expected: JSON.stringify({ time: (10 << 11) | (30 << 5) | 6, date: (46 << 9) | (10 << 5) | 19 })
+    },
+    {
+        name: "Archive starts with a local header and ends with the end of central directory",
+        actual: () => {
+            const zip = createZip([{ name: 'a.txt', content: 'A' }]);
+            const view = new DataView(zip.buffer);
+            return [view.getUint32(0, true).toString(16), view.getUint32(zip.length - 22, true).toString(16), zip.length].join(',');
+        },
+        expected: '4034b50,6054b50,' + (30 + 5 + 1 + 46 + 5 + 22)
+    },
+    {
+        name: "Entries round-trip with UTF-8 names and contents",
+        actual: () => readZip(createZip([
+            { name: '01-Überblick.drawio', content: '<mxfile name="流程"/>' },
+            { name: 'manifest.json', content: encoder.encode('{"diagrams":[]}') }
+        ])).map(entry => `${entry.name}=${entry.text}:${entry.crcMatches}`).join(' | '),
+        expected: '01-Überblick.drawio=<mxfile name="流程"/>:true | manifest.json={"diagrams":[]}:true'
+    }
+];
+
+let passed = 0;
+tests.forEach(t => {
+    const output = t.actual();
+    if (output === t.expected) {
+        console.log(`PASS: ${t.name}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${t.name}`);
+        console.error(`  Expected: ${t.expected}`);
+        console.error(`  Actual:   ${output}`);
+    }
+});
+
+if (passed === tests.length) {
+    console.log(`\nAll ${passed} tests passed!`);
+} else {
+    console.log(`\n${passed}/${tests.length} tests passed.`);
+    process.exit(1);
+}